@@ -15,10 +15,15 @@ export class MapVisualizer {
     this.positionMarker = null;
     this.currentContext = null;
     this.pendingRouteData = null;
+    this.pendingPointsOfInterest = null;
+    this.poiMarkers = new Map(); // POI id → circle marker
     this.zoomLevel = 0; // 0 = Iceland, 1 = Zone, 2 = Current location
     this.zoomInterval = null;
     this.allCoordinates = []; // Store all route coordinates
     
+    // Callbacks
+    this.onMapClick = null; // (lat, lng) → e.g. debug seek to that point of the route
+    
     this.initialize();
   }
   
@@ -56,12 +61,22 @@ export class MapVisualizer {
           this.map.invalidateSize();
         }, 100);
         
+        this.map.on('click', (event) => {
+          if (this.onMapClick) {
+            this.onMapClick(event.latlng.lat, event.latlng.lng);
+          }
+        });
+        
         console.log('Map visualizer initialized with desaturated satellite imagery');
         
         if (this.pendingRouteData) {
           this.loadRoute(this.pendingRouteData);
           this.pendingRouteData = null;
         }
+        if (this.pendingPointsOfInterest) {
+          this.loadPointsOfInterest(this.pendingPointsOfInterest);
+          this.pendingPointsOfInterest = null;
+        }
         
         // Start zoom cycle
         this.startZoomCycle();
@@ -124,6 +139,13 @@ export class MapVisualizer {
     
     console.log('Loading route with', sections.length, 'sections');
     
+    // Replace any previously loaded route
+    this.routeLayers.forEach(({ layer }) => layer.remove());
+    this.routeLayers = [];
+    if (this.positionMarker) {
+      this.positionMarker.remove();
+    }
+    
     const colors = ['#ECF1F4', '#E6EBEE', '#F8FAFB', '#F8FAFB'];
     
     // Store all coordinates for zone zoom
@@ -163,6 +185,55 @@ export class MapVisualizer {
     this.map.fitBounds(bounds, { padding: [20, 20] });
   }
   
+  /**
+   * Add markers for points of interest
+   * 
+   * @param {Array} pointsOfInterest - POIs from route mapping
+   */
+  loadPointsOfInterest(pointsOfInterest) {
+    if (!this.map) {
+      this.pendingPointsOfInterest = pointsOfInterest;
+      return;
+    }
+    
+    this.poiMarkers.forEach(marker => marker.remove());
+    this.poiMarkers.clear();
+    
+    pointsOfInterest.forEach(poi => {
+      const marker = L.circleMarker([poi.latitude, poi.longitude], {
+        radius: 4,
+        fillColor: '#747978',
+        color: '#a8b5b2',
+        weight: 1,
+        opacity: 0.8,
+        fillOpacity: 0.6
+      }).bindTooltip(poi.name, { direction: 'top' }).addTo(this.map);
+      
+      this.poiMarkers.set(poi.id, marker);
+    });
+  }
+  
+  /**
+   * Highlight a point of interest while the route is in its range
+   * 
+   * @param {string} poiId - POI id
+   * @param {boolean} active - Whether the POI is in range
+   */
+  setPointOfInterestActive(poiId, active) {
+    const marker = this.poiMarkers.get(poiId);
+    if (!marker) return;
+    
+    marker.setStyle(active
+      ? { radius: 7, fillColor: '#ffffff', fillOpacity: 0.9 }
+      : { radius: 4, fillColor: '#747978', fillOpacity: 0.6 });
+    
+    if (active) {
+      marker.openTooltip();
+    } else {
+      marker.closeTooltip();
+    }
+  }
+  
   /**
    * Update visualization based on current context
    * 
@@ -192,13 +263,31 @@ export class MapVisualizer {
     });
   }
   
+  /**
+   * Fly to a location (e.g. from a 'map' cue)
+   * The zoom cycle takes over again on its next tick
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} zoom - Zoom level
+   */
+  flyTo(lat, lng, zoom = 12) {
+    if (!this.map) return;
+    
+    this.map.flyTo([lat, lng], zoom, {
+      animate: true,
+      duration: 3
+    });
+  }
+  
   /**
    * Get current state
    */
   getState() {
     return {
       currentContext: this.currentContext,
-      sectionsLoaded: this.routeLayers.length
+      sectionsLoaded: this.routeLayers.length,
+      pointsOfInterest: this.poiMarkers.size
     };
   }
   
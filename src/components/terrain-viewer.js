@@ -90,6 +90,8 @@ export class TerrainViewer {
     
     const lat = context.geo.latitude;
     const lng = context.geo.longitude;
+    const heading = context.geo.heading ?? 0;
+    const altitude = context.geo.altitude ?? 0;
     
     // Don't update if position hasn't changed much
     if (this.currentPosition) {
@@ -102,11 +104,12 @@ export class TerrainViewer {
     
     console.log(`Updating 3D view to: ${lat.toFixed(4)}, ${lng.toFixed(4)}`);
     
-    // Fly camera to new position with smooth animation
+    // Fly camera to new position with smooth animation,
+    // looking along the direction of travel from above the terrain
     this.viewer.camera.flyTo({
-      destination: Cesium.Cartesian3.fromDegrees(lng, lat, 5000),
+      destination: Cesium.Cartesian3.fromDegrees(lng, lat, altitude + 5000),
       orientation: {
-        heading: Cesium.Math.toRadians(0),
+        heading: Cesium.Math.toRadians(heading),
         pitch: Cesium.Math.toRadians(-45),
         roll: 0.0
       },
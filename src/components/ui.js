@@ -7,6 +7,7 @@
  * - "Tune In" button (for autoplay policy compliance)
  * - Loading indicator
  * - Error messages
+ * - Captions (from timeline cues)
  * - Optional debug info panel
  */
 
@@ -18,6 +19,8 @@ export class UI {
     this.tuneInButton = null;
     this.loadingIndicator = null;
     this.errorDisplay = null;
+    this.captionDisplay = null;
+    this.captionTimer = null;
     this.debugPanel = null;
     
     this.showDebug = false; // Set to true for development
@@ -291,6 +294,35 @@ color: rgba(0, 26, 35, 0.8);
     }
   }
   
+  /**
+   * Show route loading progress (e.g. a JSON route manifest and its files)
+   * Hides the indicator once everything has loaded
+   * 
+   * @param {object} progress - {loaded, total} file counts
+   */
+  showLoadProgress(progress) {
+    if (!this.loadingIndicator) return;
+    
+    const [label, track] = this.loadingIndicator.children;
+    const bar = track.firstElementChild;
+    
+    if (progress.loaded >= progress.total) {
+      // Back to the indeterminate indicator used while tuning in
+      this.showLoading(false);
+      label.textContent = 'Loading...';
+      bar.style.animation = '';
+      bar.style.marginLeft = '';
+      bar.style.width = '0%';
+      return;
+    }
+    
+    this.showLoading(true);
+    label.textContent = `Loading route... ${progress.loaded}/${progress.total}`;
+    bar.style.animation = 'none';
+    bar.style.marginLeft = '0';
+    bar.style.width = `${Math.round(progress.loaded / progress.total * 100)}%`;
+  }
+  
   /**
    * Show error message
    */
@@ -307,6 +339,126 @@ color: rgba(0, 26, 35, 0.8);
     }
   }
   
+  /**
+   * Show a caption (e.g. from a 'caption' cue)
+   * 
+   * @param {string} text - Caption text
+   * @param {number} duration - Seconds to show it for
+   */
+  showCaption(text, duration = 8) {
+    if (!this.captionDisplay) {
+      const caption = document.createElement('div');
+      caption.id = 'caption-display';
+      caption.setAttribute('aria-live', 'polite');
+      caption.style.cssText = `
+        position: fixed;
+        bottom: 6rem;
+        left: 50%;
+        transform: translateX(-50%);
+        color: #E5EBEE;
+        font-family: 'Barlow Condensed', 'Helvetica Neue', Helvetica, sans-serif;
+        font-size: 1.4rem;
+        font-weight: 300;
+        letter-spacing: 1px;
+        text-align: center;
+        max-width: 70%;
+        opacity: 0;
+        transition: opacity 1s ease;
+        pointer-events: none;
+        z-index: 998;
+      `;
+      this.captionDisplay = caption;
+      this.container.appendChild(caption);
+    }
+    
+    this.captionDisplay.textContent = text;
+    this.captionDisplay.style.opacity = '1';
+    
+    clearTimeout(this.captionTimer);
+    this.captionTimer = setTimeout(() => {
+      this.captionDisplay.style.opacity = '0';
+    }, duration * 1000);
+  }
+  
+  /**
+   * Show or hide the buffering indicator in the now playing module
+   * 
+   * @param {boolean} buffering - Whether the audio is waiting for data
+   */
+  showBuffering(buffering) {
+    const indicator = document.getElementById('buffering-indicator');
+    if (indicator) {
+      indicator.hidden = !buffering;
+    }
+  }
+  
+  /**
+   * Update the on-air program display
+   * 
+   * @param {object} schedule - {current, next} from ScheduleManager
+   */
+  updateSchedule(schedule) {
+    const currentEl = document.getElementById('current-program');
+    const nextEl = document.getElementById('next-program');
+    if (!schedule || !currentEl) return;
+    
+    currentEl.textContent = schedule.current?.name || '';
+    
+    if (nextEl) {
+      const next = schedule.next;
+      if (next) {
+        const time = next.startsAt.toLocaleTimeString('en-GB', {
+          timeZone: this.stateManager.timelineEngine.timezone,
+          hour: '2-digit',
+          minute: '2-digit'
+        });
+        nextEl.textContent = `${time} · ${next.program.name}`;
+      } else {
+        nextEl.textContent = '';
+      }
+    }
+  }
+  
+  /**
+   * Update the nearby point of interest display
+   * Shows the POI in range, otherwise the next one ahead with its ETA
+   * 
+   * @param {object} pois - {nearby, next} from the route context
+   */
+  updatePointsOfInterest(pois) {
+    const etaEl = document.getElementById('poi-eta');
+    const nameEl = document.getElementById('poi-name');
+    if (!pois || !nameEl) return;
+    
+    let eta = '';
+    let name = '';
+    if (pois.nearby.length > 0) {
+      eta = 'passing';
+      name = pois.nearby[0].poi.name;
+    } else if (pois.next) {
+      eta = this.formatEta(pois.next.eta);
+      name = `approaching ${pois.next.poi.name}`;
+    }
+    
+    nameEl.textContent = name;
+    if (etaEl) {
+      etaEl.textContent = eta;
+    }
+  }
+  
+  /**
+   * Format an ETA in timeline seconds ("in 4 min", "in 1 h 05")
+   * 
+   * @param {number} seconds - Seconds until arrival
+   * @returns {string}
+   */
+  formatEta(seconds) {
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 1) return 'in <1 min';
+    if (minutes < 60) return `in ${minutes} min`;
+    return `in ${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')}`;
+  }
+  
   /**
    * Update debug panel
    */
@@ -320,8 +472,11 @@ color: rgba(0, 26, 35, 0.8);
       <div>Status: ${state.isPlaying ? 'PLAYING' : 'STOPPED'}</div>
       <div>Position: ${state.timeline?.currentPosition?.toFixed(2) || 0}s</div>
       <div>Progress: ${((state.timeline?.currentProgress || 0) * 100).toFixed(1)}%</div>
+      <div>Route: ${state.playlist?.current?.name || 'N/A'} (${state.playlist?.policy || '–'}${state.playlist?.pinned ? ', pinned' : ''})</div>
       <div>Section: ${state.currentContext?.section?.name || 'N/A'}</div>
+      <div>Geo: ${this.formatGeo(state.currentContext?.geo)}</div>
       <div>Audio: ${state.audio?.currentFile?.split('/').pop() || 'N/A'}</div>
+      <div>Drift: ${this.formatDrift(state.audio?.drift)}</div>
       <div>Media: ${state.media?.currentMedia?.url?.split('/').pop() || 'N/A'}</div>
       <div>Cache: ${state.media?.cacheSize || 0} items</div>
     `;
@@ -329,6 +484,37 @@ color: rgba(0, 26, 35, 0.8);
     this.debugPanel.innerHTML = info;
   }
   
+  /**
+   * Format the audio drift correction for the debug panel
+   * 
+   * @param {object} drift - AudioEngine.getState().drift
+   * @returns {string} e.g. "+0.42s, nudge 1.020x (3 nudges, 1 seek)"
+   */
+  formatDrift(drift) {
+    if (!drift) return 'N/A';
+    const sign = drift.drift >= 0 ? '+' : '';
+    const method = drift.method === 'nudge' ? `nudge ${drift.rate.toFixed(3)}x` : drift.method;
+    return `${sign}${drift.drift.toFixed(2)}s, ${method} ` +
+      `(${drift.nudges} nudge${drift.nudges === 1 ? '' : 's'}, ${drift.seeks} seek${drift.seeks === 1 ? '' : 's'})`;
+  }
+  
+  /**
+   * Format altitude, heading, speed and distance for the debug panel
+   * 
+   * @param {object} geo - Geo info from the route context
+   * @returns {string} Summary line
+   */
+  formatGeo(geo) {
+    if (!geo) return 'N/A';
+    
+    const altitude = geo.altitude !== null ? `${Math.round(geo.altitude)}m` : '–';
+    const heading = geo.heading !== null ? `${Math.round(geo.heading)}°` : '–';
+    const grade = geo.grade !== null ? `${geo.grade.toFixed(1)}%` : '–';
+    
+    return `${altitude} ${heading} ${geo.speed.toFixed(0)}km/h ${grade} · ` +
+      `${geo.distance.travelled.toFixed(1)}/${(geo.distance.travelled + geo.distance.remaining).toFixed(1)}km`;
+  }
+  
   /**
    * Clean up
    */
@@ -337,6 +523,8 @@ color: rgba(0, 26, 35, 0.8);
     if (overlay) overlay.remove();
     if (this.loadingIndicator) this.loadingIndicator.remove();
     if (this.errorDisplay) this.errorDisplay.remove();
+    if (this.captionDisplay) this.captionDisplay.remove();
+    clearTimeout(this.captionTimer);
     if (this.debugPanel) this.debugPanel.remove();
   }
 }
@@ -0,0 +1,27 @@
+// Route catalogue: every journey the installation can play, and which one is on
+// Each route has its own sections, cues and points of interest (same fields as route-config.js);
+// every other key here (timeline, schedule, audio, audioDurations) is shared by all routes
+import { routeConfig } from './route-config.js';
+
+const { timeline, schedule, audio, audioDurations, ...ringRoad } = routeConfig;
+
+export const routeCatalogue = {
+  timeline,
+  schedule,
+  audio,
+  audioDurations,
+  // Which route plays, rotating through `order` (ids of routes below)
+  // Policies: 'daily' (changes at midnight), 'weekly' (Monday midnight), 'manual' (`current` until selectRoute())
+  // Days are counted from `epoch` in timeline.timezone, so every installation plays the same route
+  playlist: {
+    policy: 'daily',
+    order: ['ring-road'],
+    epoch: '2025-01-06',
+    current: 'ring-road'
+  },
+  routes: [
+    { id: 'ring-road', name: 'Ring Road', ...ringRoad }
+    // { id: 'westfjords', name: 'Westfjords', ...westfjordsConfig },  // e.g. from './westfjords-config.js'
+    // { id: 'highlands', name: 'The Highlands', ...highlandsConfig }
+  ]
+};
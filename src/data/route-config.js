@@ -1,4 +1,129 @@
 export const routeConfig = {
+  // Timeline mapping: which part of the route plays at a given moment
+  timeline: {
+    timezone: 'Atlantic/Reykjavik', // Reference clock shared by all listeners
+    cycle: {
+      epoch: null,     // Fixed start instant (e.g. '2025-06-01T00:00:00Z'); null = daily at midnight
+      length: 86400,   // Cycle length in seconds
+      dailyOffset: 0   // Seconds added before wrapping (e.g. -21600 = cycle starts at 06:00)
+    },
+    mode: 'clock',     // 'clock' = cycle above, 'solar' = follow sunrise/noon/sunset
+    solar: {
+      latitude: 64.1466,  // Reference coordinate for solar times (Reykjavík)
+      longitude: -21.9426,
+      // Day phase → section whose start plays at that moment
+      // Phases: 'solarMidnight', 'sunrise', 'solarNoon', 'sunset'
+      anchors: [
+        { phase: 'sunrise', sectionId: 'section_1' },
+        { phase: 'solarNoon', sectionId: 'section_2' },
+        { phase: 'sunset', sectionId: 'section_3' },
+        { phase: 'solarMidnight', sectionId: 'section_4' }
+      ]
+    },
+    clockSync: {
+      endpoint: null,         // Time server URL (e.g. 'http://localhost:8787/time'); null = local clock
+      samples: 8,             // NTP-style samples per sync
+      timeout: 2000,          // Per-sample timeout (ms)
+      startTimeout: 3000,     // Startup waits at most this for a first sample (ms)
+      resyncInterval: 600000  // Re-estimate offset every 10 minutes
+    }
+  },
+  // Startup check of the hand-entered audioFiles durations against the real files
+  // Off by default: startup waits for every file to be probed. Run the tool below instead
+  // method: 'metadata' (browser reads each file's metadata) or 'header' (range request + parse MP3/WAV)
+  // Mismatches over `tolerance` seconds are logged; useMeasured builds the route from the measured durations
+  // `node tools/measure-durations.mjs --write` writes them back into this file
+  audioDurations: {
+    verify: false,
+    method: 'metadata',
+    tolerance: 0.5,
+    useMeasured: false
+  },
+  // Audio playback: 'buffer' = decoded in chunks and scheduled sample-accurately (gapless),
+  // 'element' = HTML5 audio (streams, little memory), 'auto' = buffer unless the device
+  // reports less than minDeviceMemory GB or an audio file has a `stream` or `sources`; buffer playback
+  // falls back to element on errors
+  audio: {
+    playback: 'auto',
+    minDeviceMemory: 2,
+    chunkDuration: 20,   // Seconds decoded at a time
+    scheduleAhead: 40,   // Seconds kept decoded and scheduled
+    // Default transition between tracks: 'gapless', { type: 'crossfade', duration: 4 }
+    // or { type: 'fade', fadeOut: 2, fadeIn: 3 }; override with `transition` on a section
+    // (into its first track) or an audio file (into that file). A crossfade overlaps the
+    // tracks, so it shortens the route by its duration
+    transition: 'gapless',
+    // Failed tracks: retried with backoff (the last retry cache-busted), then skipped for
+    // skipFor ms while the timeline runs on; roomTone (a looping file) fills the silence
+    recovery: {
+      retries: 3,
+      retryDelay: 1000,      // ms, doubled for each retry
+      maxRetryDelay: 16000,
+      cacheBust: true,
+      skipFor: 600000,
+      roomTone: null,        // e.g. '/iceland/public/audio/room-tone.mp3'
+      roomToneVolume: 0.5
+    },
+    // Drift between the timeline and an element's playback: 'nudge' plays up to maxRateChange
+    // faster or slower until it is back on time, and only seeks past seekThreshold seconds;
+    // 'seek' jumps whenever drift passes 0.5s. Buffer playback always reschedules
+    driftCorrection: {
+      method: 'nudge',
+      maxRateChange: 0.02,  // ±2%, inaudible
+      tolerance: 0.05,      // Seconds of drift left alone
+      seekThreshold: 2
+    },
+    // HLS streams (`stream` on an audio file, written by `node tools/segment-audio.mjs --write`):
+    // element playback fetches the segments around the playing position at the bitrate the
+    // connection allows, and keeps this many seconds buffered ahead of and behind it
+    streaming: {
+      bufferAhead: 30,
+      bufferBehind: 30
+    },
+    // Alternative encodings: `sources` on an audio file, best first, e.g.
+    // { url: '.../track_01.flac', type: 'audio/flac', bitrate: 1100 } (kbps); `url` is the last
+    // resort. 'auto' picks the first the browser plays that fits the measured bandwidth,
+    // 'high' the first it plays, 'low' the lowest bitrate
+    quality: 'auto'
+  },
+  // Timed events, fired once each time the timeline crosses them
+  // Position is absolute (seconds), or `sectionId` + `offset` from the section start
+  // Built-in types: 'caption' {text, duration}, 'map' {latitude, longitude, zoom}
+  // e.g. { type: 'caption', position: 1234, text: 'Jökulsárlón', duration: 8 }
+  //      { type: 'map', sectionId: 'section_1', offset: 2700, latitude: 64.048, longitude: -16.179, zoom: 12 }
+  cues: [],
+  // Points of interest: named places along the route with a proximity radius (metres)
+  // Entering/leaving the radius fires poiEnter/poiLeave; the next one ahead is shown with its ETA
+  // Optional: description (caption), image (shown on entering), cue (fired on entering, any cue type)
+  pointsOfInterest: [
+    { id: 'seljalandsfoss', name: 'Seljalandsfoss', latitude: 63.6156, longitude: -19.9886, radius: 1500,
+      description: 'The waterfall you can walk behind' },
+    { id: 'skogafoss', name: 'Skógafoss', latitude: 63.5321, longitude: -19.5114, radius: 2000,
+      description: 'Sixty metres of falling water' },
+    { id: 'vik', name: 'Vík', latitude: 63.4186, longitude: -19.0060, radius: 1500,
+      description: 'Black sand beach and basalt sea stacks' },
+    { id: 'jokulsarlon', name: 'Jökulsárlón', latitude: 64.048, longitude: -16.179, radius: 2000,
+      description: 'Glacier lagoon' }
+  ],
+  // Scheduled programming: which program is on air, by date, weekday and time of day
+  // Slots are checked in order, first match wins; times are in timeline.timezone
+  // Slot fields: program, date ('MM-DD' or 'YYYY-MM-DD'), weekdays ([0-6], 0 = Sunday), from/to ('HH:MM')
+  // e.g. { program: 'nationalDay', date: '06-17' }
+  //      { program: 'nightEdition', from: '00:00', to: '04:00' }
+  //      { program: 'maintenance', weekdays: [1], from: '03:00', to: '05:00' }
+  schedule: {
+    default: 'regular',
+    programs: {
+      regular: { name: 'Iceland Sound Route' },
+      nationalDay: { name: 'Þjóðhátíðardagurinn', sections: ['section_3'] },
+      nightEdition: { name: 'Night Edition', sections: ['section_4'] },
+      maintenance: { name: 'Maintenance', silent: true }
+    },
+    slots: []
+  },
+  // geoPath points: [lat, lng, altitude_meters], optionally with a 4th element,
+  // an audio-time anchor (seconds into the section) or a GPS timestamp (needs `recordedAt`)
+  // audioFiles may set geoStart/geoEnd (geoPath index or [lat, lng]) where they were recorded
   sections: [
     {
       id: 'section_1',
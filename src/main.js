@@ -5,7 +5,7 @@
  * This file initializes and coordinates all systems.
  */
 
-import { routeConfig } from './data/route-config.js';
+import { routeCatalogue } from './data/route-catalogue.js';
 import { StateManager } from './systems/state-manager.js';
 import { MediaDisplay } from './components/media-display.js';
 import { MapVisualizer } from './components/map-visualizer.js';
@@ -38,17 +38,20 @@ class RadioInstallation {
         throw new Error('Required DOM containers not found');
       }
       
-      // Initialize state manager
-      this.stateManager = new StateManager(routeConfig);
-      await this.stateManager.initialize();
-      
-      // Initialize UI (includes tune-in button)
+      // Initialize state manager and UI (includes tune-in button)
+      // UI first, so it can show route manifest loading progress
+      this.stateManager = new StateManager(routeCatalogue);
       this.ui = new UI(uiContainer, this.stateManager);
+      this.stateManager.onLoadProgress = (progress) => {
+        this.ui.showLoadProgress(progress);
+      };
+      await this.stateManager.initialize();
       
       // Initialize map visualizer
       this.mapVisualizer = new MapVisualizer(mapContainer);
       const routeInfo = this.stateManager.getRouteInfo();
       this.mapVisualizer.loadRoute(routeInfo.sections);
+      this.mapVisualizer.loadPointsOfInterest(routeInfo.pointsOfInterest);
       
       // Initialize media display
       this.mediaDisplay = new MediaDisplay(
@@ -56,15 +59,47 @@ class RadioInstallation {
         this.stateManager.mediaController
       );
       
-      // Wire up state manager callbacks
-      this.stateManager.onContextChange = (context) => {
+      // Map follows the route on the render channel
+      this.stateManager.subscribeRender((context) => {
         this.onContextChange(context);
-      };
+      }, { maxRate: 30 });
+      
+      // Nearby / next point of interest (ETA changes slowly)
+      this.stateManager.subscribeRender((context) => {
+        this.ui.updatePointsOfInterest(context.pois);
+      }, { maxRate: 1 });
       
+      // Wire up state manager callbacks
       this.stateManager.onError = (error) => {
         this.onError(error);
       };
       
+      this.stateManager.onBufferingChange = (status) => {
+        this.ui.showBuffering(status.buffering);
+      };
+      
+      this.stateManager.onScheduleChange = (schedule) => {
+        this.ui.updateSchedule(schedule);
+      };
+      this.ui.updateSchedule(this.stateManager.getState().schedule);
+      
+      // Another route from the playlist: redraw the map
+      this.stateManager.onRouteChange = (route) => {
+        this.mapVisualizer.loadRoute(route.sections);
+        this.mapVisualizer.loadPointsOfInterest(route.pointsOfInterest);
+      };
+      
+      // React to timeline cues and points of interest
+      this.wireCues();
+      this.wirePointsOfInterest();
+      
+      // Debug: click the route on the map to jump there
+      if (this.ui.showDebug) {
+        this.mapVisualizer.onMapClick = (lat, lng) => {
+          this.seekToMapPoint(lat, lng);
+        };
+      }
+      
       this.isInitialized = true;
       console.log('Initialization complete');
       console.log('Waiting for user interaction...');
@@ -78,7 +113,75 @@ class RadioInstallation {
   }
   
   /**
-   * Handle context changes (timeline updates)
+   * Wire built-in cue types to components
+   * Other components can subscribe to their own cue types the same way
+   */
+  wireCues() {
+    const timeline = this.stateManager.timelineEngine;
+    
+    timeline.subscribeCue('caption', (cue) => {
+      this.ui.showCaption(cue.text, cue.duration);
+    });
+    
+    timeline.subscribeCue('map', (cue) => {
+      this.mapVisualizer.flyTo(cue.latitude, cue.longitude, cue.zoom);
+    });
+  }
+  
+  /**
+   * React to the route entering and leaving points of interest
+   */
+  wirePointsOfInterest() {
+    const timeline = this.stateManager.timelineEngine;
+    
+    timeline.subscribeEvent('poiEnter', ({ poi }) => {
+      this.mapVisualizer.setPointOfInterestActive(poi.id, true);
+      if (this.stateManager.currentProgram?.silent) return; // Maintenance: no caption, media or cue
+      
+      this.ui.showCaption(poi.description ? `${poi.name} — ${poi.description}` : poi.name);
+      
+      if (poi.image) {
+        this.stateManager.mediaController.displayMedia({ type: 'image', url: poi.image });
+      }
+      if (poi.cue) {
+        timeline.fireCue(poi.cue);
+      }
+    });
+    
+    timeline.subscribeEvent('poiLeave', ({ poi }) => {
+      this.mapVisualizer.setPointOfInterestActive(poi.id, false);
+    });
+  }
+  
+  /**
+   * Jump the timeline to where the route passes a map point (debug only)
+   * Clicking the same place again steps through later passes of the route.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   */
+  seekToMapPoint(lat, lng) {
+    const candidates = this.stateManager.routeMapping.findPositionsNear(lat, lng, { maxDistance: 5 });
+    if (candidates.length === 0) {
+      console.log('[Debug] No route within 5 km of', lat.toFixed(4), lng.toFixed(4));
+      return;
+    }
+    
+    const key = candidates.map(candidate => Math.round(candidate.position)).join(',');
+    this.mapSeek = this.mapSeek?.key === key
+      ? { key, index: (this.mapSeek.index + 1) % candidates.length }
+      : { key, index: 0 };
+    
+    const target = candidates[this.mapSeek.index];
+    console.log(
+      `[Debug] Seeking to ${target.position.toFixed(1)}s (${target.section.name}, ` +
+      `${target.distance.toFixed(2)} km from click), pass ${this.mapSeek.index + 1} of ${candidates.length}`
+    );
+    this.stateManager.seekTo(target.position);
+  }
+  
+  /**
+   * Handle context changes (render frames)
    */
   onContextChange(context) {
     // Update map visualization
@@ -92,7 +195,8 @@ class RadioInstallation {
    */
   onError(error) {
     console.error('Application error:', error);
-    if (this.ui) {
+    // Audio retries usually succeed: only show what they couldn't fix
+    if (this.ui && error.type !== 'audio-retry') {
       this.ui.showError(error.message);
     }
   }
@@ -150,27 +254,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   const elevationCanvas = document.getElementById('elevation-profile');
   const elevationCtx = elevationCanvas ? elevationCanvas.getContext('2d') : null;
   const elevationLabel = document.getElementById('elevation-section-label');
-  let cachedSectionId = null;
+  let cachedSection = null;
   let cachedProfile = null;
   
-  function buildElevationProfile(geoPath) {
+  function buildElevationProfile(section) {
+    const geoPath = section?.geoPath;
     if (!geoPath || geoPath.length < 2) return null;
     
-    const hasAltitude = geoPath[0].length >= 3;
-    const elevations = geoPath.map(p => hasAltitude ? p[2] : p[0]);
+    // Needs [lat, lng, altitude] points
+    const elevations = geoPath.map(p => p[2]);
+    if (elevations.some(elevation => typeof elevation !== 'number')) return null;
+    
     const minElev = Math.min(...elevations);
     const maxElev = Math.max(...elevations);
     const range = maxElev - minElev || 1;
     
-    const distances = [0];
-    for (let i = 1; i < geoPath.length; i++) {
-      const [lat1, lng1] = geoPath[i - 1];
-      const [lat2, lng2] = geoPath[i];
-      const dlat = lat2 - lat1;
-      const dlng = lng2 - lng1;
-      const d = Math.sqrt(dlat * dlat + dlng * dlng);
-      distances.push(distances[i - 1] + d);
-    }
+    // Same cumulative distances as the route context (km)
+    const distances = section.distanceTable;
     const totalDist = distances[distances.length - 1] || 1;
     
     const maxPoints = 200;
@@ -300,20 +400,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     elevationCtx.stroke();
   }
   
-  // Update elevation profile on context changes
-  const origOnContextChange = app.stateManager.onContextChange;
-  app.stateManager.onContextChange = (context) => {
-    if (origOnContextChange) origOnContextChange(context);
+  // Update elevation profile on render frames (moves slowly, 10fps is plenty)
+  app.stateManager.subscribeRender((context) => {
+    // Compare section objects, not ids: another route may reuse the same ids
+    const section = app.stateManager.routeMapping.getSectionById(context.section.id);
+    if (section !== cachedSection) {
+      cachedSection = section;
+      cachedProfile = buildElevationProfile(section);
+    }
     
-    if (!context) return;
+    // Profile x axis is distance, so place the dot by distance travelled
+    const { distance, altitude } = context.geo;
+    drawElevationProfile(distance.travelledInSection / (context.section.distance || 1));
     
-    if (context.section.id !== cachedSectionId) {
-      cachedSectionId = context.section.id;
-      cachedProfile = buildElevationProfile(context.geo.path);
+    if (elevationLabel) {
+      elevationLabel.textContent = altitude !== null
+        ? `elevation · ${Math.round(altitude)} m`
+        : 'elevation';
     }
-    
-    drawElevationProfile(context.section.progressInSection);
-  };
+  }, { maxRate: 10 });
   
   // Volume control
   const volumeSlider = document.getElementById('volume-slider');
@@ -372,7 +477,8 @@ document.addEventListener('visibilitychange', () => {
     }
     
     // 3. Resume media controller — loads a fresh video/image immediately
-    if (app.stateManager.mediaController) {
+    //    (unless the schedule has the installation off air)
+    if (app.stateManager.mediaController && !app.stateManager.currentProgram?.silent) {
       app.stateManager.mediaController.resume();
     }
   }
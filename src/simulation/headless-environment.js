@@ -0,0 +1,258 @@
+/**
+ * HEADLESS ENVIRONMENT
+ * 
+ * Minimal stand-ins for the browser APIs used by the systems (Audio,
+ * AudioContext, Image, document), driven by a VirtualClock.
+ * Lets the whole installation run in Node without a browser or audio device.
+ * 
+ * SIMULATED AUDIO:
+ * - currentTime advances with the virtual clock while playing
+ * - load() fires 'loadedmetadata' at once, with the configured duration
+ * - 'ended' fires when playback reaches the file's configured duration
+ * - 'error' fires for URLs with no known duration
+ */
+
+class SimulatedEventTarget {
+  constructor() {
+    this.eventListeners = {};
+  }
+  
+  addEventListener(type, callback) {
+    (this.eventListeners[type] ||= []).push(callback);
+  }
+  
+  removeEventListener(type, callback) {
+    const listeners = this.eventListeners[type] || [];
+    const index = listeners.indexOf(callback);
+    if (index > -1) listeners.splice(index, 1);
+  }
+  
+  dispatchEvent(event) {
+    (this.eventListeners[event.type] || []).forEach(callback => callback(event));
+  }
+}
+
+/**
+ * Create an Audio class bound to a clock and a table of file durations
+ * 
+ * @param {object} clock - VirtualClock
+ * @param {Map} durations - url → duration in seconds
+ * @returns {Function} Audio constructor
+ */
+function createSimulatedAudio(clock, durations) {
+  return class SimulatedAudio extends SimulatedEventTarget {
+    constructor(src = '') {
+      super();
+      this.crossOrigin = null;
+      this.preload = 'auto';
+      this.paused = true;
+      this.rate = 1;
+      this.volume = 1;
+      this.position = 0;       // Seconds, as of playStartedAt
+      this.playStartedAt = 0;  // Clock time when playback (re)started
+      this.endTimer = null;
+      this.source = '';
+      this.src = src;
+    }
+    
+    get src() {
+      return this.source;
+    }
+    
+    set src(url) {
+      this.source = url;
+      this.position = 0;
+      this.scheduleEnd();
+    }
+    
+    get duration() {
+      return durations.has(this.source) ? durations.get(this.source) : NaN;
+    }
+    
+    get currentTime() {
+      if (this.paused) return this.position;
+      const elapsed = (clock.now() - this.playStartedAt) / 1000 * this.playbackRate;
+      return Math.min(this.position + elapsed, this.duration || Infinity);
+    }
+    
+    set currentTime(seconds) {
+      this.position = Math.max(0, seconds);
+      this.playStartedAt = clock.now();
+      this.scheduleEnd();
+    }
+    
+    get playbackRate() {
+      return this.rate;
+    }
+    
+    set playbackRate(rate) {
+      // Rebase so the new rate applies from now on
+      this.position = this.currentTime;
+      this.playStartedAt = clock.now();
+      this.rate = rate;
+      this.scheduleEnd();
+    }
+    
+    load() {
+      if (this.source && !durations.has(this.source)) {
+        clock.setTimeout(() => this.dispatchEvent({ type: 'error', target: this }), 0);
+      } else if (this.source) {
+        this.dispatchEvent({ type: 'loadedmetadata', target: this });
+      }
+    }
+    
+    play() {
+      if (!durations.has(this.source)) {
+        return Promise.reject(new Error(`No simulated duration for ${this.source}`));
+      }
+      if (this.paused) {
+        this.paused = false;
+        this.playStartedAt = clock.now();
+        this.scheduleEnd();
+        this.dispatchEvent({ type: 'play', target: this });
+      }
+      return Promise.resolve();
+    }
+    
+    pause() {
+      if (this.paused) return;
+      this.position = this.currentTime;
+      this.paused = true;
+      this.scheduleEnd();
+      this.dispatchEvent({ type: 'pause', target: this });
+    }
+    
+    /**
+     * (Re)schedule the 'ended' event for the current play state
+     */
+    scheduleEnd() {
+      if (this.endTimer) {
+        clock.clearTimeout(this.endTimer);
+        this.endTimer = null;
+      }
+      if (this.paused || !durations.has(this.source)) return;
+      
+      const remaining = (this.duration - this.currentTime) / this.playbackRate;
+      this.endTimer = clock.setTimeout(() => {
+        this.endTimer = null;
+        this.position = this.duration;
+        this.paused = true;
+        this.dispatchEvent({ type: 'ended', target: this });
+      }, Math.max(0, remaining) * 1000);
+    }
+  };
+}
+
+/**
+ * Create an AudioContext class bound to a clock
+ * Audio nodes accept connections but process nothing
+ * 
+ * @param {object} clock - VirtualClock
+ * @returns {Function} AudioContext constructor
+ */
+function createSimulatedAudioContext(clock) {
+  const createNode = (extra = {}) => ({
+    connect() {},
+    disconnect() {},
+    ...extra
+  });
+  const createParam = (value) => ({
+    value,
+    setValueAtTime(v) { this.value = v; },
+    linearRampToValueAtTime(v) { this.value = v; },
+    setTargetAtTime(v) { this.value = v; },
+    setValueCurveAtTime(curve) { this.value = curve[curve.length - 1]; },
+    cancelScheduledValues() {}
+  });
+  
+  return class SimulatedAudioContext {
+    constructor() {
+      this.state = 'running';
+      this.sampleRate = 48000;
+      this.destination = createNode();
+      this.startedAt = clock.now();
+    }
+    
+    get currentTime() {
+      return (clock.now() - this.startedAt) / 1000;
+    }
+    
+    createGain() {
+      return createNode({ gain: createParam(1) });
+    }
+    
+    createAnalyser() {
+      return createNode({
+        fftSize: 2048,
+        frequencyBinCount: 32,
+        smoothingTimeConstant: 0.8,
+        getByteFrequencyData() {}
+      });
+    }
+    
+    createMediaElementSource() {
+      return createNode();
+    }
+    
+    async resume() {
+      this.state = 'running';
+    }
+    
+    async close() {
+      this.state = 'closed';
+    }
+  };
+}
+
+/**
+ * Install headless stand-ins on the global object
+ * Only fills in what is missing, so it is harmless in a real browser.
+ * 
+ * @param {object} clock - VirtualClock driving simulated media
+ * @param {object} routeConfig - Route configuration or catalogue (for audio durations)
+ * @returns {Function} Uninstall function
+ */
+export function installHeadlessEnvironment(clock, routeConfig) {
+  const durations = new Map();
+  (routeConfig.routes || [routeConfig]).forEach(route => {
+    // Routes given only as a manifest aren't loaded yet: no durations
+    (route.sections || []).forEach(section => {
+      section.audioFiles.forEach(file => {
+        durations.set(file.url, file.duration);
+        (file.sources || []).forEach(source => durations.set(source.url, file.duration));
+      });
+    });
+  });
+  
+  const SimulatedImage = class extends SimulatedEventTarget {
+    constructor() {
+      super();
+      this.src = '';
+    }
+  };
+  
+  const globals = {
+    window: globalThis,
+    Audio: createSimulatedAudio(clock, durations),
+    AudioContext: createSimulatedAudioContext(clock),
+    Image: SimulatedImage,
+    document: {
+      hidden: false,
+      getElementById: () => null,
+      querySelectorAll: () => [],
+      addEventListener() {},
+      createElement: () => new SimulatedImage()
+    }
+  };
+  
+  const installed = Object.keys(globals).filter(name => !(name in globalThis));
+  installed.forEach(name => {
+    globalThis[name] = globals[name];
+  });
+  
+  return () => {
+    installed.forEach(name => {
+      delete globalThis[name];
+    });
+  };
+}
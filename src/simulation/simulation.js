@@ -0,0 +1,180 @@
+/**
+ * SIMULATION
+ * 
+ * Drives the whole installation headlessly on a VirtualClock and records
+ * every transition: route switches, timeline loops and resyncs, section and
+ * track changes, points of interest, audio playback and preloading, media
+ * changes and media pool resets.
+ * 
+ * A 4-hour loop can be stepped through as fast as possible, or run at a
+ * multiple of real time (e.g. 100x). See tools/simulate.mjs for the CLI.
+ */
+
+import { StateManager } from '../systems/state-manager.js';
+import { VirtualClock } from '../systems/clock.js';
+import { installHeadlessEnvironment } from './headless-environment.js';
+
+// Real timer, used to wait while the clock runs in real time
+const realSetTimeout = globalThis.setTimeout.bind(globalThis);
+
+/**
+ * Run a simulation
+ * 
+ * @param {object} options
+ * @param {object} options.routeConfig - Route configuration or catalogue
+ * @param {number|string|Date} options.startTime - Simulated wall-clock start
+ * @param {number} options.duration - Simulated seconds to run
+ * @param {number} options.rate - Speed multiplier; 0 = step as fast as possible
+ * @param {number} options.stepSize - Milliseconds per step in stepped mode
+ * @param {number} options.updateRate - Timeline updates per simulated second
+ * @param {number} options.videoDuration - Seconds a video plays before 'ended'
+ * @param {Function} options.onTransition - Called with each log entry
+ * @returns {Promise<Array>} Log of all transitions
+ */
+export async function runSimulation(options) {
+  const {
+    routeConfig,
+    startTime = Date.now(),
+    duration = 4 * 3600,
+    rate = 0,
+    stepSize = 1000,
+    updateRate = 1,
+    videoDuration = 30,
+    onTransition = null
+  } = options;
+  
+  const clock = new VirtualClock({ startTime });
+  const uninstall = installHeadlessEnvironment(clock, routeConfig);
+  const log = [];
+  
+  const stateManager = new StateManager(routeConfig, clock);
+  
+  const record = (type, details = {}) => {
+    const entry = {
+      time: new Date(clock.wallTime()).toISOString(),
+      elapsed: clock.now() / 1000,
+      position: stateManager.timelineEngine?.getCurrentPosition() ?? null,
+      type,
+      ...details
+    };
+    log.push(entry);
+    if (onTransition) onTransition(entry);
+  };
+  
+  try {
+    if (!await stateManager.initialize()) {
+      throw new Error('Simulation failed to initialize');
+    }
+    
+    const { timelineEngine, audioEngine, mediaController } = stateManager;
+    timelineEngine.updateRate = updateRate;
+    
+    stateManager.onRouteChange = (route) => {
+      record('route', { routeId: route.id, sections: route.sections.length });
+    };
+    stateManager.onBufferingChange = (status) => {
+      record('audio-buffering', status);
+    };
+    
+    // Media: stand in for MediaDisplay, which ends videos in the browser
+    mediaController.onMediaChange = (item) => {
+      record('media', { mediaType: item.type, url: item.url });
+      if (item.type === 'video') {
+        clock.setTimeout(() => {
+          if (mediaController.currentMedia === item) {
+            mediaController.transitionToNext();
+          }
+        }, videoDuration * 1000);
+      }
+    };
+    mediaController.onPoolReset = (sectionId) => {
+      record('media-pool-reset', { sectionId });
+    };
+    
+    // Timeline: transition events
+    timelineEngine.subscribeEvent('loop', (event) => {
+      record('loop', { loopCount: event.loopCount });
+    });
+    timelineEngine.subscribeEvent('drift-corrected', (event) => {
+      record('timeline-resync', {
+        from: event.previousPosition,
+        to: event.position,
+        drift: event.drift
+      });
+    });
+    timelineEngine.subscribeEvent('sectionEnter', (event) => {
+      record('section', { from: event.previousSectionId, to: event.sectionId, cause: event.cause });
+    });
+    timelineEngine.subscribeEvent('trackChange', (event) => {
+      record('track', {
+        from: event.previousTrack?.url || null,
+        to: event.track.url,
+        cause: event.cause
+      });
+    });
+    timelineEngine.subscribeEvent('poiEnter', (event) => {
+      record('poi-enter', { poi: event.poi.id, cause: event.cause });
+    });
+    timelineEngine.subscribeEvent('poiLeave', (event) => {
+      record('poi-leave', { poi: event.poi.id, cause: event.cause });
+    });
+    
+    // Audio: compare playback state on every timeline update
+    const last = {
+      playingUrl: null,
+      preloadUrl: null,
+      mismatch: false
+    };
+    
+    timelineEngine.subscribe((data) => {
+      const context = stateManager.routeMapping.getContextAtPosition(data.position);
+      if (!context) return;
+      
+      const playingUrl = audioEngine.currentAudio?.src || null;
+      if (playingUrl !== last.playingUrl) {
+        record('audio-playing', { url: playingUrl });
+      }
+      const preloadUrl = audioEngine.nextAudio?.src || null;
+      if (preloadUrl && preloadUrl !== last.preloadUrl) {
+        record('audio-preload', { url: preloadUrl });
+      }
+      
+      // Playing something other than what the timeline expects
+      const mismatch = audioEngine.isPlaying && playingUrl !== context.audio.file.url;
+      if (mismatch && !last.mismatch) {
+        record('audio-mismatch', { expected: context.audio.file.url, playing: playingUrl });
+      }
+      
+      Object.assign(last, {
+        playingUrl,
+        preloadUrl: preloadUrl || last.preloadUrl,
+        mismatch
+      });
+    });
+    
+    record('start', { entryPosition: timelineEngine.calculatePositionFromTimeOfDay() });
+    if (!await stateManager.start()) {
+      throw new Error('Simulation failed to start');
+    }
+    
+    const end = duration * 1000;
+    if (rate > 0) {
+      clock.run(rate);
+      while (clock.now() < end) {
+        await new Promise(resolve => realSetTimeout(resolve, 100));
+      }
+      clock.pause();
+    } else {
+      while (clock.now() < end) {
+        await clock.step(Math.min(stepSize, end - clock.now()));
+      }
+    }
+    
+    record('end');
+    return log;
+  
+  } finally {
+    stateManager.destroy();
+    uninstall();
+  }
+}
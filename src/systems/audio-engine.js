@@ -5,24 +5,116 @@
  * Audio follows the timeline, not the other way around.
  * 
  * FEATURES:
- * - Gapless playback between tracks
+ * - Gapless playback between tracks, or a crossfade or fade per track
+ *   boundary (see audio-transitions.js)
  * - Preloading of current + next track
  * - Seeking to arbitrary positions
- * - Sync correction when drift is detected
+ * - Sync correction when drift is detected: small drift is nudged away
+ *   with playbackRate (the element's, or that of the next buffer chunks),
+ *   large drift is seeked or rescheduled
  * - Web Audio API integration (for future analysis/effects)
  * 
+ * PLAYBACK MODES (config `audio.playback`):
+ * - 'buffer': tracks decoded in chunks and scheduled on the AudioContext
+ *   clock, sample-accurate across track changes (see gapless-player.js)
+ * - 'element': HTML5 Audio elements, next track started on 'ended'
+ *   (a short gap; streams, so it needs little memory)
+ * - 'auto': 'buffer' unless the browser can't decode into buffers, the
+ *   device reports less than `minDeviceMemory` GB, or files have `stream`s
+ *   or `sources` (buffers decode FLAC, AAC or Opus only whole, so long
+ *   tracks would never get them)
+ * If buffer playback fails, the engine falls back to 'element'.
+ * 
+ * STREAMING (element mode):
+ * A file with a `stream` (an HLS master playlist, see tools/segment-audio.mjs)
+ * plays from its segments through MSE (see hls-source.js), or natively where
+ * the browser plays HLS itself; `url` stays the file's identity and the
+ * fallback: a stream that fails is dropped like an alternative source (see
+ * SOURCES), and the file loads from its sources. 'auto' picks element
+ * playback for routes with streams.
+ * 
+ * SOURCES (config `audio.quality`):
+ * A file can list alternative encodings (`sources`, see audio-sources.js).
+ * Each time a file is loaded, the engine picks one the browser can play,
+ * by the quality preference and the measured bandwidth: a first guess from
+ * the Network Information API, then the speed of fetched files and stream
+ * segments; a stall caps it at the bitrate that stalled. Buffer playback
+ * takes only what it can decode in chunks (MP3, WAV). An alternative the
+ * browser can't decode is dropped for the next source; one that fails to
+ * load is retried like any file, and dropped once out of retries. Either
+ * is tried again after `skipFor` ms, like a skipped file.
+ * 
+ * TRANSITIONS (element mode):
+ * Each element plays through its own gain node (a voice). Near the end of
+ * a track, update() fades the current voice out and, for a crossfade,
+ * starts the next track on a second voice so it has played `overlap`
+ * seconds when the current one ends; 'ended' then makes it current.
+ * 
+ * ERROR RECOVERY (config `audio.recovery`):
+ * A track that fails to load or play is retried with exponential backoff,
+ * the last retry with a cache-busting query parameter. If every retry
+ * fails, the file is skipped for `skipFor` ms: the timeline keeps running
+ * and the next playable track starts on its turn. While track audio is
+ * out, an optional room-tone (or station ident) loop fills the gap. Each
+ * failure is reported to `onError` as {type: 'audio-retry' | 'audio-skip', ...}.
+ * 
+ * BUFFERING:
+ * On a slow connection the audio stops while the timeline runs on. Playback
+ * that makes no progress for `stallTimeout` ms counts as buffering (the
+ * element's 'waiting' / 'stalled' events give the reason; in buffer mode,
+ * the player's queue running dry). Start and end are reported to
+ * `onBufferingChange`, and when the audio comes back it rejoins the
+ * timeline instead of carrying on from where it stopped.
+ * 
  * ARCHITECTURE:
- * - Uses HTML5 Audio elements for streaming
+ * - Uses HTML5 Audio elements or AudioBuffers
  * - Routes through Web Audio API for future extensibility
  * - Maintains queue of current + upcoming audio
  */
 
+import { SystemClock } from './clock.js';
+import { GaplessPlayer } from './gapless-player.js';
+import { HlsSource } from './hls-source.js';
+import { scheduleFade } from '../utils/audio-transitions.js';
+import { QUALITY_LEVELS, chooseSource } from '../utils/audio-sources.js';
+import { addBandwidthSample } from '../utils/bandwidth.js';
+
+const HLS_TYPE = 'application/vnd.apple.mpegurl';
+
+const RECOVERY_DEFAULTS = {
+  retries: 3,           // Retries of a failed file before skipping it
+  retryDelay: 1000,     // ms before the first retry, doubled for each one after
+  maxRetryDelay: 16000,
+  cacheBust: true,      // Last retry adds ?retry=<time> to get past broken caches
+  skipFor: 600000,      // ms a file that failed every retry is skipped
+  roomTone: null,       // URL of a loop played while track audio is out (null: silence)
+  roomToneVolume: 0.5
+};
+
+const DRIFT_DEFAULTS = {
+  method: 'nudge',      // 'nudge': playbackRate within ±maxRateChange; 'seek': jump past syncThreshold
+  maxRateChange: 0.02,  // Largest rate change (±2% is inaudible in the recordings)
+  tolerance: 0.05,      // Seconds of drift left alone
+  seekThreshold: 2      // Seconds of drift seeked instead of nudged
+};
+
 export class AudioEngine {
-  constructor(routeMapping) {
+  /**
+   * @param {RouteMapping} routeMapping - Route mapping instance
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   * @param {object} config - Audio config ({playback, minDeviceMemory, chunkDuration, scheduleAhead, recovery, driftCorrection, streaming, quality})
+   */
+  constructor(routeMapping, clock = new SystemClock(), config = {}) {
     this.routeMapping = routeMapping;
+    this.clock = clock;
+    this.config = config;
     this.audioContext = null;
     this.currentAudio = null;
+    this.currentVoice = null;  // Gain node of the current element
     this.nextAudio = null;
+    this.nextFileInfo = null;
+    this.incoming = null;      // {audio, voice, file, timer}: next track, crossfading in
+    this.fadingOut = false;    // Current voice's fade-out is scheduled
     this.currentFileInfo = null;
     this.isPlaying = false;
     this.masterGainNode = null;
@@ -31,10 +123,57 @@ export class AudioEngine {
     // Preload tracking
     this.preloadedFiles = new Set();
     
+    // HLS streams: element → HlsSource (config `audio.streaming`: {bufferAhead, bufferBehind})
+    this.streams = new WeakMap();
+    
+    // Source choice
+    this.quality = config.quality || 'auto'; // 'auto' | 'high' | 'low'
+    this.bandwidth = null;            // Measured bits per second (moving average)
+    this.selectedSources = new Map(); // file url → source last chosen for it
+    this.unplayable = new Map();      // URL → clock time a source was given up on
+    this.probe = null;                // Element asked canPlayType
+    
+    // Playback mode: 'buffer' (GaplessPlayer) or 'element' (HTML5 Audio)
+    this.playbackMode = null;
+    this.player = null;
+    this.pausedAt = null; // {file, offset} where buffer playback was paused
+    this.restartPending = false;
+    
+    // Error recovery
+    this.recoveryConfig = { ...RECOVERY_DEFAULTS, ...config.recovery };
+    this.recovery = null;         // {file, attempt, cacheBust, timer}: file being retried
+    this.failedFiles = new Map(); // url → clock time it failed every retry
+    this.fillingGap = false;      // A skipped file's turn: waiting for the next track
+    this.roomTone = null;         // {audio, voice} while the room tone plays
+    this.lastPosition = 0;        // Timeline position of the last update
+    this.onError = null;          // ({type, message, url, ...}) on each failure
+    
+    // Buffering (slow connections)
+    this.stallTimeout = 1500;     // ms without progress before playback counts as buffering
+    this.buffering = {
+      active: false,
+      reason: null,       // 'waiting' | 'stalled' | 'no-progress' (element), 'underrun' (buffer)
+      since: null,        // Clock time the audio stopped
+      stalls: 0,
+      stalledTime: 0      // ms spent buffering, past stalls
+    };
+    this.networkState = null;     // Current element's last network event ('waiting', 'stalled', ...)
+    this.lastProgress = null;     // {audio, time}: current element's position at the last update
+    this.stuckSince = null;       // Clock time playback stopped progressing
+    this.onBufferingChange = null; // ({buffering, reason, stalledFor}) when playback stalls or recovers
+    
     // Sync checking
     this.lastSyncCheck = 0;
     this.syncCheckInterval = 5000; // Check sync every 5 seconds
-    this.syncThreshold = 0.5; // Resync if drift exceeds 0.5 seconds
+    this.syncThreshold = 0.5; // Resync if drift exceeds 0.5 seconds (seek method)
+    this.driftConfig = { ...DRIFT_DEFAULTS, ...config.driftCorrection };
+    this.driftStats = {
+      method: 'none',     // Last correction: 'none' | 'nudge' | 'seek' | 'reschedule'
+      drift: 0,           // Last measured drift in seconds (positive: audio behind)
+      nudges: 0,
+      seeks: 0,
+      correctedAt: null   // Clock time of the last nudge or seek
+    };
   }
   
   /**
@@ -56,9 +195,46 @@ export class AudioEngine {
       this.analyser.smoothingTimeConstant = 0.8;
       this.masterGainNode.connect(this.analyser);
       
+      // First bandwidth guess, until files have been fetched
+      this.probe = new Audio();
+      const connection = globalThis.navigator?.connection;
+      if (connection?.downlink) {
+        this.bandwidth = connection.downlink * 1e6;
+        connection.addEventListener?.('change', () => {
+          if (connection.downlink) this.bandwidth = connection.downlink * 1e6;
+        });
+      }
+      
+      this.playbackMode = this.choosePlaybackMode();
+      if (this.playbackMode === 'buffer') {
+        this.player = new GaplessPlayer(this.audioContext, this.masterGainNode, {
+          chunkDuration: this.config.chunkDuration,
+          scheduleAhead: this.config.scheduleAhead,
+          maxRateChange: this.driftConfig.maxRateChange,
+          clock: this.clock
+        });
+        this.player.getNextFile = (file) => this.getNextFile(file);
+        this.player.resolveUrl = (file) => this.getRequestUrl(file, this.selectSource(file).url);
+        this.player.onLoad = (file, bytes, ms) => {
+          this.bandwidth = addBandwidthSample(this.bandwidth, bytes, ms);
+        };
+        // Fetch errors are retried; an alternative source that won't decode makes
+        // way for the next one, and anything else means buffers won't work here
+        this.player.onError = (error, file) => {
+          if (error.file) {
+            this.handleFileError(error.file, error);
+          } else if (file && this.dropSource(file)) {
+            this.retryPlayback();
+          } else {
+            this.fallbackToElement(error);
+          }
+        };
+      }
+      
       console.log('Audio engine initialized');
       console.log('  Sample rate:', this.audioContext.sampleRate);
       console.log('  State:', this.audioContext.state);
+      console.log('  Playback:', this.playbackMode);
       
       return true;
     } catch (error) {
@@ -67,6 +243,62 @@ export class AudioEngine {
     }
   }
   
+  /**
+   * Pick the playback mode from the config and what the device can do
+   * 
+   * @returns {string} 'buffer' | 'element'
+   */
+  choosePlaybackMode() {
+    const requested = this.config.playback || 'auto';
+    if (requested === 'element') return 'element';
+    
+    // Streams fetch only the segments they need; buffers would fetch whole files
+    if (requested === 'auto' && this.routeMapping.audioFiles?.some(file => file.stream)) {
+      console.log('  Streamed audio files, using audio elements');
+      return 'element';
+    }
+    // Alternative encodings are mostly formats buffers can't decode in chunks
+    if (requested === 'auto' && this.routeMapping.audioFiles?.some(file => file.sources?.length)) {
+      console.log('  Alternative audio sources, using audio elements');
+      return 'element';
+    }
+    
+    const canDecode = typeof this.audioContext.decodeAudioData === 'function' &&
+      typeof this.audioContext.createBufferSource === 'function' &&
+      typeof globalThis.fetch === 'function';
+    if (!canDecode) {
+      if (requested === 'buffer') console.warn('Buffer playback not supported, using audio elements');
+      return 'element';
+    }
+    
+    // navigator.deviceMemory: approximate GB (Chromium only)
+    const memory = globalThis.navigator?.deviceMemory;
+    const minMemory = this.config.minDeviceMemory ?? 2;
+    if (requested === 'auto' && memory !== undefined && memory < minMemory) {
+      console.log(`  ${memory} GB device memory, using audio elements`);
+      return 'element';
+    }
+    
+    return 'buffer';
+  }
+  
+  /**
+   * Switch to HTML5 Audio playback after buffer playback failed
+   * Picks up at the current position on the next sync check
+   * 
+   * @param {Error} error - What went wrong
+   */
+  fallbackToElement(error) {
+    if (this.playbackMode !== 'buffer') return;
+    console.warn('Falling back to audio element playback:', error.message);
+    
+    this.player.destroy();
+    this.player = null;
+    this.playbackMode = 'element';
+    this.restartPending = true; // On the next sync check
+    this.lastSyncCheck = 0;
+  }
+  
   /**
    * Get frequency data for visualization
    * Returns array of values 0-255
@@ -104,14 +336,38 @@ export class AudioEngine {
     console.log('  Audio file:', context.audio.file.url);
     console.log('  Offset in file:', context.audio.offsetInFile.toFixed(2), 'seconds');
     
-    // Load and play current file
-    await this.loadAndPlayFile(
-      context.audio.file,
-      context.audio.offsetInFile
-    );
+    const file = context.audio.file;
+    this.lastPosition = position;
+    if (this.isFailed(file)) {
+      console.log('  Skipping it (failed to load), until the next track');
+      this.fillGap(file);
+      return true;
+    }
+    this.fillingGap = false;
+    
+    if (this.playbackMode === 'buffer') {
+      // Mark as playing first: the sync check must not restart while it loads
+      this.currentFileInfo = file;
+      this.isPlaying = true;
+      this.pausedAt = null;
+      await this.player.start(file, context.audio.offsetInFile);
+      if (this.player?.scheduled.length > 0) { // (no player if it fell back to elements)
+        this.onTrackPlaying(file);
+      }
+      return true;
+    }
     
-    this.currentFileInfo = context.audio.file;
+    // Load and play current file
+    this.stopIncoming();
+    this.currentFileInfo = file;
     this.isPlaying = true;
+    try {
+      await this.loadAndPlayFile(file, context.audio.offsetInFile);
+    } catch (error) {
+      this.handleFileError(file, error);
+      return false;
+    }
+    this.onTrackPlaying(file);
     
     // Preload next file
     this.preloadNextFile(position);
@@ -131,16 +387,13 @@ export class AudioEngine {
     audio.crossOrigin = 'anonymous';
     audio.preload = 'auto';
     
-    // Create media element source and connect to Web Audio API
-    const source = this.audioContext.createMediaElementSource(audio);
-    source.connect(this.masterGainNode);
-    
-    // Set up event listeners
-    audio.addEventListener('ended', () => this.onAudioEnded());
-    audio.addEventListener('error', (e) => this.onAudioError(e, fileInfo));
+    // Connect to Web Audio API through a voice, faded in if we join during a fade-in
+    const voice = this.createVoice(audio, fileInfo);
+    const now = this.audioContext.currentTime;
+    scheduleFade(voice.gain, 'in', now - offset, fileInfo.transition?.fadeIn || 0, now);
     
     // Load the file
-    audio.src = fileInfo.url;
+    this.setSource(audio, fileInfo);
     
     try {
       await audio.load();
@@ -155,14 +408,19 @@ export class AudioEngine {
       
       // Store as current audio
       if (this.currentAudio) {
-        this.currentAudio.pause();
+        this.releaseElement(this.currentAudio);
+        this.currentVoice.disconnect();
       }
       this.currentAudio = audio;
+      this.currentVoice = voice;
+      this.fadingOut = false;
       
       console.log(`Playing: ${fileInfo.url} at ${offset.toFixed(2)}s`);
       
     } catch (error) {
       console.error('Error loading/playing audio file:', error);
+      this.releaseElement(audio);
+      voice.disconnect();
       throw error;
     }
   }
@@ -176,29 +434,8 @@ export class AudioEngine {
     const context = this.routeMapping.getContextAtPosition(currentPosition);
     if (!context) return;
     
-    // Find next file
-    const currentFileIndex = context.audio.file.index;
-    const currentSectionIndex = context.section.index;
-    
-    let nextFile = null;
-    
-    // Check if there's another file in current section
-    if (currentFileIndex < context.section.audioFiles?.length - 1) {
-      // Next file is in same section
-      const section = this.routeMapping.getSectionByIndex(currentSectionIndex);
-      nextFile = section.audioFiles[currentFileIndex + 1];
-    } else {
-      // Need to go to next section
-      const nextSection = this.routeMapping.getSectionByIndex(currentSectionIndex + 1);
-      if (nextSection) {
-        nextFile = nextSection.audioFiles[0];
-      } else {
-        // We're at the last file of last section - next is first file of first section
-        const firstSection = this.routeMapping.getSectionByIndex(0);
-        nextFile = firstSection.audioFiles[0];
-      }
-    }
-    
+    // Find next file (the first file of the first section after the last)
+    const nextFile = this.getNextFile(context.audio.file);
     if (!nextFile) return;
     
     // Check if already preloaded
@@ -212,43 +449,589 @@ export class AudioEngine {
     const audio = new Audio();
     audio.crossOrigin = 'anonymous';
     audio.preload = 'auto';
-    audio.src = nextFile.url;
+    this.setSource(audio, nextFile);
     
+    if (this.nextAudio) {
+      this.releaseElement(this.nextAudio);
+    }
     this.nextAudio = audio;
+    this.nextFileInfo = nextFile;
     this.preloadedFiles.add(nextFile.url);
   }
   
+  /**
+   * Point an element at a file: its HLS stream where it has one and the
+   * browser can play it (MSE, or natively), otherwise the file itself
+   * 
+   * @param {HTMLAudioElement} audio - Element
+   * @param {object} fileInfo - Audio file info from route mapping
+   */
+  setSource(audio, fileInfo) {
+    const stream = fileInfo.stream && !this.getUnplayable().has(fileInfo.stream)
+      ? this.getRequestUrl(fileInfo, fileInfo.stream)
+      : null;
+    // Selected like a source, so a failed stream is dropped like one
+    const streamSource = { url: fileInfo.stream, type: HLS_TYPE, bitrate: null, fallback: false, stream: true };
+    if (stream && HlsSource.isSupported()) {
+      this.selectedSources.set(fileInfo.url, streamSource);
+      this.streams.set(audio, new HlsSource(audio, stream, {
+        ...this.config.streaming,
+        bandwidth: this.bandwidth,
+        clock: this.clock
+      }));
+    } else if (stream && audio.canPlayType?.(HLS_TYPE)) {
+      this.selectedSources.set(fileInfo.url, streamSource);
+      audio.src = stream;
+    } else {
+      audio.src = this.getRequestUrl(fileInfo, this.selectSource(fileInfo).url);
+    }
+  }
+  
+  /**
+   * Pick the source to load a file from (see audio-sources.js)
+   * 
+   * @param {object} fileInfo - Audio file info from route mapping
+   * @returns {object} {url, type, bitrate, fallback}
+   */
+  selectSource(fileInfo) {
+    const source = chooseSource(fileInfo, {
+      canPlay: (type) => this.probe?.canPlayType?.(type) || '',
+      quality: this.quality,
+      bandwidth: this.bandwidth,
+      accept: this.player ? (candidate) => this.player.canDecode(candidate.type, fileInfo.duration) : null,
+      exclude: this.getUnplayable()
+    });
+    
+    if (this.selectedSources.get(fileInfo.url)?.url !== source.url && !source.fallback) {
+      const bitrate = source.bitrate ? `, ${source.bitrate} kbps` : '';
+      console.log(`  Source: ${source.url} (${source.type}${bitrate})`);
+    }
+    this.selectedSources.set(fileInfo.url, source);
+    return source;
+  }
+  
+  /**
+   * Give up on the alternative source a file was loaded from, so the
+   * next one is chosen
+   * 
+   * @param {object} fileInfo - Audio file info
+   * @returns {boolean} Whether there was one (not the file's own url)
+   */
+  dropSource(fileInfo) {
+    const source = this.selectedSources.get(fileInfo.url);
+    if (!source || source.fallback) return false;
+    
+    console.warn(`Can't play ${source.url} (${source.type}), trying the next source`);
+    this.unplayable.set(source.url, this.clock.now());
+    return true;
+  }
+  
+  /**
+   * Sources given up on within the last `skipFor` ms (older ones are worth
+   * another try)
+   * 
+   * @returns {Set} Source URLs
+   */
+  getUnplayable() {
+    const now = this.clock.now();
+    this.unplayable.forEach((droppedAt, url) => {
+      if (now - droppedAt >= this.recoveryConfig.skipFor) this.unplayable.delete(url);
+    });
+    return new Set(this.unplayable.keys());
+  }
+  
+  /**
+   * Set the quality preference
+   * Applies to tracks loaded from now on; the preloaded next track is
+   * loaded again
+   * 
+   * @param {string} quality - 'auto' | 'high' | 'low'
+   */
+  setQuality(quality) {
+    if (!QUALITY_LEVELS.includes(quality)) {
+      console.warn(`Unknown audio quality: ${quality} (use ${QUALITY_LEVELS.join(', ')})`);
+      return;
+    }
+    this.quality = quality;
+    
+    if (this.nextAudio) {
+      this.releaseElement(this.nextAudio);
+      this.preloadedFiles.delete(this.nextFileInfo?.url);
+      this.nextAudio = null;
+      this.nextFileInfo = null;
+      if (this.isPlaying) this.preloadNextFile(this.lastPosition);
+    }
+  }
+  
+  /**
+   * Stop an element for good, and its stream
+   * 
+   * @param {HTMLAudioElement} audio - Element
+   */
+  releaseElement(audio) {
+    audio.pause();
+    const stream = this.streams.get(audio);
+    if (!stream) return;
+    
+    if (stream.bandwidth !== null) this.bandwidth = stream.bandwidth; // Its latest estimate
+    stream.destroy();
+    this.streams.delete(audio);
+  }
+  
+  /**
+   * Get the track that follows a file (the first one after the last)
+   * 
+   * @param {object} fileInfo - Audio file info from route mapping
+   * @returns {object|null} Next audio file info, or null while it is being skipped
+   */
+  getNextFile(fileInfo) {
+    const next = this.routeMapping.getNextAudioFile(fileInfo);
+    return next && !this.isFailed(next) ? next : null;
+  }
+  
+  /**
+   * Route an audio element through its own gain node (a voice) to the master
+   * 
+   * @param {HTMLAudioElement} audio - Element to play
+   * @param {object} fileInfo - Audio file info from route mapping
+   * @returns {GainNode} The voice
+   */
+  createVoice(audio, fileInfo) {
+    const source = this.audioContext.createMediaElementSource(audio);
+    const voice = this.audioContext.createGain();
+    source.connect(voice);
+    voice.connect(this.masterGainNode);
+    
+    audio.addEventListener('ended', () => this.onAudioEnded(audio));
+    audio.addEventListener('error', (e) => this.onAudioError(e, fileInfo));
+    ['waiting', 'stalled', 'suspend', 'progress', 'playing'].forEach(type => {
+      audio.addEventListener(type, () => this.onNetworkEvent(audio, type));
+    });
+    
+    return voice;
+  }
+  
+  /**
+   * Track the current element's network state
+   * 'playing' after a stall ends buffering at once; the rest give
+   * updateBuffering() the reason playback stopped
+   * 
+   * @param {HTMLAudioElement} audio - Element the event is from
+   * @param {string} type - Event type
+   */
+  onNetworkEvent(audio, type) {
+    if (audio !== this.currentAudio) return;
+    this.networkState = type;
+    if (type === 'playing' && this.buffering.active) {
+      this.stuckSince = null;
+      this.endBuffering();
+    }
+  }
+  
+  /**
+   * Play out the transition into the next track (element mode)
+   * Fades the current voice out over its last seconds and, for a
+   * crossfade, starts the next track under it on a second voice
+   * 
+   * @param {number} position - Timeline position in seconds
+   */
+  updateTransition(position) {
+    if (!this.currentAudio || !this.currentFileInfo) return;
+    
+    const context = this.routeMapping.getContextAtPosition(position);
+    if (!context || context.audio.file.url !== this.currentFileInfo.url) return;
+    
+    const next = this.getNextFile(context.audio.file);
+    if (!next) return;
+    
+    const { transition } = next;
+    const remaining = context.audio.file.duration - context.audio.offsetInFile; // Until this track ends
+    const lookAhead = 1; // Seconds: update() runs a few times a second
+    const now = this.audioContext.currentTime;
+    
+    if (transition.fadeOut > 0 && !this.fadingOut && remaining <= transition.fadeOut + lookAhead) {
+      this.fadingOut = true;
+      scheduleFade(this.currentVoice.gain, 'out', now + remaining - transition.fadeOut, transition.fadeOut, now);
+    }
+    if (transition.overlap > 0 && !this.incoming && remaining <= transition.overlap + lookAhead) {
+      this.startIncoming(next, remaining - transition.overlap);
+    }
+  }
+  
+  /**
+   * Start the next track on a second voice, for a crossfade
+   * 
+   * @param {object} fileInfo - Next audio file info
+   * @param {number} startsIn - Seconds until it starts (negative: it should have started that long ago)
+   */
+  startIncoming(fileInfo, startsIn) {
+    let audio = this.nextAudio;
+    if (audio && this.nextFileInfo?.url === fileInfo.url) {
+      this.nextAudio = null;
+      this.nextFileInfo = null;
+      this.preloadedFiles.delete(fileInfo.url);
+    } else {
+      audio = new Audio();
+      audio.crossOrigin = 'anonymous';
+      audio.preload = 'auto';
+      this.setSource(audio, fileInfo);
+    }
+    
+    const voice = this.createVoice(audio, fileInfo);
+    const now = this.audioContext.currentTime;
+    scheduleFade(voice.gain, 'in', now + startsIn, fileInfo.transition.fadeIn, now);
+    
+    const incoming = { audio, voice, file: fileInfo, timer: null };
+    this.incoming = incoming;
+    console.log(`Crossfading into ${fileInfo.url} over ${fileInfo.transition.overlap}s`);
+    
+    const play = () => {
+      incoming.timer = null;
+      if (this.incoming !== incoming) return;
+      if (startsIn < 0) {
+        audio.currentTime = -startsIn;
+      }
+      audio.play().catch(error => {
+        console.error('Error playing next audio:', error);
+      });
+    };
+    if (startsIn > 0) {
+      incoming.timer = this.clock.setTimeout(play, startsIn * 1000);
+    } else {
+      play();
+    }
+  }
+  
+  /**
+   * Drop a crossfade in progress (seek, pause, route change)
+   */
+  stopIncoming() {
+    if (!this.incoming) return;
+    
+    this.clock.clearTimeout(this.incoming.timer);
+    this.releaseElement(this.incoming.audio);
+    this.incoming.voice.disconnect();
+    this.incoming = null;
+  }
+  
   /**
    * Handle audio file ended event
-   * Automatically transition to next file
+   * Automatically transition to next file: the one crossfading in, or the
+   * preloaded one
+   * 
+   * @param {HTMLAudioElement} audio - Element that ended
    */
-  onAudioEnded() {
+  onAudioEnded(audio) {
+    if (audio !== this.currentAudio) return; // Replaced already
     console.log('Current audio file ended, transitioning to next...');
+    const previousVoice = this.currentVoice;
     
-    // If we have next audio preloaded, play it
-    if (this.nextAudio) {
-      const audio = this.nextAudio;
-      
-      // Create source and connect
-      const source = this.audioContext.createMediaElementSource(audio);
-      source.connect(this.masterGainNode);
+    if (this.incoming) {
+      // Crossfade: the next track is already playing
+      this.clock.clearTimeout(this.incoming.timer);
+      this.currentAudio = this.incoming.audio;
+      this.currentVoice = this.incoming.voice;
+      this.currentFileInfo = this.incoming.file;
+      this.incoming = null;
+    } else if (this.nextAudio) {
+      // If we have next audio preloaded, play it (fading in if its transition says so)
+      const next = this.nextAudio;
+      const nextFile = this.nextFileInfo;
+      const voice = this.createVoice(next, nextFile);
+      const now = this.audioContext.currentTime;
+      scheduleFade(voice.gain, 'in', now, nextFile?.transition?.fadeIn || 0, now);
       
-      audio.play().catch(error => {
+      next.play().catch(error => {
         console.error('Error playing next audio:', error);
+        if (nextFile) this.handleFileError(nextFile, error);
       });
       
-      this.currentAudio = audio;
+      this.currentAudio = next;
+      this.currentVoice = voice;
+      this.currentFileInfo = this.nextFileInfo || this.currentFileInfo;
+      this.preloadedFiles.delete(nextFile?.url);
       this.nextAudio = null;
+      this.nextFileInfo = null;
+    } else {
+      // Nothing preloaded: the next file may be one being skipped
+      const next = this.routeMapping.getNextAudioFile(this.currentFileInfo);
+      if (next && this.isFailed(next)) {
+        this.fillGap(next);
+      }
+      return;
     }
+    
+    this.releaseElement(audio);
+    previousVoice?.disconnect();
+    this.fadingOut = false;
+    this.preloadNextFile(this.currentFileInfo.startTime);
   }
   
   /**
    * Handle audio error
+   * Errors of the playing track start recovery; a failed preload is
+   * retried when its turn comes
+   * 
+   * @param {Event} event - Element 'error' event
+   * @param {object} fileInfo - Audio file info from route mapping
    */
   onAudioError(event, fileInfo) {
-    console.error('Audio error:', event);
-    console.error('File:', fileInfo.url);
-    // Could implement retry logic here
+    const audio = event?.target;
+    
+    // An alternative source the browser can't decode, or that isn't there, or a
+    // stream that failed (after its own segment retries): on to the next source
+    const decodeError = [3, 4].includes(audio?.error?.code); // MEDIA_ERR_DECODE, MEDIA_ERR_SRC_NOT_SUPPORTED
+    const streamed = this.selectedSources.get(fileInfo.url)?.stream;
+    const dropSource = (decodeError || streamed) && this.dropSource(fileInfo);
+    
+    if (audio && audio === this.incoming?.audio) {
+      console.warn('Next track failed to load, skipping the crossfade:', fileInfo.url);
+      this.stopIncoming();
+      return;
+    }
+    if (audio !== this.currentAudio) return;
+    if (dropSource) {
+      this.stopCurrentAudio();
+      this.retryPlayback();
+      return;
+    }
+    
+    console.error('Audio error:', fileInfo.url, audio.error?.message || '');
+    this.handleFileError(fileInfo, new Error(audio.error?.message || `Failed to play ${fileInfo.url}`));
+  }
+  
+  /**
+   * Recover from a track that failed to load or play
+   * Retries with exponential backoff; after the last retry the file is
+   * skipped and playback carries on with the next track
+   * 
+   * @param {object} fileInfo - Audio file info of the failed track
+   * @param {Error} error - What went wrong
+   */
+  handleFileError(fileInfo, error) {
+    if (!this.isPlaying) return;
+    
+    // A failed stream makes way for the file itself before any retry counts
+    if (this.selectedSources.get(fileInfo.url)?.stream && this.dropSource(fileInfo)) {
+      this.stopCurrentAudio();
+      this.retryPlayback();
+      return;
+    }
+    if (this.recovery?.file.url === fileInfo.url && this.recovery.timer) return; // Already retrying
+    
+    if (this.recovery?.file.url !== fileInfo.url) {
+      this.clearRecovery();
+      this.recovery = { file: fileInfo, attempt: 0, cacheBust: false, timer: null };
+    }
+    const recovery = this.recovery;
+    const { retries, retryDelay, maxRetryDelay, cacheBust, skipFor } = this.recoveryConfig;
+    const name = fileInfo.url.split('/').pop();
+    
+    // Silence the broken track (in buffer mode, a failed upcoming file lets the current one play out)
+    if (this.playbackMode === 'element') {
+      this.stopCurrentAudio();
+    }
+    
+    if (recovery.attempt < retries) {
+      recovery.attempt++;
+      recovery.cacheBust = cacheBust && recovery.attempt === retries;
+      const delay = Math.min(retryDelay * 2 ** (recovery.attempt - 1), maxRetryDelay);
+      console.warn(`Audio failed (${error.message}), retry ${recovery.attempt}/${retries} in ${delay}ms`);
+      
+      recovery.timer = this.clock.setTimeout(() => {
+        recovery.timer = null;
+        this.retryPlayback();
+      }, delay);
+      this.reportError('audio-retry', `Audio unavailable (${name}), retrying`, {
+        url: fileInfo.url,
+        attempt: recovery.attempt,
+        retries,
+        delay,
+        error
+      });
+    } else if (this.dropSource(fileInfo)) {
+      // Out of retries on an alternative source: the next one starts afresh
+      this.clearRecovery();
+      this.retryPlayback();
+    } else {
+      // Give up on it for a while and play on from the next track
+      console.error(`Audio failed ${retries + 1} times, skipping ${fileInfo.url}`);
+      this.recovery = null;
+      this.failedFiles.set(fileInfo.url, this.clock.now());
+      this.reportError('audio-skip', `Skipping ${name}: it failed to load`, {
+        url: fileInfo.url,
+        attempts: retries + 1,
+        skipFor,
+        error
+      });
+      this.retryPlayback();
+    }
+    
+    this.updateRoomTone();
+  }
+  
+  /**
+   * Pick playback up again after a failure
+   * If the current track is still audible (an upcoming file failed in
+   * buffer mode), scheduling carries on from it; otherwise playback
+   * restarts at the timeline position
+   */
+  async retryPlayback() {
+    if (!this.isPlaying) return;
+    
+    if (this.playbackMode === 'buffer' && this.player.getPosition()) {
+      const upcoming = this.player.cursor?.file;
+      if (!upcoming || this.isFailed(upcoming)) {
+        // Let the current track play out; the skipped file's turn follows
+        this.fillingGap = true;
+        return;
+      }
+      await this.player.resume();
+      if (this.player.isPlaying) {
+        this.onTrackPlaying(upcoming);
+      }
+      return;
+    }
+    
+    await this.startAtPosition(this.lastPosition);
+  }
+  
+  /**
+   * A track loaded and plays: end its recovery and the room tone
+   * 
+   * @param {object} fileInfo - Audio file info
+   */
+  onTrackPlaying(fileInfo) {
+    if (this.recovery?.file.url === fileInfo.url) {
+      console.log(`Audio recovered after ${this.recovery.attempt} retries: ${fileInfo.url}`);
+      this.clearRecovery();
+    }
+    this.failedFiles.delete(fileInfo.url);
+    this.updateRoomTone();
+  }
+  
+  /**
+   * Whether a file failed every retry recently and is being skipped
+   * 
+   * @param {object} fileInfo - Audio file info
+   * @returns {boolean}
+   */
+  isFailed(fileInfo) {
+    const failedAt = this.failedFiles.get(fileInfo.url);
+    if (failedAt === undefined) return false;
+    if (this.clock.now() - failedAt < this.recoveryConfig.skipFor) return true;
+    
+    this.failedFiles.delete(fileInfo.url); // Worth another try
+    return false;
+  }
+  
+  /**
+   * URL to request a file from: cache-busted on its last retry
+   * 
+   * @param {object} fileInfo - Audio file info
+   * @param {string} url - URL of the file (its `stream` playlist, say)
+   * @returns {string} URL
+   */
+  getRequestUrl(fileInfo, url = fileInfo.url) {
+    if (!this.recovery?.cacheBust || this.recovery.file.url !== fileInfo.url) {
+      return url;
+    }
+    const separator = url.includes('?') ? '&' : '?';
+    return `${url}${separator}retry=${this.clock.now()}`;
+  }
+  
+  /**
+   * Sit out a skipped file's turn: room tone until the timeline reaches
+   * the next track (see update)
+   * 
+   * @param {object} fileInfo - Audio file info of the skipped file
+   */
+  fillGap(fileInfo) {
+    if (this.playbackMode === 'buffer') {
+      this.player.stop();
+    } else {
+      this.stopCurrentAudio();
+    }
+    this.currentFileInfo = fileInfo;
+    this.isPlaying = true;
+    this.fillingGap = true;
+    this.updateRoomTone();
+  }
+  
+  /**
+   * Stop the current element (and any crossfade) for good
+   */
+  stopCurrentAudio() {
+    this.stopIncoming();
+    if (!this.currentAudio) return;
+    
+    this.releaseElement(this.currentAudio);
+    this.currentVoice.disconnect();
+    this.currentAudio = null;
+    this.currentVoice = null;
+  }
+  
+  /**
+   * Cancel a pending retry
+   */
+  clearRecovery() {
+    if (this.recovery?.timer) {
+      this.clock.clearTimeout(this.recovery.timer);
+    }
+    this.recovery = null;
+  }
+  
+  /**
+   * Play the room tone while recovering or skipping with no track audible
+   */
+  updateRoomTone() {
+    const trackAudible = this.playbackMode === 'buffer'
+      ? Boolean(this.player?.getPosition())
+      : Boolean(this.currentAudio && !this.currentAudio.paused);
+    const needed = this.isPlaying && (this.recovery !== null || this.fillingGap) && !trackAudible;
+    
+    if (needed && !this.roomTone && this.recoveryConfig.roomTone) {
+      const audio = new Audio();
+      audio.crossOrigin = 'anonymous';
+      audio.loop = true;
+      audio.src = this.recoveryConfig.roomTone;
+      
+      const voice = this.audioContext.createGain();
+      voice.gain.value = this.recoveryConfig.roomToneVolume;
+      this.audioContext.createMediaElementSource(audio).connect(voice);
+      voice.connect(this.masterGainNode);
+      
+      audio.play().catch(error => {
+        console.warn('Room tone unavailable:', error.message);
+      });
+      this.roomTone = { audio, voice };
+    } else if (!needed) {
+      this.stopRoomTone();
+    }
+  }
+  
+  /**
+   * Stop the room tone
+   */
+  stopRoomTone() {
+    if (!this.roomTone) return;
+    
+    this.roomTone.audio.pause();
+    this.roomTone.voice.disconnect();
+    this.roomTone = null;
+  }
+  
+  /**
+   * Report a failure to onError
+   * 
+   * @param {string} type - 'audio-retry' | 'audio-skip'
+   * @param {string} message - For display
+   * @param {object} details - {url, attempt, error, ...}
+   */
+  reportError(type, message, details) {
+    if (this.onError) {
+      this.onError({ type, message, ...details });
+    }
   }
   
   /**
@@ -258,6 +1041,16 @@ export class AudioEngine {
    * @param {number} expectedPosition - Where audio should be according to timeline
    */
   syncToPosition(expectedPosition) {
+    if (this.playbackMode === 'buffer') {
+      this.syncBufferToPosition(expectedPosition);
+      return;
+    }
+    if (this.restartPending && this.isPlaying) {
+      // Just fell back from buffer playback: pick up here
+      this.restartPending = false;
+      this.startAtPosition(expectedPosition);
+      return;
+    }
     if (!this.currentAudio || !this.isPlaying) return;
     
     const context = this.routeMapping.getContextAtPosition(expectedPosition);
@@ -265,20 +1058,135 @@ export class AudioEngine {
     
     // Check if we're still playing the correct file
     if (context.audio.file.url !== this.currentFileInfo?.url) {
+      if (this.isHandingOver(context.audio)) return; // 'ended' makes the next one current
       console.warn('Audio file mismatch detected. Reloading...');
       this.startAtPosition(expectedPosition);
       return;
     }
+    if (this.buffering.active) return; // Rejoins the timeline when it resumes
     
     // Check if current time matches expected offset
     const expectedOffset = context.audio.offsetInFile;
     const actualOffset = this.currentAudio.currentTime;
-    const drift = Math.abs(expectedOffset - actualOffset);
+    this.correctDrift(expectedOffset - actualOffset, expectedOffset);
+  }
+  
+  /**
+   * Whether the timeline has just moved on to the next track while the
+   * current element plays its last moments (a lag within `seekThreshold`),
+   * so its 'ended' is still to come
+   * 
+   * @param {object} expected - Audio context at the timeline position ({file, offsetInFile})
+   * @returns {boolean}
+   */
+  isHandingOver(expected) {
+    const { file, offsetInFile } = expected;
+    const isNext = this.incoming?.file.url === file.url ||
+      this.getNextFile(this.currentFileInfo)?.url === file.url;
+    if (!isNext) return false;
+    
+    const { seekThreshold } = this.driftConfig;
+    const remaining = this.currentFileInfo.duration - this.currentAudio.currentTime;
+    return remaining <= seekThreshold && offsetInFile - file.leadIn <= seekThreshold;
+  }
+  
+  /**
+   * Correct element playback drift
+   * Nudging plays slightly faster or slower to be back on time by the
+   * next check, so binaural recordings don't jump; only drift past
+   * `seekThreshold` is seeked
+   * 
+   * @param {number} drift - Expected minus actual offset in seconds (positive: audio behind)
+   * @param {number} expectedOffset - Where the file should be, in seconds
+   */
+  correctDrift(drift, expectedOffset) {
+    const { method, maxRateChange, tolerance, seekThreshold } = this.driftConfig;
+    const stats = this.driftStats;
+    const size = Math.abs(drift);
+    stats.drift = drift;
     
-    if (drift > this.syncThreshold) {
-      console.warn(`Audio drift detected: ${drift.toFixed(2)}s. Correcting...`);
+    if (size > (method === 'nudge' ? seekThreshold : this.syncThreshold)) {
+      console.warn(`Audio drift detected: ${drift.toFixed(2)}s. Seeking...`);
+      this.currentAudio.playbackRate = 1;
       this.currentAudio.currentTime = expectedOffset;
+      Object.assign(stats, { method: 'seek', seeks: stats.seeks + 1, correctedAt: this.clock.now() });
+      return;
     }
+    if (method !== 'nudge') {
+      stats.method = 'none';
+      return;
+    }
+    
+    const correctionWindow = this.syncCheckInterval / 1000;
+    const rate = size > tolerance
+      ? 1 + Math.max(-maxRateChange, Math.min(maxRateChange, drift / correctionWindow))
+      : 1;
+    if (rate !== 1 && this.currentAudio.playbackRate === 1) {
+      console.log(`Audio drift ${drift.toFixed(2)}s: nudging at ${rate.toFixed(3)}x`);
+      Object.assign(stats, { nudges: stats.nudges + 1, correctedAt: this.clock.now() });
+    }
+    this.currentAudio.playbackRate = rate;
+    stats.method = rate === 1 ? 'none' : 'nudge';
+  }
+  
+  /**
+   * Sync buffer playback: nudge the chunks scheduled next to make up small
+   * drift; reschedule from the timeline position past `seekThreshold`
+   * 
+   * @param {number} expectedPosition - Where audio should be according to timeline
+   */
+  syncBufferToPosition(expectedPosition) {
+    if (!this.isPlaying) return;
+    
+    const context = this.routeMapping.getContextAtPosition(expectedPosition);
+    const playing = this.player.getPosition();
+    if (!context || !playing) return; // Still loading
+    
+    this.currentFileInfo = playing.file;
+    
+    // Compared on the timeline, not by file: at a track change the audio can be
+    // a few ms behind, still in the previous file, and the handover is already scheduled
+    const { method, tolerance, seekThreshold } = this.driftConfig;
+    const stats = this.driftStats;
+    stats.drift = this.getTimelineDrift(playing.file, playing.offset, expectedPosition);
+    if (Math.abs(stats.drift) > (method === 'nudge' ? seekThreshold : this.syncThreshold)) {
+      const kind = playing.file.url === context.audio.file.url ? 'Audio drift' : 'Audio file mismatch';
+      console.warn(`${kind} detected: ${stats.drift.toFixed(2)}s. Rescheduling...`);
+      Object.assign(stats, { method: 'reschedule', seeks: stats.seeks + 1, correctedAt: this.clock.now() });
+      this.startAtPosition(expectedPosition);
+      return;
+    }
+    if (method !== 'nudge') {
+      stats.method = 'none';
+      return;
+    }
+    
+    // What the chunks already queued don't make up, the next ones do
+    const queued = this.player.getQueuedCorrection();
+    const pending = stats.drift - queued;
+    const nudge = Math.abs(pending) > tolerance ? pending : 0;
+    if (nudge && !this.player.correction) {
+      console.log(`Audio drift ${stats.drift.toFixed(2)}s: nudging the next chunks by ${nudge.toFixed(2)}s`);
+      Object.assign(stats, { nudges: stats.nudges + 1, correctedAt: this.clock.now() });
+    }
+    this.player.nudge(nudge);
+    stats.method = nudge || queued ? 'nudge' : 'none';
+  }
+  
+  /**
+   * How far audio playing at a file offset is behind the timeline, in
+   * seconds (across the loop from the last track to the first, too)
+   * 
+   * @param {object} file - Audio file info of the playing file
+   * @param {number} offset - Seconds into it
+   * @param {number} expectedPosition - Timeline position
+   * @returns {number} Drift (positive: audio behind)
+   */
+  getTimelineDrift(file, offset, expectedPosition) {
+    const total = this.routeMapping.totalDuration;
+    const drift = expectedPosition - (file.startTime - file.leadIn + offset);
+    if (!total || Math.abs(drift) <= total / 2) return drift;
+    return drift - Math.sign(drift) * total;
   }
   
   /**
@@ -289,35 +1197,229 @@ export class AudioEngine {
    */
   update(timelineData) {
     if (!this.isPlaying) return;
+    this.lastPosition = timelineData.position;
+    
+    // A skipped file's turn is over: start the track after it
+    if (this.fillingGap) {
+      const context = this.routeMapping.getContextAtPosition(timelineData.position);
+      if (context && context.audio.file.url !== this.currentFileInfo?.url) {
+        this.fillingGap = false;
+        this.startAtPosition(timelineData.position);
+      }
+    }
+    this.updateRoomTone();
+    this.updateBuffering();
+    
+    if (this.playbackMode === 'element') {
+      this.updateTransition(timelineData.position);
+    }
     
     // Periodic sync check
-    const now = performance.now();
+    const now = this.clock.now();
     if (now - this.lastSyncCheck > this.syncCheckInterval) {
       this.syncToPosition(timelineData.position);
       this.lastSyncCheck = now;
     }
   }
   
+  /**
+   * Check whether playback has stopped for lack of data
+   * Called on each update
+   */
+  updateBuffering() {
+    if (!this.isStuck()) {
+      this.stuckSince = null;
+      // Error recovery takes over from a file that failed while buffering
+      if (this.buffering.active) this.endBuffering(!this.recovery && !this.fillingGap);
+      return;
+    }
+    
+    const now = this.clock.now();
+    this.stuckSince ??= now;
+    if (this.buffering.active || now - this.stuckSince < this.stallTimeout) return;
+    
+    const reason = this.player
+      ? 'underrun'
+      : ['waiting', 'stalled'].includes(this.networkState) ? this.networkState : 'no-progress';
+    Object.assign(this.buffering, {
+      active: true,
+      reason,
+      since: this.stuckSince,
+      stalls: this.buffering.stalls + 1
+    });
+    console.warn(`Audio buffering (${reason})...`);
+    
+    // The connection can't carry this source: later tracks choose a lower bitrate
+    const bitrate = this.selectedSources.get(this.currentFileInfo?.url)?.bitrate;
+    if (reason !== 'no-progress' && bitrate && !this.streams.has(this.currentAudio)) {
+      this.bandwidth = Math.min(this.bandwidth ?? Infinity, bitrate * 1000);
+    }
+    this.emitBufferingChange();
+  }
+  
+  /**
+   * Whether audio that should be playing is making no progress
+   * Not while a failed file is retried or skipped (see ERROR RECOVERY)
+   * 
+   * @returns {boolean}
+   */
+  isStuck() {
+    if (this.recovery || this.fillingGap) return false;
+    if (this.player) return this.player.isStarved();
+    
+    const audio = this.currentAudio;
+    if (!audio || audio.paused) {
+      this.lastProgress = null;
+      return false;
+    }
+    const previous = this.lastProgress;
+    this.lastProgress = { audio, time: audio.currentTime };
+    return previous?.audio === audio && previous.time === audio.currentTime;
+  }
+  
+  /**
+   * End a buffering episode
+   * 
+   * @param {boolean} resync - Rejoin the timeline (false when playback stops)
+   */
+  endBuffering(resync = true) {
+    if (!this.buffering.active) return;
+    const stalledFor = this.clock.now() - this.buffering.since;
+    Object.assign(this.buffering, {
+      active: false,
+      reason: null,
+      since: null,
+      stalledTime: this.buffering.stalledTime + stalledFor
+    });
+    this.emitBufferingChange(stalledFor);
+    if (!resync) return;
+    
+    console.log(`Audio resumed after ${(stalledFor / 1000).toFixed(1)}s of buffering`);
+    this.resyncAfterStall();
+  }
+  
+  /**
+   * Rejoin the timeline after a stall (element mode)
+   * The audio stopped while the timeline ran on, so it jumps to where the
+   * timeline is; the player does this itself when its queue runs dry
+   */
+  resyncAfterStall() {
+    if (this.player || !this.currentAudio) return;
+    
+    const context = this.routeMapping.getContextAtPosition(this.lastPosition);
+    if (!context) return;
+    if (context.audio.file.url !== this.currentFileInfo?.url) {
+      this.startAtPosition(this.lastPosition);
+      return;
+    }
+    this.currentAudio.playbackRate = 1;
+    this.currentAudio.currentTime = context.audio.offsetInFile;
+    this.lastSyncCheck = this.clock.now();
+  }
+  
+  /**
+   * Report a buffering change to `onBufferingChange`
+   * 
+   * @param {number} stalledFor - ms the stall lasted (when it ends)
+   */
+  emitBufferingChange(stalledFor = 0) {
+    if (!this.onBufferingChange) return;
+    this.onBufferingChange({
+      buffering: this.buffering.active,
+      reason: this.buffering.reason,
+      stalledFor
+    });
+  }
+  
+  /**
+   * Seconds of audio loaded ahead of the playing position
+   * 
+   * @returns {number|null} null when nothing plays
+   */
+  getBufferedAhead() {
+    if (this.player) return Math.max(0, this.player.getQueuedSeconds());
+    
+    const audio = this.currentAudio;
+    if (!audio) return null;
+    const ranges = audio.buffered;
+    for (let i = 0; i < (ranges?.length || 0); i++) {
+      if (ranges.start(i) <= audio.currentTime && audio.currentTime <= ranges.end(i)) {
+        return ranges.end(i) - audio.currentTime;
+      }
+    }
+    return 0;
+  }
+  
   /**
    * Pause playback
    */
   pause() {
+    if (this.player) {
+      this.pausedAt = this.player.getPosition() || this.pausedAt;
+      this.player.stop();
+    }
     if (this.currentAudio) {
       this.currentAudio.pause();
+      this.currentAudio.playbackRate = 1; // A nudge in progress is measured afresh
+    }
+    // A fade in progress is replayed from the position on resume
+    this.stopIncoming();
+    this.stopRoomTone();
+    this.endBuffering(false);
+    this.stuckSince = null;
+    if (this.currentVoice) {
+      this.currentVoice.gain.cancelScheduledValues(0);
+      this.currentVoice.gain.value = 1;
+      this.fadingOut = false;
     }
     this.isPlaying = false;
   }
   
   /**
    * Resume playback
+   * Buffer playback resumes where it paused; the sync check then catches up
    */
   async resume() {
+    if (this.player) {
+      this.isPlaying = true;
+      if (this.pausedAt) {
+        await this.player.start(this.pausedAt.file, this.pausedAt.offset);
+      }
+      return;
+    }
     if (this.currentAudio) {
       await this.currentAudio.play();
     }
     this.isPlaying = true;
   }
   
+  /**
+   * Switch to another route's audio files
+   * Stops playback; call startAtPosition() to play from the new route
+   * 
+   * @param {RouteMapping} routeMapping - Route mapping of the new route
+   */
+  setRouteMapping(routeMapping) {
+    this.pause();
+    if (this.nextAudio) {
+      this.releaseElement(this.nextAudio);
+      this.nextAudio = null;
+      this.nextFileInfo = null;
+    }
+    if (this.player) {
+      this.player.reset(); // Also drops the fetched files
+    }
+    this.routeMapping = routeMapping;
+    this.currentFileInfo = null;
+    this.pausedAt = null;
+    this.preloadedFiles.clear();
+    this.clearRecovery();
+    this.failedFiles.clear();
+    this.selectedSources.clear();
+    this.unplayable.clear();
+    this.fillingGap = false;
+  }
+  
   /**
    * Set master volume
    * 
@@ -335,12 +1437,39 @@ export class AudioEngine {
    * @returns {object} State information
    */
   getState() {
+    const currentTime = this.player
+      ? this.player.getPosition()?.offset
+      : this.currentAudio?.currentTime;
+    const stalledFor = this.buffering.active ? this.clock.now() - this.buffering.since : 0;
+    
     return {
       isPlaying: this.isPlaying,
+      playbackMode: this.playbackMode,
       currentFile: this.currentFileInfo?.url || null,
-      currentTime: this.currentAudio?.currentTime || 0,
+      currentTime: currentTime || 0,
       volume: this.masterGainNode?.gain.value || 1,
-      audioContextState: this.audioContext?.state || 'unknown'
+      audioContextState: this.audioContext?.state || 'unknown',
+      drift: {
+        ...this.driftStats,
+        rate: (this.playbackMode === 'buffer'
+          ? this.player?.getPosition()?.speed
+          : this.currentAudio?.playbackRate) ?? 1
+      },
+      buffering: {
+        active: this.buffering.active,
+        reason: this.buffering.reason,
+        stalls: this.buffering.stalls,
+        stalledFor,
+        stalledTime: this.buffering.stalledTime + stalledFor,
+        bufferedAhead: this.getBufferedAhead()
+      },
+      stream: this.streams.get(this.currentAudio)?.getState() || null,
+      source: this.selectedSources.get(this.currentFileInfo?.url) || null,
+      quality: this.quality,
+      bandwidth: this.bandwidth === null ? null : Math.round(this.bandwidth),
+      recovering: this.recovery ? { url: this.recovery.file.url, attempt: this.recovery.attempt } : null,
+      skippedFiles: [...this.failedFiles.keys()],
+      fillingGap: this.fillingGap
     };
   }
   
@@ -348,14 +1477,20 @@ export class AudioEngine {
    * Clean up resources
    */
   destroy() {
+    if (this.player) {
+      this.player.destroy();
+    }
     if (this.currentAudio) {
-      this.currentAudio.pause();
+      this.releaseElement(this.currentAudio);
       this.currentAudio = null;
     }
     if (this.nextAudio) {
-      this.nextAudio.pause();
+      this.releaseElement(this.nextAudio);
       this.nextAudio = null;
     }
+    this.stopIncoming();
+    this.clearRecovery();
+    this.stopRoomTone();
     if (this.audioContext) {
       this.audioContext.close();
     }
@@ -0,0 +1,205 @@
+/**
+ * CLOCK SYNC
+ * 
+ * Pluggable wall-clock sources for the Timeline Engine.
+ * A machine with a skewed clock would otherwise play the wrong part of the route.
+ * 
+ * SOURCES:
+ * - LocalClock: trusts the machine clock (Date.now())
+ * - ServerClock: estimates the offset to a reference time endpoint using
+ *   repeated NTP-style samples, and falls back to the local clock when
+ *   the endpoint is unreachable. Startup waits only for the first good
+ *   sample (at most `startTimeout`); the full sync refines it afterwards
+ * 
+ * Every source implements now() → milliseconds since Unix epoch, read
+ * through the injected clock (see clock.js) so simulations stay consistent.
+ * 
+ * ENDPOINT FORMAT:
+ * GET <endpoint> → { "receiveTime": <ms>, "transmitTime": <ms> }
+ * (a single { "time": <ms> } is accepted too). See tools/time-server.mjs.
+ */
+
+import { SystemClock } from './clock.js';
+
+export class LocalClock {
+  /**
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(clock = new SystemClock()) {
+    this.clock = clock;
+  }
+  
+  /**
+   * @returns {number} Current time in milliseconds since Unix epoch
+   */
+  now() {
+    return this.clock.wallTime();
+  }
+  
+  /**
+   * Get diagnostic information
+   * 
+   * @returns {object} Diagnostic data
+   */
+  getDiagnostics() {
+    return {
+      source: 'local',
+      offset: 0,
+      roundTripTime: null,
+      isSynced: false
+    };
+  }
+}
+
+export class ServerClock {
+  /**
+   * @param {string} endpoint - URL of the time endpoint
+   * @param {object} options - {samples, timeout, startTimeout, resyncInterval}
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(endpoint, options = {}, clock = new SystemClock()) {
+    this.clock = clock;
+    this.endpoint = endpoint;
+    this.sampleCount = options.samples || 8;           // Samples per sync
+    this.timeout = options.timeout || 2000;            // Per-sample timeout (ms)
+    this.startTimeout = options.startTimeout || 3000;  // Longest start() waits for a first sample (ms)
+    this.resyncInterval = options.resyncInterval || 600000; // Re-estimate every 10 minutes
+    
+    // Estimated state
+    this.offset = 0;            // Server time minus local time (ms)
+    this.roundTripTime = null;  // Round-trip delay of the best sample (ms)
+    this.isSynced = false;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    
+    this.resyncTimer = null;
+  }
+  
+  /**
+   * Get estimated true time
+   * Equals the local clock until a sync has succeeded
+   * 
+   * @returns {number} Milliseconds since Unix epoch
+   */
+  now() {
+    return this.clock.wallTime() + this.offset;
+  }
+  
+  /**
+   * Take one NTP-style sample
+   * t0 = request sent (local), t1 = request received (server),
+   * t2 = response sent (server), t3 = response received (local)
+   * 
+   * @param {number} timeout - ms before giving up
+   * @returns {Promise<object>} {offset, roundTripTime}
+   */
+  async takeSample(timeout = this.timeout) {
+    const controller = new AbortController();
+    const timer = this.clock.setTimeout(() => controller.abort(), timeout);
+    
+    try {
+      const t0 = this.clock.wallTime();
+      const response = await fetch(this.endpoint, {
+        cache: 'no-store',
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`Time endpoint responded ${response.status}`);
+      }
+      const data = await response.json();
+      const t3 = this.clock.wallTime();
+      
+      const t1 = Number(data.receiveTime ?? data.time);
+      const t2 = Number(data.transmitTime ?? data.time);
+      if (!isFinite(t1) || !isFinite(t2)) {
+        throw new Error('Time endpoint returned no timestamp');
+      }
+      
+      return {
+        offset: ((t1 - t0) + (t2 - t3)) / 2,
+        roundTripTime: (t3 - t0) - (t2 - t1)
+      };
+    } finally {
+      this.clock.clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * Estimate clock offset from repeated samples
+   * Keeps the sample with the lowest round-trip time, since it has the
+   * least room for asymmetric network delay.
+   * 
+   * @param {number|null} timeLimit - Stop at the first good sample or after
+   *                                  this many ms (null: take every sample)
+   * @returns {Promise<boolean>} True if at least one sample succeeded
+   */
+  async sync(timeLimit = null) {
+    const samples = [];
+    const deadline = timeLimit === null ? Infinity : this.clock.now() + timeLimit;
+    
+    for (let i = 0; i < this.sampleCount; i++) {
+      const remaining = deadline - this.clock.now();
+      if (remaining <= 0 || (timeLimit !== null && samples.length > 0)) break;
+      try {
+        samples.push(await this.takeSample(Math.min(this.timeout, remaining)));
+      } catch (error) {
+        this.lastError = error;
+      }
+    }
+    
+    if (samples.length === 0) {
+      // Keep the last good estimate if we had one, else this is the local clock
+      console.warn(`Clock sync failed (${this.endpoint}), using ${this.isSynced ? 'last estimate' : 'local clock'}:`, this.lastError?.message);
+      return false;
+    }
+    
+    const best = samples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    this.offset = best.offset;
+    this.roundTripTime = best.roundTripTime;
+    this.isSynced = true;
+    this.lastSyncAt = this.clock.wallTime();
+    this.lastError = null;
+    
+    console.log(`Clock synced: offset ${this.offset.toFixed(1)}ms, RTT ${this.roundTripTime.toFixed(1)}ms (${samples.length}/${this.sampleCount} samples)`);
+    return true;
+  }
+  
+  /**
+   * Sync quickly now, fully in the background, and periodically afterwards
+   */
+  async start() {
+    await this.sync(this.startTimeout);
+    this.sync();
+    
+    if (!this.resyncTimer) {
+      this.resyncTimer = this.clock.setInterval(() => this.sync(), this.resyncInterval);
+    }
+  }
+  
+  /**
+   * Stop periodic syncing
+   */
+  stop() {
+    if (this.resyncTimer) {
+      this.clock.clearInterval(this.resyncTimer);
+      this.resyncTimer = null;
+    }
+  }
+  
+  /**
+   * Get diagnostic information
+   * 
+   * @returns {object} Diagnostic data
+   */
+  getDiagnostics() {
+    return {
+      source: 'server',
+      endpoint: this.endpoint,
+      offset: this.offset,
+      roundTripTime: this.roundTripTime,
+      isSynced: this.isSynced,
+      lastSyncAt: this.lastSyncAt,
+      lastError: this.lastError?.message || null
+    };
+  }
+}
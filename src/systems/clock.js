@@ -0,0 +1,188 @@
+/**
+ * CLOCK
+ * 
+ * Time and timer abstraction shared by all systems.
+ * Systems never call performance.now(), Date.now(), setInterval or
+ * setTimeout directly; they go through an injected clock instead.
+ * 
+ * CLOCKS:
+ * - SystemClock: the real browser/Node clock (default everywhere)
+ * - VirtualClock: simulated time that can be stepped manually or run
+ *   faster than real time (e.g. 100x) to fast-forward the 4-hour loop
+ * 
+ * INTERFACE:
+ * - now()        → monotonic milliseconds (like performance.now())
+ * - wallTime()   → milliseconds since Unix epoch (like Date.now())
+ * - setTimeout / clearTimeout / setInterval / clearInterval
+ */
+
+// Real timer, captured so VirtualClock can yield to pending promises
+const realSetTimeout = globalThis.setTimeout.bind(globalThis);
+
+export class SystemClock {
+  now() {
+    return performance.now();
+  }
+  
+  wallTime() {
+    return Date.now();
+  }
+  
+  setTimeout(callback, delay) {
+    return setTimeout(callback, delay);
+  }
+  
+  clearTimeout(id) {
+    clearTimeout(id);
+  }
+  
+  setInterval(callback, delay) {
+    return setInterval(callback, delay);
+  }
+  
+  clearInterval(id) {
+    clearInterval(id);
+  }
+}
+
+export class VirtualClock {
+  /**
+   * @param {object} options - {startTime}
+   * @param {number|string|Date} options.startTime - Wall-clock time at elapsed 0
+   */
+  constructor(options = {}) {
+    this.elapsed = 0; // Simulated milliseconds since creation
+    this.startWallTime = options.startTime !== undefined
+      ? new Date(options.startTime).getTime()
+      : Date.now();
+    
+    // Pending timers: id → {callback, time, interval}
+    this.timers = new Map();
+    this.nextTimerId = 1;
+    
+    // Real-time driver (see run())
+    this.runTimer = null;
+    this.isStepping = false;
+  }
+  
+  now() {
+    return this.elapsed;
+  }
+  
+  wallTime() {
+    return this.startWallTime + this.elapsed;
+  }
+  
+  setTimeout(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, {
+      callback,
+      time: this.elapsed + Math.max(0, delay),
+      interval: null
+    });
+    return id;
+  }
+  
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+  
+  setInterval(callback, delay = 0) {
+    const id = this.nextTimerId++;
+    const interval = Math.max(1, delay);
+    this.timers.set(id, {
+      callback,
+      time: this.elapsed + interval,
+      interval
+    });
+    return id;
+  }
+  
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+  
+  /**
+   * Find the earliest timer due at or before a given time
+   * Ties fire in creation order
+   * 
+   * @param {number} limit - Latest time to consider
+   * @returns {Array|null} [id, timer] or null
+   */
+  findNextDue(limit) {
+    let next = null;
+    
+    this.timers.forEach((timer, id) => {
+      if (timer.time > limit) return;
+      if (!next || timer.time < next[1].time) {
+        next = [id, timer];
+      }
+    });
+    
+    return next;
+  }
+  
+  /**
+   * Advance simulated time, firing every timer that falls due in order
+   * Yields to pending promises after each timer, so async work started by
+   * a callback (e.g. audio reloads) settles before the next one fires.
+   * 
+   * @param {number} ms - Milliseconds to advance
+   */
+  async step(ms) {
+    this.isStepping = true;
+    const target = this.elapsed + ms;
+    
+    try {
+      let due = this.findNextDue(target);
+      while (due) {
+        const [id, timer] = due;
+        this.elapsed = timer.time;
+        
+        if (timer.interval) {
+          timer.time += timer.interval;
+        } else {
+          this.timers.delete(id);
+        }
+        
+        try {
+          timer.callback();
+        } catch (error) {
+          console.error('Error in virtual timer:', error);
+        }
+        
+        await new Promise(resolve => realSetTimeout(resolve, 0));
+        due = this.findNextDue(target);
+      }
+      
+      this.elapsed = target;
+    } finally {
+      this.isStepping = false;
+    }
+  }
+  
+  /**
+   * Run simulated time continuously at a multiple of real time
+   * 
+   * @param {number} rate - Speed multiplier (100 = 100x real time)
+   * @param {number} tickMs - Real milliseconds between steps
+   */
+  run(rate = 100, tickMs = 50) {
+    if (this.runTimer) return;
+    
+    this.runTimer = setInterval(() => {
+      if (this.isStepping) return; // Previous step still catching up
+      this.step(tickMs * rate);
+    }, tickMs);
+  }
+  
+  /**
+   * Stop running in real time (manual step() still works)
+   */
+  pause() {
+    if (this.runTimer) {
+      clearInterval(this.runTimer);
+      this.runTimer = null;
+    }
+  }
+}
@@ -0,0 +1,672 @@
+/**
+ * GAPLESS PLAYER
+ * 
+ * Plays a sequence of audio files as one continuous stream: each file is
+ * decoded into AudioBuffers a chunk at a time and scheduled on the
+ * AudioContext clock, so the next chunk (or the next track) starts on the
+ * exact sample frame where the previous one ends. No 'ended' events, no
+ * gap, no click between the tracks of a continuous recording.
+ * 
+ * CHUNKED DECODING:
+ * A 15-minute track decoded whole is ~350 MB of float samples, so only
+ * `scheduleAhead` seconds are kept decoded, in `chunkDuration` pieces:
+ * - MP3: whole frames (see audio-metadata.js), decoded with a few extra
+ *   frames on each side (the bit reservoir and the decoder's delay), then
+ *   played from the exact sample the previous chunk stopped at. Every chunk
+ *   is cut the same way, so chunks line up whether or not the browser's
+ *   decoder trims its delay. The LAME encoder delay and padding are cut
+ *   at the start and end of each track.
+ * - WAV: sample ranges, each wrapped in its own WAV header
+ * - Other formats: decoded whole (short files only, see maxWholeDuration)
+ * Where the server takes range requests and a chunk can be found from the
+ * file's first bytes (WAV, constant-bitrate MP3: see indexAudioHeader),
+ * each chunk is fetched on its own, so joining 20 minutes into a track
+ * doesn't wait for those 20 minutes to download. Other files are fetched
+ * whole, once, and kept while they are playing or next.
+ * 
+ * TRANSITIONS:
+ * Tracks alternate between two voices (gain nodes), so the transition into
+ * a file (`file.transition`, see audio-transitions.js) can be played out on
+ * the context clock: a crossfade starts the next track `overlap` seconds
+ * before the previous one ends, and fades ramp each voice's gain.
+ * 
+ * ERRORS:
+ * A file that can't be fetched or decoded halts scheduling (what is queued
+ * plays out) and is reported to `onError`; fetch errors carry the file
+ * (`error.file`), so the caller can retry it and resume().
+ * 
+ * DRIFT:
+ * The context clock and the wall clock drift apart. nudge() makes up a
+ * few seconds by playing the chunks scheduled from then on slightly faster
+ * or slower (playbackRate, within `maxRateChange`; the pitch moves with
+ * it), so there is no jump.
+ * 
+ * UNDERRUNS:
+ * When the network falls behind and the queue runs dry (isStarved()), the
+ * next chunk joins where the file is by now rather than where it stopped.
+ * 
+ * Used by AudioEngine in 'buffer' playback mode.
+ */
+
+import { SystemClock } from './clock.js';
+import { indexAudioFile, indexAudioHeader, locateMp3Frames, getId3Size } from '../utils/audio-metadata.js';
+import { normalizeTransition, scheduleFade } from '../utils/audio-transitions.js';
+
+const PRIMING_FRAMES = 4;  // MP3 frames decoded before a chunk (bit reservoir, decoder delay)
+const TRAILING_FRAMES = 2; // MP3 frames decoded after a chunk
+const HEADER_BYTES = 65536; // Fetched first, to index a file fetched in chunks
+
+export class GaplessPlayer {
+  /**
+   * @param {AudioContext} audioContext - Context to schedule on
+   * @param {AudioNode} destination - Node the sources connect to
+   * @param {object} options - {chunkDuration, scheduleAhead, maxWholeDuration, maxRateChange, fetch, clock}
+   * @param {number} options.chunkDuration - Seconds decoded per chunk
+   * @param {number} options.scheduleAhead - Seconds kept decoded and scheduled
+   * @param {number} options.maxWholeDuration - Longest file decoded whole (unchunkable formats)
+   * @param {number} options.maxRateChange - Largest playbackRate change of a nudged chunk
+   * @param {Function} options.fetch - fetch implementation (global fetch by default)
+   * @param {object} options.clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(audioContext, destination, options = {}) {
+    this.audioContext = audioContext;
+    this.destination = destination;
+    this.chunkDuration = options.chunkDuration || 20;
+    this.scheduleAhead = options.scheduleAhead || 40;
+    this.maxWholeDuration = options.maxWholeDuration || 300;
+    this.maxRateChange = options.maxRateChange || 0.02;
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.clock = options.clock || new SystemClock();
+    
+    // Two voices, a track each, so a crossfade can ramp both
+    this.voices = [0, 1].map(() => {
+      const voice = audioContext.createGain();
+      voice.connect(destination);
+      return voice;
+    });
+    this.voiceIndex = 0;       // Voice of the track being scheduled
+    
+    // Schedule
+    this.scheduled = [];       // [{file, fileStart, fileEnd, startFrame, endFrame, speed, source}]
+    this.cursor = null;        // Next audio to schedule: {file, offset, newTrack}
+    this.nextStartFrame = 0;   // Context sample frame where the next chunk starts
+    this.startRequestedAt = 0; // Context time of start(), to make up for loading time
+    this.generation = 0;       // Bumped by start/stop; stale async work is dropped
+    this.correction = 0;       // Seconds the next chunks gain by playing faster (negative: slower)
+    this.isPlaying = false;
+    this.pumping = false;
+    this.pumpInterval = 1000;  // Top up the schedule every second
+    this.pumpTimer = null;
+    
+    // Fetched files: url → Promise of {bytes, index, decoded?}, or {url, index, ranged} (fetched by chunk)
+    this.files = new Map();
+    
+    // Hooks
+    this.getNextFile = null;   // (fileInfo) => fileInfo of the track that follows
+    this.resolveUrl = null;    // (fileInfo) => URL to fetch it from (file.url by default)
+    this.onError = null;       // (error, file) when a file can't be loaded or decoded
+    this.onLoad = null;        // (file, bytes, ms) after each file is fetched
+  }
+  
+  /**
+   * Start playing a file at an offset, replacing anything scheduled
+   * Resolves once the first chunk is scheduled
+   * 
+   * @param {object} file - Audio file info ({url, duration, ...})
+   * @param {number} offset - Seconds into the file
+   */
+  async start(file, offset = 0) {
+    this.stop();
+    this.isPlaying = true;
+    this.cursor = { file, offset, newTrack: true };
+    this.voiceIndex = 0;
+    this.startRequestedAt = this.audioContext.currentTime;
+    this.nextStartFrame = null; // Set when the first chunk is ready
+    
+    this.pumpTimer = this.clock.setInterval(() => this.pump(), this.pumpInterval);
+    await this.pump();
+  }
+  
+  /**
+   * Carry on scheduling from where an error halted it
+   * If the queue has run out meanwhile, joins where the file is by now.
+   */
+  async resume() {
+    if (this.isPlaying || !this.cursor) return;
+    
+    const queueEnd = this.nextStartFrame === null ? null : this.nextStartFrame / this.audioContext.sampleRate;
+    if (queueEnd !== null && queueEnd < this.audioContext.currentTime + 0.05) {
+      this.startRequestedAt = queueEnd;
+      this.nextStartFrame = null;
+    }
+    
+    this.isPlaying = true;
+    this.pumpTimer = this.clock.setInterval(() => this.pump(), this.pumpInterval);
+    await this.pump();
+  }
+  
+  /**
+   * Stop playback and drop everything scheduled
+   */
+  stop() {
+    this.generation++;
+    this.correction = 0;
+    this.halt();
+    this.scheduled.forEach(entry => this.releaseSource(entry.source));
+    this.scheduled = [];
+    this.voices.forEach(voice => {
+      voice.gain.cancelScheduledValues(0);
+      voice.gain.value = 1;
+    });
+  }
+  
+  /**
+   * Stop scheduling; what is already scheduled plays out
+   */
+  halt() {
+    this.isPlaying = false;
+    if (this.pumpTimer) {
+      this.clock.clearInterval(this.pumpTimer);
+      this.pumpTimer = null;
+    }
+  }
+  
+  /**
+   * Decode and schedule chunks until `scheduleAhead` seconds are queued
+   */
+  async pump() {
+    if (this.pumping || !this.isPlaying) return;
+    this.pumping = true;
+    const generation = this.generation;
+    
+    try {
+      while (this.isPlaying && generation === this.generation && this.getQueuedSeconds() < this.scheduleAhead) {
+        const chunk = await this.decodeChunk(this.cursor.file, this.cursor.offset);
+        if (generation !== this.generation) return;
+        this.schedule(chunk);
+      }
+      this.prune();
+      
+      // Fetch the next track well before its first chunk is due
+      const next = this.getUpcomingFile();
+      if (next && generation === this.generation) {
+        this.loadFile(next).catch(() => {}); // Reported when it is decoded
+      }
+    } catch (error) {
+      if (generation === this.generation) {
+        console.error('Gapless playback failed:', error);
+        this.halt();
+        const file = this.cursor?.file;
+        if (file) this.files.delete(file.url); // Fetched again on resume()
+        if (this.onError) this.onError(error, file);
+      }
+    } finally {
+      this.pumping = false;
+    }
+  }
+  
+  /**
+   * Seconds of audio scheduled beyond the current context time
+   */
+  getQueuedSeconds() {
+    if (this.nextStartFrame === null) return 0;
+    return this.nextStartFrame / this.audioContext.sampleRate - this.audioContext.currentTime;
+  }
+  
+  /**
+   * Whether playback is waiting for audio: scheduling, with nothing queued
+   * (the first chunk is loading, or the network fell behind)
+   * 
+   * @returns {boolean}
+   */
+  isStarved() {
+    return this.isPlaying && this.getQueuedSeconds() <= 0;
+  }
+  
+  /**
+   * Schedule a decoded chunk right after the previous one and advance the cursor
+   * 
+   * @param {object} chunk - {file, buffer, bufferOffset, fileStart, duration, endOfFile}
+   */
+  schedule(chunk) {
+    const rate = this.audioContext.sampleRate;
+    const now = this.audioContext.currentTime;
+    const newTrack = this.cursor.newTrack;
+    const transition = chunk.file.transition || normalizeTransition('gapless');
+    let { bufferOffset, fileStart, duration } = chunk;
+    
+    // Whole sample frames, so the next chunk starts exactly where this one ends
+    let startFrame = this.nextStartFrame;
+    
+    // Ran dry: join where the file is by now, as after start()
+    if (startFrame !== null && startFrame < Math.ceil(now * rate)) {
+      this.startRequestedAt = startFrame / rate;
+      startFrame = null;
+    }
+    
+    if (startFrame === null) {
+      // First chunk: join where the file is by now, a moment from now
+      const startTime = now + 0.05;
+      const late = Math.min(startTime - this.startRequestedAt, Math.max(0, duration - 0.05));
+      bufferOffset += late;
+      fileStart += late;
+      duration -= late;
+      startFrame = Math.ceil(startTime * rate);
+    } else if (newTrack) {
+      // Next track: the previous one fades out towards its end, and a
+      // crossfade starts this one under it
+      const previousEnd = startFrame / rate;
+      if (transition.fadeOut > 0) {
+        scheduleFade(this.voices[this.voiceIndex].gain, 'out', previousEnd - transition.fadeOut, transition.fadeOut, now);
+      }
+      this.voiceIndex = 1 - this.voiceIndex;
+      startFrame -= Math.round(transition.overlap * rate);
+      
+      // Too late for part of the overlap (just started): join it part-way
+      const earliest = Math.ceil((now + 0.05) * rate);
+      if (startFrame < earliest) {
+        const late = Math.min((earliest - startFrame) / rate, Math.max(0, duration - 0.05));
+        bufferOffset += late;
+        fileStart += late;
+        duration -= late;
+        startFrame += Math.round(late * rate);
+      }
+    }
+    
+    const voice = this.voices[this.voiceIndex];
+    if (newTrack) {
+      // Fade in from the track's start (part-way, or at full gain, if that has passed)
+      scheduleFade(voice.gain, 'in', startFrame / rate - fileStart, transition.fadeIn, now);
+    }
+    
+    // A nudged chunk plays faster or slower, and so takes less or more time
+    const speed = this.getChunkSpeed(duration);
+    const endFrame = startFrame + Math.round(duration / speed * rate);
+    if (speed !== 1) {
+      this.correction -= duration - (endFrame - startFrame) / rate;
+      if (Math.abs(this.correction) < 0.001) this.correction = 0; // Made up, to the sample
+    }
+    
+    const source = this.audioContext.createBufferSource();
+    source.buffer = chunk.buffer;
+    if (speed !== 1) source.playbackRate.value = speed;
+    source.connect(voice);
+    source.start(startFrame / rate, bufferOffset, (endFrame - startFrame) / rate * speed);
+    
+    this.scheduled.push({
+      file: chunk.file,
+      fileStart,
+      fileEnd: fileStart + duration,
+      startFrame,
+      endFrame,
+      speed,
+      source
+    });
+    this.nextStartFrame = endFrame;
+    
+    // Advance: rest of this file, or the start of the next one
+    if (chunk.endOfFile) {
+      const next = this.getNextFile ? this.getNextFile(chunk.file) : null;
+      this.cursor = next ? { file: next, offset: 0, newTrack: true } : null;
+      if (!next) this.isPlaying = false; // Nothing follows: let the queue run out
+    } else {
+      this.cursor = { file: chunk.file, offset: fileStart + duration };
+    }
+  }
+  
+  /**
+   * Make up drift over the chunks scheduled from now on: they play faster
+   * to gain `seconds` (negative: slower, to lose them). Replaces an earlier
+   * nudge not yet made up; chunks already scheduled are left as they are
+   * (see getQueuedCorrection).
+   * 
+   * @param {number} seconds - Seconds of audio to gain
+   */
+  nudge(seconds) {
+    this.correction = seconds;
+  }
+  
+  /**
+   * Seconds the scheduled chunks still gain by their playbackRate, from
+   * now to the end of the queue (negative: lose)
+   * 
+   * @returns {number}
+   */
+  getQueuedCorrection() {
+    const rate = this.audioContext.sampleRate;
+    const now = this.audioContext.currentTime * rate;
+    return this.scheduled.reduce((sum, entry) => {
+      const unplayed = Math.max(0, entry.endFrame - Math.max(now, entry.startFrame)) / rate;
+      return sum + unplayed * (entry.speed - 1);
+    }, 0);
+  }
+  
+  /**
+   * playbackRate of the next chunk: as much of the correction as it can
+   * make up within `maxRateChange`
+   * 
+   * @param {number} duration - Seconds of audio in the chunk
+   * @returns {number} Rate (1: not nudged)
+   */
+  getChunkSpeed(duration) {
+    if (!this.correction) return 1;
+    const speed = duration / Math.max(duration - this.correction, 0.001);
+    return Math.max(1 - this.maxRateChange, Math.min(1 + this.maxRateChange, speed));
+  }
+  
+  /**
+   * Drop finished chunks and files no longer playing or next
+   */
+  prune() {
+    const now = this.audioContext.currentTime * this.audioContext.sampleRate;
+    this.scheduled = this.scheduled.filter(entry => {
+      if (entry.endFrame > now) return true;
+      this.releaseSource(entry.source);
+      return false;
+    });
+    
+    const inUse = new Set(this.scheduled.map(entry => entry.file.url));
+    if (this.cursor) inUse.add(this.cursor.file.url);
+    const next = this.getUpcomingFile();
+    if (next) inUse.add(next.url);
+    [...this.files.keys()].forEach(url => {
+      if (!inUse.has(url)) this.files.delete(url);
+    });
+  }
+  
+  /**
+   * The track after the one being decoded
+   * 
+   * @returns {object|null} Audio file info
+   */
+  getUpcomingFile() {
+    if (!this.cursor || !this.getNextFile) return null;
+    return this.getNextFile(this.cursor.file);
+  }
+  
+  /**
+   * Stop and disconnect a source node
+   */
+  releaseSource(source) {
+    source.onended = null;
+    try {
+      source.stop();
+    } catch {
+      // Not started yet or already stopped
+    }
+    source.disconnect();
+  }
+  
+  /**
+   * What is audible now (the outgoing track, during a crossfade)
+   * 
+   * @returns {object|null} {file, offset, speed} (offset in seconds into the file, speed its playbackRate)
+   */
+  getPosition() {
+    const rate = this.audioContext.sampleRate;
+    const now = this.audioContext.currentTime * rate;
+    const entry = this.scheduled.find(item => item.startFrame <= now && now < item.endFrame);
+    if (!entry) return null;
+    
+    return {
+      file: entry.file,
+      offset: entry.fileStart + (now - entry.startFrame) / rate * entry.speed,
+      speed: entry.speed
+    };
+  }
+  
+  /**
+   * Index a file from its first bytes, or fetch it whole where its chunks
+   * can't be fetched on their own (cached while in use)
+   * 
+   * @param {object} file - Audio file info
+   * @returns {Promise<object>} {url, index, ranged: true} or {bytes, index}
+   */
+  loadFile(file) {
+    if (!this.files.has(file.url)) {
+      const loading = (async () => {
+        const url = this.resolveUrl ? this.resolveUrl(file) : file.url;
+        const header = await this.fetchRange(file, url, 0, HEADER_BYTES);
+        if (!header.partial || header.bytes.length >= header.size) {
+          return { bytes: header.bytes, index: indexAudioFile(header.bytes) }; // That was all of it
+        }
+        
+        let index = header.size > 0 ? indexAudioHeader(header.bytes, header.size) : null;
+        const tagSize = getId3Size(header.bytes);
+        if (!index && header.size > 0 && tagSize + 4096 > header.bytes.length) {
+          // Cover art: the audio starts past the first fetch
+          const more = await this.fetchRange(file, url, tagSize, tagSize + HEADER_BYTES);
+          if (more.partial) index = indexAudioHeader(more.bytes, header.size, tagSize);
+        }
+        if (index) return { url, index, ranged: true };
+        
+        const whole = await this.fetchRange(file, url);
+        return { bytes: whole.bytes, index: indexAudioFile(whole.bytes) };
+      })();
+      loading.catch(() => this.files.delete(file.url));
+      this.files.set(file.url, loading);
+    }
+    return this.files.get(file.url);
+  }
+  
+  /**
+   * Decode the chunk of a file that starts at an offset
+   * 
+   * @param {object} file - Audio file info
+   * @param {number} offset - Seconds into the file
+   * @returns {Promise<object>} {file, buffer, bufferOffset, fileStart, duration, endOfFile}
+   */
+  async decodeChunk(file, offset) {
+    const loaded = await this.loadFile(file);
+    const { bytes, index } = loaded;
+    
+    if (!index) {
+      return this.decodeWhole(file, loaded, offset);
+    }
+    
+    // Chunk bounds in decoder samples
+    const rate = index.sampleRate;
+    const first = Math.min(index.contentStart + Math.round(offset * rate), index.contentEnd);
+    const last = Math.min(first + Math.round(this.chunkDuration * rate), index.contentEnd);
+    
+    let data;
+    let dataStart; // Decoder sample at the start of the decoded data
+    if (index.format === 'mp3') {
+      const perFrame = index.samplesPerFrame;
+      const frameCount = loaded.ranged ? index.frameCount : index.frameOffsets.length;
+      const fromFrame = Math.max(0, Math.floor(first / perFrame) - PRIMING_FRAMES);
+      const toFrame = Math.min(frameCount, Math.ceil(last / perFrame) + TRAILING_FRAMES);
+      if (loaded.ranged) {
+        data = await this.fetchFrames(file, loaded, fromFrame, toFrame);
+      } else {
+        const end = toFrame < frameCount ? index.frameOffsets[toFrame] : index.endOffset;
+        data = bytes.slice(index.frameOffsets[fromFrame], end).buffer;
+      }
+      dataStart = fromFrame * perFrame;
+    } else {
+      const start = index.dataOffset + first * index.blockAlign;
+      const end = index.dataOffset + last * index.blockAlign;
+      const samples = loaded.ranged ? await this.fetchPart(file, loaded, start, end) : bytes.subarray(start, end);
+      data = buildWav(index.fmt, samples);
+      dataStart = first;
+    }
+    
+    const buffer = await this.decode(data);
+    const bufferOffset = (first - dataStart) / rate;
+    return {
+      file,
+      buffer,
+      bufferOffset,
+      fileStart: (first - index.contentStart) / rate,
+      // Never past the decoded data (a decoder that trims shortens it)
+      duration: Math.max(0, Math.min((last - first) / rate, buffer.duration - bufferOffset)),
+      endOfFile: last >= index.contentEnd
+    };
+  }
+  
+  /**
+   * Fetch MP3 frames [from, to) of a file fetched by chunk
+   * The frame whose header is nearest its expected offset is `from`.
+   * 
+   * @returns {Promise<ArrayBuffer>} The frames
+   */
+  async fetchFrames(file, loaded, from, to) {
+    const { audioOffset, frameBytes } = loaded.index;
+    const slack = Math.ceil(frameBytes);
+    const expected = audioOffset + Math.round(from * frameBytes);
+    const start = Math.max(0, expected - slack);
+    const part = await this.fetchPart(file, loaded, start, audioOffset + Math.round(to * frameBytes) + slack);
+    
+    const frames = locateMp3Frames(part, expected - start, Math.ceil(slack / 2), to - from);
+    if (!frames) {
+      throw new Error(`${file.url}: no MP3 frame near byte ${expected}`);
+    }
+    return part.slice(frames.start, frames.end).buffer;
+  }
+  
+  /**
+   * Fetch bytes [start, end) of a file fetched by chunk
+   * 
+   * @returns {Promise<Uint8Array>}
+   */
+  async fetchPart(file, loaded, start, end) {
+    const range = await this.fetchRange(file, loaded.url, start, end);
+    return range.partial ? range.bytes : range.bytes.subarray(start, end);
+  }
+  
+  /**
+   * Fetch a file, or bytes [start, end) of it (a server that ignores the
+   * Range header sends all of it)
+   * 
+   * @param {object} file - Audio file info
+   * @param {string} url - URL to fetch it from
+   * @param {number} start - First byte (none: the whole file)
+   * @param {number} end - Byte after the last
+   * @returns {Promise<object>} {bytes, partial, size} (size: of the whole file, NaN if not given)
+   */
+  async fetchRange(file, url, start = null, end = null) {
+    const startedAt = this.clock.now();
+    const options = start === null ? undefined : { headers: { Range: `bytes=${start}-${end - 1}` } };
+    let response;
+    try {
+      response = await this.fetch(url, options);
+    } catch (error) {
+      throw loadError(file, error.message);
+    }
+    if (!response.ok) {
+      throw loadError(file, response.status);
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    if (this.onLoad) this.onLoad(file, bytes.length, this.clock.now() - startedAt);
+    
+    // Content-Range: bytes 0-65535/12345678
+    const size = Number(response.headers?.get('Content-Range')?.split('/')[1]);
+    return { bytes, partial: response.status === 206, size };
+  }
+  
+  /**
+   * Whether a file of a type can play here: MP3 and WAV in chunks, other
+   * formats only if short enough to decode whole
+   * 
+   * @param {string} type - MIME type
+   * @param {number} duration - File duration in seconds
+   * @returns {boolean}
+   */
+  canDecode(type, duration) {
+    const chunked = /^audio\/(mpeg|mp3|wav|wave|x-wav)\b/i.test(type);
+    return chunked || duration <= this.maxWholeDuration;
+  }
+  
+  /**
+   * Decode a file of a format that can't be chunked, whole (short files only)
+   */
+  async decodeWhole(file, loaded, offset) {
+    if (file.duration > this.maxWholeDuration) {
+      throw new Error(`${file.url}: can't decode ${file.duration}s in chunks (use MP3 or WAV)`);
+    }
+    loaded.decoded ||= this.decode(loaded.bytes.slice().buffer);
+    const buffer = await loaded.decoded;
+    const start = Math.min(offset, buffer.duration);
+    
+    return {
+      file,
+      buffer,
+      bufferOffset: start,
+      fileStart: start,
+      duration: buffer.duration - start,
+      endOfFile: true
+    };
+  }
+  
+  /**
+   * Decode compressed audio
+   * Current browsers return a promise (whose rejection must be handled
+   * even when callbacks are given); older Safari only calls back.
+   * 
+   * @param {ArrayBuffer} data - Encoded audio (detached by the browser)
+   * @returns {Promise<AudioBuffer>}
+   */
+  decode(data) {
+    return new Promise((resolve, reject) => {
+      const failed = error => reject(error || new Error('Failed to decode audio'));
+      const decoding = this.audioContext.decodeAudioData(data, resolve, failed);
+      decoding?.then?.(resolve, failed);
+    });
+  }
+  
+  /**
+   * Stop and drop the fetched files, staying ready to play (a new route)
+   */
+  reset() {
+    this.stop();
+    this.files.clear();
+  }
+  
+  /**
+   * Release everything
+   */
+  destroy() {
+    this.reset();
+    this.voices.forEach(voice => voice.disconnect());
+  }
+}
+
+/**
+ * Error for a file that could not be fetched (retryable, unlike decoding errors)
+ * 
+ * @param {object} file - Audio file info
+ * @param {string|number} reason - Network error message or HTTP status
+ * @returns {Error} Error with the file attached
+ */
+function loadError(file, reason) {
+  const error = new Error(`Failed to load ${file.url}: ${reason}`);
+  error.file = file;
+  return error;
+}
+
+/**
+ * Wrap PCM sample data in a WAV header
+ * 
+ * @param {Uint8Array} fmt - Contents of the source file's fmt chunk
+ * @param {Uint8Array} samples - Sample data
+ * @returns {ArrayBuffer} WAV file
+ */
+function buildWav(fmt, samples) {
+  const output = new Uint8Array(20 + fmt.length + 8 + samples.length);
+  const view = new DataView(output.buffer);
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i++) output[offset + i] = tag.charCodeAt(i);
+  };
+  
+  writeTag(0, 'RIFF');
+  view.setUint32(4, output.length - 8, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, fmt.length, true);
+  output.set(fmt, 20);
+  writeTag(20 + fmt.length, 'data');
+  view.setUint32(24 + fmt.length, samples.length, true);
+  output.set(samples, 28 + fmt.length);
+  
+  return output.buffer;
+}
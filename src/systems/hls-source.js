@@ -0,0 +1,394 @@
+/**
+ * HLS SOURCE
+ * 
+ * Plays an HLS audio stream (see utils/hls.js) through an audio element
+ * with Media Source Extensions. Instead of one 25-minute MP3 fetched from
+ * its start, the element gets the segments around its playing position:
+ * - Segments are fetched from wherever the element plays or seeks to,
+ *   `bufferAhead` seconds ahead; those `bufferBehind` seconds back are
+ *   dropped again
+ * - Each segment comes from the highest-bitrate variant the measured
+ *   bandwidth allows (the lowest for a quick start, unless the caller
+ *   passes an earlier estimate); one that won't arrive before the buffer
+ *   runs out is fetched again lower
+ * - A segment that fails is retried; after `retries` failures the stream
+ *   ends with a network error, so the element's 'error' event reports it
+ * 
+ * Driven by the element's own events ('seeking', 'timeupdate', 'waiting'),
+ * so an element that is dropped stops fetching with nothing to clean up.
+ * 
+ * Used by AudioEngine in 'element' mode for files with a `stream`.
+ */
+
+import { SystemClock } from './clock.js';
+import { parseMasterPlaylist, parseMediaPlaylist } from '../utils/hls.js';
+import { BANDWIDTH_SAFETY, addBandwidthSample } from '../utils/bandwidth.js';
+
+const MIME_TYPE = 'audio/mpeg';
+
+export class HlsSource {
+  /**
+   * Whether the browser can play MP3 segments through MSE
+   * 
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof MediaSource !== 'undefined' && MediaSource.isTypeSupported(MIME_TYPE);
+  }
+  
+  /**
+   * @param {HTMLAudioElement} audio - Element to play the stream
+   * @param {string} url - Master (or media) playlist URL
+   * @param {object} options - {bufferAhead, bufferBehind, safety, bandwidth, retries, retryDelay, fetch, clock}
+   * @param {number} options.bufferAhead - Seconds fetched ahead of the playing position
+   * @param {number} options.bufferBehind - Seconds kept behind it
+   * @param {number} options.safety - Share of the measured bandwidth a variant may use
+   * @param {number} options.bandwidth - Bits per second measured before (null: start lowest)
+   * @param {number} options.retries - Retries of a failed segment
+   * @param {number} options.retryDelay - ms before the first retry, doubled for each one after
+   * @param {Function} options.fetch - fetch implementation (global fetch by default)
+   * @param {object} options.clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(audio, url, options = {}) {
+    this.audio = audio;
+    this.url = new URL(url, globalThis.location?.href).href;
+    this.bufferAhead = options.bufferAhead || 30;
+    this.bufferBehind = options.bufferBehind || 30;
+    this.safety = options.safety || BANDWIDTH_SAFETY;
+    this.retries = options.retries ?? 3;
+    this.retryDelay = options.retryDelay || 1000;
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.clock = options.clock || new SystemClock();
+    
+    this.variants = [];        // [{url, bandwidth, ..., playlist}], lowest first
+    this.variantIndex = 0;     // Variant of the last segment fetched
+    this.duration = 0;
+    this.bandwidth = options.bandwidth ?? null; // Measured bits per second (moving average)
+    this.sourceBuffer = null;
+    this.loading = null;       // {index, controller, variantIndex, startedAt}: segment being fetched
+    this.appendedIndex = null; // Segment appended last (the next one follows on)
+    this.failures = 0;         // Failures of the segment being fetched
+    this.retryTimer = null;
+    this.error = null;         // Why the stream failed, once it has
+    this.destroyed = false;    // Set by destroy(): a pending 'sourceopen' or fetch does nothing
+    
+    this.onEvent = () => this.pump();
+    this.onSeeking = () => this.seek();
+    audio.addEventListener('timeupdate', this.onEvent);
+    audio.addEventListener('waiting', this.onEvent);
+    audio.addEventListener('seeking', this.onSeeking);
+    
+    this.mediaSource = new MediaSource();
+    this.mediaSource.addEventListener('sourceopen', () => this.open(), { once: true });
+    audio.src = URL.createObjectURL(this.mediaSource);
+  }
+  
+  /**
+   * Load the playlists and start fetching segments
+   */
+  async open() {
+    URL.revokeObjectURL(this.audio.src); // Attached: the element keeps it
+    if (this.destroyed) return;
+    try {
+      this.variants = parseMasterPlaylist(await this.fetchText(this.url), this.url);
+      const playlist = await this.loadPlaylist(0);
+      if (this.destroyed) return;
+      this.duration = playlist.duration;
+      this.mediaSource.duration = playlist.duration;
+      
+      this.sourceBuffer = this.mediaSource.addSourceBuffer(MIME_TYPE);
+      this.sourceBuffer.mode = 'sequence'; // MP3 carries no timestamps: timestampOffset places it
+      this.sourceBuffer.addEventListener('updateend', this.onEvent);
+      console.log(`Streaming ${this.url} (${this.variants.length} variant(s))`);
+      this.pump();
+    } catch (error) {
+      if (!this.destroyed) this.fail(error);
+    }
+  }
+  
+  /**
+   * Fetch the next segment the playing position needs, if any
+   */
+  pump() {
+    if (this.destroyed || !this.sourceBuffer || this.sourceBuffer.updating || this.retryTimer) return;
+    
+    const time = this.audio.currentTime;
+    if (this.loading) {
+      this.abandonSlowLoad(time);
+      return;
+    }
+    if (this.trim(time)) return; // Carries on at 'updateend'
+    
+    const bufferedEnd = this.getBufferedEnd(time);
+    if (bufferedEnd - time >= this.bufferAhead) return;
+    
+    const index = this.findSegment(bufferedEnd);
+    if (index === -1) {
+      // Everything up to the end is buffered
+      if (this.mediaSource.readyState === 'open') this.mediaSource.endOfStream();
+      return;
+    }
+    this.loadSegment(index);
+  }
+  
+  /**
+   * Follow a seek: drop a fetch the new position doesn't need
+   */
+  seek() {
+    if (this.loading) {
+      const time = this.audio.currentTime;
+      if (this.loading.index !== this.findSegment(this.getBufferedEnd(time))) {
+        this.loading.controller.abort();
+        this.loading = null;
+      }
+    }
+    this.pump();
+  }
+  
+  /**
+   * Drop a fetch that is too slow for its bitrate and would outlast the
+   * buffer, and fetch the segment again from a lower variant
+   * 
+   * @param {number} time - Playing position
+   */
+  abandonSlowLoad(time) {
+    const { index, controller, variantIndex, startedAt } = this.loading;
+    if (!variantIndex || startedAt === undefined) return; // Lowest already, or not fetching yet
+    
+    const elapsed = (this.clock.now() - startedAt) / 1000;
+    const variant = this.variants[variantIndex];
+    const segment = variant.parsed.segments[index];
+    // Throughput can be at most this (the segment hasn't arrived yet)
+    const bound = variant.bandwidth * segment.duration / elapsed;
+    if (elapsed < this.getBufferedEnd(time) - time || bound * this.safety >= variant.bandwidth) return;
+    
+    console.warn(`Stream segment too slow at ${Math.round(variant.bandwidth / 1000)} kbps, switching down`);
+    controller.abort();
+    this.loading = null;
+    const lower = this.variants[variantIndex - 1].bandwidth / this.safety;
+    this.bandwidth = Math.min(this.bandwidth ?? Infinity, bound, lower);
+    this.loadSegment(index);
+  }
+  
+  /**
+   * Fetch a segment from the best variant and append it
+   * 
+   * @param {number} index - Segment index
+   */
+  async loadSegment(index) {
+    const controller = new AbortController();
+    const loading = { index, controller };
+    this.loading = loading;
+    
+    try {
+      const variantIndex = this.chooseVariant();
+      const { segments } = await this.loadPlaylist(variantIndex);
+      const segment = segments[index];
+      if (!segment) throw new Error(`Variant ${variantIndex} has no segment ${index}`);
+      if (this.loading !== loading) return; // Dropped by a seek
+      
+      const startedAt = this.clock.now();
+      Object.assign(loading, { variantIndex, startedAt });
+      const response = await this.fetch(segment.url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`Failed to load ${segment.url}: ${response.status}`);
+      }
+      const data = await response.arrayBuffer();
+      this.bandwidth = addBandwidthSample(this.bandwidth, data.byteLength, this.clock.now() - startedAt);
+      if (this.loading !== loading) return; // Dropped by a seek
+      
+      if (variantIndex !== this.variantIndex) {
+        console.log(`Stream bitrate: ${Math.round(this.variants[variantIndex].bandwidth / 1000)} kbps`);
+        this.variantIndex = variantIndex;
+      }
+      this.loading = null;
+      this.failures = 0;
+      this.append(index, segment, data);
+    } catch (error) {
+      if (this.loading !== loading) return;
+      this.loading = null;
+      this.retry(error);
+    }
+  }
+  
+  /**
+   * Append a segment where it belongs on the element's timeline
+   * 
+   * @param {number} index - Segment index
+   * @param {object} segment - {url, start, duration}
+   * @param {ArrayBuffer} data - Segment bytes
+   */
+  append(index, segment, data) {
+    try {
+      // Sequence mode follows on from the last append; anything else is placed
+      if (this.appendedIndex === null || index !== this.appendedIndex + 1) {
+        this.sourceBuffer.timestampOffset = segment.start;
+      }
+      this.sourceBuffer.appendBuffer(data);
+      this.appendedIndex = index;
+    } catch (error) {
+      this.fail(error);
+    }
+  }
+  
+  /**
+   * Retry after a failed segment, with backoff and the lowest bitrate
+   * 
+   * @param {Error} error - Why it failed
+   */
+  retry(error) {
+    this.failures++;
+    if (this.failures > this.retries) {
+      this.fail(error);
+      return;
+    }
+    const delay = this.retryDelay * 2 ** (this.failures - 1);
+    console.warn(`Stream segment failed (${error.message}), retrying in ${delay}ms`);
+    this.bandwidth = null;
+    this.retryTimer = this.clock.setTimeout(() => {
+      this.retryTimer = null;
+      this.pump();
+    }, delay);
+  }
+  
+  /**
+   * End the stream with a network error, which the element reports as its 'error'
+   * 
+   * @param {Error} error - Why it failed
+   */
+  fail(error) {
+    console.error('Stream failed:', this.url, error);
+    this.error = error;
+    if (this.mediaSource.readyState === 'open') {
+      this.mediaSource.endOfStream('network');
+    }
+  }
+  
+  /**
+   * Remove what is more than `bufferBehind` seconds back
+   * 
+   * @param {number} time - Playing position
+   * @returns {boolean} Whether a removal started
+   */
+  trim(time) {
+    const buffered = this.sourceBuffer.buffered;
+    if (buffered.length === 0) return false;
+    
+    const start = buffered.start(0);
+    const end = time - this.bufferBehind;
+    if (end - start < this.bufferBehind) return false; // Trim in large steps
+    
+    this.sourceBuffer.remove(start, end);
+    this.appendedIndex = null; // Place the next append, whatever it is
+    return true;
+  }
+  
+  /**
+   * End of the buffered range the playing position is in
+   * 
+   * @param {number} time - Playing position
+   * @returns {number} Seconds (time itself if nothing is buffered there)
+   */
+  getBufferedEnd(time) {
+    const buffered = this.sourceBuffer?.buffered;
+    for (let i = 0; i < (buffered?.length || 0); i++) {
+      // Small tolerance: a range can start a few ms after its segment
+      if (buffered.start(i) <= time + 0.1 && time <= buffered.end(i)) {
+        return buffered.end(i);
+      }
+    }
+    return time;
+  }
+  
+  /**
+   * Index of the segment a time falls in
+   * 
+   * @param {number} time - Seconds
+   * @returns {number} Index, or -1 past the last segment
+   */
+  findSegment(time) {
+    const { segments } = this.variants[this.variantIndex].parsed;
+    return segments.findIndex(segment => time < segment.start + segment.duration - 0.01);
+  }
+  
+  /**
+   * Pick the highest bitrate the measured bandwidth allows
+   * 
+   * @returns {number} Variant index
+   */
+  chooseVariant() {
+    if (this.bandwidth === null) return 0;
+    const budget = this.bandwidth * this.safety;
+    let chosen = 0;
+    this.variants.forEach((variant, index) => {
+      if (variant.bandwidth <= budget) chosen = index;
+    });
+    return chosen;
+  }
+  
+  /**
+   * Fetch and parse a variant's media playlist (once)
+   * 
+   * @param {number} index - Variant index
+   * @returns {Promise<object>} {segments, duration, ended}
+   */
+  async loadPlaylist(index) {
+    const variant = this.variants[index];
+    if (!variant.playlist) {
+      variant.playlist = this.fetchText(variant.url)
+        .then(text => {
+          variant.parsed = parseMediaPlaylist(text, variant.url);
+          return variant.parsed;
+        })
+        .catch(error => {
+          variant.playlist = null; // Fetched again next time
+          throw error;
+        });
+    }
+    return variant.playlist;
+  }
+  
+  /**
+   * Fetch a playlist
+   * 
+   * @param {string} url - Playlist URL
+   * @returns {Promise<string>}
+   */
+  async fetchText(url) {
+    const response = await this.fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return response.text();
+  }
+  
+  /**
+   * Stream state, for diagnostics
+   * 
+   * @returns {object} {url, variant, bitrate, bandwidth, variants}
+   */
+  getState() {
+    return {
+      url: this.url,
+      variant: this.variantIndex,
+      bitrate: this.variants[this.variantIndex]?.bandwidth || null,
+      bandwidth: this.bandwidth === null ? null : Math.round(this.bandwidth),
+      variants: this.variants.length
+    };
+  }
+  
+  /**
+   * Stop fetching and let go of the element
+   */
+  destroy() {
+    this.destroyed = true;
+    this.loading?.controller.abort();
+    this.loading = null;
+    this.clock.clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.audio.removeEventListener('timeupdate', this.onEvent);
+    this.audio.removeEventListener('waiting', this.onEvent);
+    this.audio.removeEventListener('seeking', this.onSeeking);
+    this.sourceBuffer?.removeEventListener('updateend', this.onEvent);
+  }
+}
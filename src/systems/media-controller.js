@@ -13,9 +13,16 @@
  * - Tab visibility: suspends cycling when hidden, resumes when visible
  */
 
+import { SystemClock } from './clock.js';
+
 export class MediaController {
-  constructor(routeMapping) {
+  /**
+   * @param {RouteMapping} routeMapping - Route mapping instance
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(routeMapping, clock = new SystemClock()) {
     this.routeMapping = routeMapping;
+    this.clock = clock;
     this.currentSection = null;
     this.currentMedia = null;
     this.nextMedia = null;
@@ -38,6 +45,7 @@ export class MediaController {
     // Callbacks for UI updates
     this.onMediaChange = null;
     this.onMediaReady = null;
+    this.onPoolReset = null;
     
     // Initialize section states
     this.initializeSectionStates();
@@ -89,6 +97,10 @@ export class MediaController {
       state.available = [...state.shown];
       state.shown = [];
       this.shuffleArray(state.available);
+      
+      if (this.onPoolReset) {
+        this.onPoolReset(sectionId);
+      }
     }
     
     const randomIndex = Math.floor(Math.random() * state.available.length);
@@ -120,12 +132,12 @@ export class MediaController {
     
     // Clear any previous image timer
     if (this.imageTimer) {
-      clearTimeout(this.imageTimer);
+      this.clock.clearTimeout(this.imageTimer);
       this.imageTimer = null;
     }
     
     if (mediaItem.type === 'image') {
-      this.imageTimer = setTimeout(() => {
+      this.imageTimer = this.clock.setTimeout(() => {
         this.imageTimer = null;
         this.transitionToNext();
       }, this.imageDuration);
@@ -170,7 +182,7 @@ export class MediaController {
     
     // Cancel pending image timer
     if (this.imageTimer) {
-      clearTimeout(this.imageTimer);
+      this.clock.clearTimeout(this.imageTimer);
       this.imageTimer = null;
     }
     
@@ -193,7 +205,7 @@ export class MediaController {
     // Force load a fresh media item if we have a current section
     if (this.currentSection) {
       // Small delay to let browser re-allocate resources
-      setTimeout(() => {
+      this.clock.setTimeout(() => {
         if (!this.isPaused) {
           this.transitionToNext();
         }
@@ -253,6 +265,20 @@ export class MediaController {
     return null;
   }
   
+  /**
+   * Switch to another route's media pools
+   * The current item stays on screen until start() picks from the new pools
+   * 
+   * @param {RouteMapping} routeMapping - Route mapping of the new route
+   */
+  setRouteMapping(routeMapping) {
+    this.routeMapping = routeMapping;
+    this.currentSection = null;
+    this.sectionStates = {};
+    this.initializeSectionStates();
+    this.preloadCache.clear();
+  }
+  
   /**
    * Handle section change
    */
@@ -322,7 +348,7 @@ export class MediaController {
    */
   destroy() {
     if (this.imageTimer) {
-      clearTimeout(this.imageTimer);
+      this.clock.clearTimeout(this.imageTimer);
       this.imageTimer = null;
     }
     this.preloadCache.clear();
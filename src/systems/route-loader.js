@@ -0,0 +1,246 @@
+/**
+ * ROUTE LOADER
+ * 
+ * Loads a route at runtime from a JSON manifest instead of the
+ * route-config.js module, so a media change is a data change, not a
+ * redeploy. The manifest is small; the dense parts live in per-section
+ * files fetched in parallel, with progress reporting.
+ * 
+ * MANIFEST (see tools/export-route.mjs):
+ * {
+ *   "id": "ring-road", "name": "Ring Road",
+ *   "sections": [{
+ *     "id": "section_1", "name": "Flúðir to Höfn",
+ *     "geometry": "section_1.geojson",      // or {url, format, precision, dimensions}
+ *     "media": "section_1.media.json",      // or an inline "mediaPool"
+ *     "audioFiles": [{ "url": "...", "duration": 642 }]
+ *   }],
+ *   "cues": [], "pointsOfInterest": []
+ * }
+ * File references are relative to the manifest. The result has the same
+ * shape as route-config.js, so everything downstream is unchanged.
+ * 
+ * GEOMETRY FORMATS:
+ * - 'geojson': LineString, Feature or FeatureCollection ([lng, lat, alt]).
+ *   properties.anchors holds the optional per-point time anchor
+ *   (the geoPath 4th element), null where there is none
+ * - 'polyline': encoded polyline (Google algorithm), `precision` decimal
+ *   places (default 5); with `dimensions: 3` the third value is altitude
+ *   in decimetres
+ * The format follows the file extension (.polyline) unless given.
+ */
+
+import { runPool } from '../utils/run-pool.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+export class RouteLoader {
+  /**
+   * @param {object} options - {fetch, concurrency}
+   * @param {Function} options.fetch - fetch implementation (global fetch by default)
+   * @param {number} options.concurrency - Files fetched at once
+   */
+  constructor(options = {}) {
+    this.fetch = options.fetch || ((...args) => globalThis.fetch(...args));
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    this.cache = new Map(); // manifest URL → Promise of route config
+    
+    // Callbacks
+    this.onProgress = null; // ({url, loaded, total, file}) after each file
+  }
+  
+  /**
+   * Load a route from its manifest (cached per URL)
+   * 
+   * @param {string} manifestUrl - Manifest URL
+   * @returns {Promise<object>} Route config, same shape as route-config.js
+   */
+  load(manifestUrl) {
+    if (!this.cache.has(manifestUrl)) {
+      const loading = this.loadManifest(manifestUrl);
+      // Failed loads can be retried
+      loading.catch(() => this.cache.delete(manifestUrl));
+      this.cache.set(manifestUrl, loading);
+    }
+    return this.cache.get(manifestUrl);
+  }
+  
+  /**
+   * Fetch a manifest and every file it references
+   * 
+   * @param {string} manifestUrl - Manifest URL
+   * @returns {Promise<object>} Route config
+   */
+  async loadManifest(manifestUrl) {
+    const baseUrl = new URL(manifestUrl, globalThis.location?.href);
+    const manifest = await this.fetchFile(baseUrl.href, 'json');
+    
+    if (!Array.isArray(manifest.sections)) {
+      throw new Error(`Route manifest has no sections: ${manifestUrl}`);
+    }
+    
+    // One task per referenced file; inline data needs no fetch
+    const tasks = [];
+    const sections = manifest.sections.map(({ geometry, media, ...section }) => {
+      const loaded = { ...section };
+      
+      if (geometry) {
+        const reference = typeof geometry === 'string' ? { url: geometry } : geometry;
+        const url = new URL(reference.url, baseUrl).href;
+        const format = reference.format || (url.endsWith('.polyline') ? 'polyline' : 'geojson');
+        tasks.push({
+          url,
+          type: format === 'polyline' ? 'text' : 'json',
+          apply: (data) => {
+            loaded.geoPath = format === 'polyline'
+              ? decodePolyline(data.trim(), reference.precision, reference.dimensions)
+              : parseGeoJSONPath(data);
+          }
+        });
+      }
+      if (media) {
+        tasks.push({
+          url: new URL(media, baseUrl).href,
+          type: 'json',
+          apply: (data) => {
+            loaded.mediaPool = { videos: data.videos || [], images: data.images || [] };
+          }
+        });
+      }
+      
+      return loaded;
+    });
+    
+    let loaded = 0;
+    const total = tasks.length + 1; // + the manifest itself
+    this.reportProgress(manifestUrl, ++loaded, total, baseUrl.href);
+    
+    await runPool(tasks, this.concurrency, async (task) => {
+      task.apply(await this.fetchFile(task.url, task.type));
+      this.reportProgress(manifestUrl, ++loaded, total, task.url);
+    });
+    
+    return {
+      ...manifest,
+      sections
+    };
+  }
+  
+  /**
+   * Fetch a file as JSON or text
+   * 
+   * @param {string} url - Absolute URL
+   * @param {string} type - 'json' | 'text'
+   */
+  async fetchFile(url, type) {
+    const response = await this.fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status}`);
+    }
+    return type === 'json' ? response.json() : response.text();
+  }
+  
+  /**
+   * Notify the progress callback
+   */
+  reportProgress(url, loaded, total, file) {
+    if (this.onProgress) {
+      this.onProgress({ url, loaded, total, file });
+    }
+  }
+}
+
+/**
+ * Read a geoPath from GeoJSON
+ * Uses the first LineString found; coordinates are [lng, lat, alt?]
+ * 
+ * @param {object} geojson - LineString, Feature or FeatureCollection
+ * @returns {Array} geoPath [[lat, lng, alt?, anchor?], ...]
+ */
+export function parseGeoJSONPath(geojson) {
+  const feature = geojson.type === 'FeatureCollection'
+    ? geojson.features.find(f => f.geometry?.type === 'LineString')
+    : geojson;
+  const geometry = feature?.type === 'Feature' ? feature.geometry : feature;
+  
+  if (geometry?.type !== 'LineString') {
+    throw new Error('GeoJSON geometry must be a LineString');
+  }
+  
+  const anchors = feature.properties?.anchors || [];
+  return geometry.coordinates.map(([lng, lat, altitude], index) => {
+    const point = altitude !== undefined ? [lat, lng, altitude] : [lat, lng];
+    if (anchors[index] !== undefined && anchors[index] !== null) {
+      if (point.length === 2) point.push(null);
+      point.push(anchors[index]);
+    }
+    return point;
+  });
+}
+
+/**
+ * Decode an encoded polyline (Google algorithm)
+ * 
+ * @param {string} encoded - Encoded polyline
+ * @param {number} precision - Decimal places of lat/lng (5 = Google's default)
+ * @param {number} dimensions - 2 = [lat, lng], 3 = [lat, lng, altitude (decimetres)]
+ * @returns {Array} geoPath [[lat, lng, alt?], ...]
+ */
+export function decodePolyline(encoded, precision = 5, dimensions = 2) {
+  const factors = [10 ** precision, 10 ** precision, 10].slice(0, dimensions);
+  const previous = new Array(dimensions).fill(0);
+  const points = [];
+  let index = 0;
+  
+  while (index < encoded.length) {
+    const point = [];
+    for (let d = 0; d < dimensions; d++) {
+      let result = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      
+      previous[d] += (result & 1) ? ~(result >> 1) : (result >> 1);
+      point.push(previous[d] / factors[d]);
+    }
+    points.push(point);
+  }
+  
+  return points;
+}
+
+/**
+ * Encode a geoPath as a polyline (inverse of decodePolyline)
+ * Time anchors (4th element) are not encoded
+ * 
+ * @param {Array} geoPath - [[lat, lng, alt?], ...]
+ * @param {number} precision - Decimal places of lat/lng
+ * @param {number} dimensions - 2 or 3 (with altitude in decimetres)
+ * @returns {string} Encoded polyline
+ */
+export function encodePolyline(geoPath, precision = 5, dimensions = 2) {
+  const factors = [10 ** precision, 10 ** precision, 10].slice(0, dimensions);
+  const previous = new Array(dimensions).fill(0);
+  let encoded = '';
+  
+  geoPath.forEach(point => {
+    for (let d = 0; d < dimensions; d++) {
+      const value = Math.round((point[d] ?? 0) * factors[d]);
+      let delta = value - previous[d];
+      previous[d] = value;
+      
+      delta = delta < 0 ? ~(delta << 1) : delta << 1;
+      while (delta >= 0x20) {
+        encoded += String.fromCharCode((0x20 | (delta & 0x1f)) + 63);
+        delta >>= 5;
+      }
+      encoded += String.fromCharCode(delta + 63);
+    }
+  });
+  
+  return encoded;
+}
@@ -4,22 +4,93 @@
  * Translates timeline position into:
  * - Current section
  * - Current audio file and offset
- * - Geographic position along route
+ * - Geographic position along route, with altitude, heading, speed,
+ *   grade and distances travelled/remaining
  * - Available media pool
+ * - Points of interest in range, and the next one with its ETA
  * 
  * PROCESS:
  * 1. Receives route configuration
- * 2. Pre-calculates section boundaries and cumulative offsets
+ * 2. Pre-calculates section boundaries, cumulative offsets and
+ *    cumulative distance tables along each geoPath
  * 3. Given timeline position, returns all relevant context
+ * 
+ * REVERSE LOOKUP:
+ * findPositionsNear(lat, lng) projects a point onto the route and returns
+ * every timeline position where the route passes it (routes that cross or
+ * revisit a place give several candidates).
+ * 
+ * POINTS OF INTEREST:
+ * Each POI's passes (the timeline intervals where the route runs within
+ * its radius) are precomputed once; the TimelineEngine turns them into
+ * poiEnter/poiLeave events.
+ * 
+ * PERFORMANCE:
+ * Lookups run every frame, so sections, audio files and path segments are
+ * found by binary search over the precomputed tables (O(log n)).
+ * 
+ * TIMED PATHS:
+ * A geoPath point may carry a 4th element, [lat, lng, alt, time]:
+ * - number: audio-time anchor, seconds from the start of the section's audio
+ * - string/Date: GPS timestamp, matched to audio time via `recordedAt` on the
+ *   section or its audio files (see resolvePointTime)
+ * Audio files may also declare where they were recorded with `geoStart` and
+ * `geoEnd`: a geoPath index, or [lat, lng] snapped to the nearest path point.
+ * Each becomes an anchor at the file's start or end time, so the file plays
+ * across exactly that sub-path and track boundaries line up with real places.
+ * With anchors, position is interpolated by time between anchors (the marker
+ * stands still while we recorded in one place); without, it moves at
+ * constant speed through the section.
+ * 
+ * TRANSITIONS:
+ * Each audio file carries the transition into it (see audio-transitions.js).
+ * A crossfade overlaps two files; the overlap belongs to the outgoing one,
+ * so a file's timeline span starts where the previous file's audio ends,
+ * `leadIn` seconds into the file, and offsetInFile counts from the file's
+ * real start. Sections and the route are shorter by their overlaps.
+ */
+
+import { normalizeTransition } from '../utils/audio-transitions.js';
+
+/**
+ * Binary search for the last item whose key is at or before a target
+ * 
+ * @param {ArrayLike} items - Items sorted by ascending key
+ * @param {number} target - Value to look up
+ * @param {Function} getKey - Item → key (defaults to the item itself)
+ * @returns {number} Index, or -1 if every key is after the target
  */
+function findLastAtOrBefore(items, target, getKey = item => item) {
+  let low = 0;
+  let high = items.length - 1;
+  let result = -1;
+  
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (getKey(items[mid]) <= target) {
+      result = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  
+  return result;
+}
 
 export class RouteMapping {
   constructor(routeConfig) {
     this.sections = routeConfig.sections;
+    this.defaultTransition = routeConfig.audio?.transition;
     this.processedSections = [];
+    this.audioFiles = [];                // Every processed audio file, in play order
     this.totalDuration = 0;
+    this.distanceTables = new WeakMap(); // geoPath → cumulative distances (km)
+    this.pointsOfInterest = [];
+    this.poiPasses = [];                 // All POI passes, sorted by enter position
     
     this.processConfiguration();
+    this.processPointsOfInterest(routeConfig.pointsOfInterest || []);
   }
   
   /**
@@ -29,31 +100,38 @@ export class RouteMapping {
   processConfiguration() {
     let cumulativeTime = 0;
     let cumulativeDistance = 0;
+    const transitions = this.resolveTransitions();
     
     this.processedSections = this.sections.map((section, sectionIndex) => {
-      // Calculate section duration from audio files
-      const sectionDuration = section.audioFiles.reduce(
-        (sum, file) => sum + file.duration,
-        0
-      );
-      
-      // Calculate section distance (for geographic interpolation)
-      const sectionDistance = this.calculatePathDistance(section.geoPath);
+      // Cumulative distance along the path (for geographic interpolation)
+      const distanceTable = this.getDistanceTable(section.geoPath);
+      const sectionDistance = distanceTable[distanceTable.length - 1];
       
       // Process audio files with cumulative offsets
+      // A crossfade's overlap is timed by the outgoing file: this one's span starts `leadIn` into it
       let audioFileOffset = 0;
       const processedAudioFiles = section.audioFiles.map((file, fileIndex) => {
+        const transition = transitions[sectionIndex][fileIndex];
+        const span = file.duration - transition.overlap;
         const processed = {
           ...file,
           index: fileIndex,
+          transition,
+          leadIn: transition.overlap,
           startTime: cumulativeTime + audioFileOffset,
-          endTime: cumulativeTime + audioFileOffset + file.duration,
+          endTime: cumulativeTime + audioFileOffset + span,
           offsetInSection: audioFileOffset
         };
-        audioFileOffset += file.duration;
+        audioFileOffset += span;
         return processed;
       });
       
+      // Section duration from its audio files
+      const sectionDuration = audioFileOffset;
+      
+      // Audio time of each path point, if the path carries time anchors
+      const timeTable = this.buildTimeTable(section, distanceTable, processedAudioFiles, sectionDuration);
+      
       // Create processed section object
       const processed = {
         ...section,
@@ -64,6 +142,8 @@ export class RouteMapping {
         distance: sectionDistance,
         startDistance: cumulativeDistance,
         endDistance: cumulativeDistance + sectionDistance,
+        distanceTable,
+        timeTable,
         audioFiles: processedAudioFiles,
         // Combine media pool into single array for easier random selection
         mediaPoolCombined: [
@@ -80,6 +160,7 @@ export class RouteMapping {
     
     this.totalDuration = cumulativeTime;
     this.totalDistance = cumulativeDistance;
+    this.audioFiles = this.processedSections.flatMap(section => section.audioFiles);
     
     console.log('Route mapping initialized:');
     console.log(`  Total duration: ${this.totalDuration}s (${(this.totalDuration / 60).toFixed(1)} min)`);
@@ -87,6 +168,42 @@ export class RouteMapping {
     console.log(`  Sections: ${this.processedSections.length}`);
   }
   
+  /**
+   * Resolve the transition into every audio file
+   * A file's own `transition` wins over its section's (first file only),
+   * which wins over the route's `audio.transition`. The first file's comes
+   * after the route's last file (the loop). Fades are shortened to half of
+   * each file, so a track's fade-in and fade-out never meet.
+   * 
+   * @returns {Array} Per section, the normalized transition into each file
+   */
+  resolveTransitions() {
+    const files = this.sections.flatMap((section, sectionIndex) =>
+      section.audioFiles.map((file, fileIndex) => ({ file, section, sectionIndex, fileIndex }))
+    );
+    const transitions = this.sections.map(() => []);
+    
+    files.forEach(({ file, section, sectionIndex, fileIndex }, i) => {
+      const previous = files[(i - 1 + files.length) % files.length].file;
+      const configured = file.transition ??
+        (fileIndex === 0 ? section.transition : undefined) ??
+        this.defaultTransition;
+      let transition = normalizeTransition(configured);
+      
+      const fadeOut = Math.min(transition.fadeOut, previous.duration / 2);
+      const fadeIn = Math.min(transition.fadeIn, file.duration / 2);
+      if (fadeOut < transition.fadeOut || fadeIn < transition.fadeIn) {
+        console.warn(`${section.id}: ${transition.type} into ${file.url} is longer than half a track, shortening it`);
+        transition = transition.type === 'crossfade'
+          ? normalizeTransition({ type: 'crossfade', duration: Math.min(fadeOut, fadeIn) })
+          : { ...transition, fadeOut, fadeIn };
+      }
+      transitions[sectionIndex].push(transition);
+    });
+    
+    return transitions;
+  }
+  
   /**
    * Calculate approximate distance of a path in kilometers
    * Using Haversine formula for lat/lng distance
@@ -106,6 +223,222 @@ export class RouteMapping {
     return totalDistance;
   }
   
+  /**
+   * Get the cumulative distance table of a path
+   * Entry i is the distance in km from the first point to point i.
+   * Built once per path and cached.
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @returns {Float64Array} Cumulative distances (first entry 0)
+   */
+  getDistanceTable(path) {
+    let table = this.distanceTables.get(path);
+    if (table) return table;
+    
+    table = new Float64Array(Math.max(1, path.length));
+    let totalDist = 0;
+    
+    for (let i = 0; i < path.length - 1; i++) {
+      const [lat1, lng1] = path[i];
+      const [lat2, lng2] = path[i + 1];
+      totalDist += this.haversineDistance(lat1, lng1, lat2, lng2);
+      table[i + 1] = totalDist;
+    }
+    
+    this.distanceTables.set(path, table);
+    return table;
+  }
+  
+  /**
+   * Build the audio-time table of a section's path from its time anchors
+   * Anchors come from timed geoPath points and audio file geoStart/geoEnd.
+   * Between two anchors, time is spread by distance (constant speed); the
+   * path start and end are implicit anchors at 0 and the section duration.
+   * 
+   * @param {object} section - Section from route config
+   * @param {Float64Array} distanceTable - Cumulative distances of the path
+   * @param {Array} audioFiles - Processed audio files of the section
+   * @param {number} duration - Section duration in seconds
+   * @returns {Float64Array|null} Seconds into the section per path point, or null without anchors
+   */
+  buildTimeTable(section, distanceTable, audioFiles, duration) {
+    const path = section.geoPath;
+    const candidates = [];
+    
+    path.forEach((point, index) => {
+      if (point[3] === undefined || point[3] === null) return;
+      
+      const time = this.resolvePointTime(point[3], section, audioFiles);
+      if (time === null) {
+        console.warn(`${section.id}: ignoring unreadable time on geoPath point ${index}: ${point[3]}`);
+        return;
+      }
+      candidates.push({ index, time, label: `geoPath point ${index}` });
+    });
+    
+    candidates.push(...this.resolveAudioFileAnchors(section, audioFiles));
+    candidates.sort((a, b) => a.index - b.index || a.time - b.time);
+    
+    const anchors = [];
+    candidates.forEach(candidate => {
+      const time = Math.min(Math.max(candidate.time, 0), duration);
+      const previous = anchors[anchors.length - 1];
+      
+      // Anchors must not go back in time along the path
+      if (previous && time < previous.time) {
+        console.warn(`${section.id}: ${candidate.label} goes back in time, ignoring its anchor`);
+        return;
+      }
+      // One time per point: the first anchor on a point wins
+      if (previous && candidate.index === previous.index) {
+        if (time !== previous.time) {
+          console.warn(`${section.id}: ${candidate.label} conflicts with another anchor on the same point`);
+        }
+        return;
+      }
+      anchors.push({ index: candidate.index, time });
+    });
+    
+    if (anchors.length === 0) return null;
+    
+    // Implicit anchors at the path ends
+    if (anchors[0].index > 0) {
+      anchors.unshift({ index: 0, time: 0 });
+    }
+    if (anchors[anchors.length - 1].index < path.length - 1) {
+      anchors.push({ index: path.length - 1, time: duration });
+    }
+    
+    const table = new Float64Array(path.length);
+    for (let a = 0; a < anchors.length - 1; a++) {
+      const from = anchors[a];
+      const to = anchors[a + 1];
+      const span = distanceTable[to.index] - distanceTable[from.index];
+      
+      for (let i = from.index; i <= to.index; i++) {
+        const fraction = span > 0 ? (distanceTable[i] - distanceTable[from.index]) / span : 0;
+        table[i] = from.time + (to.time - from.time) * fraction;
+      }
+    }
+    
+    return table;
+  }
+  
+  /**
+   * Turn audio file geoStart/geoEnd into path anchors
+   * Coordinates snap to the nearest path point at or after the previous
+   * file anchor, so routes that revisit a place resolve in order.
+   * 
+   * @param {object} section - Section from route config
+   * @param {Array} audioFiles - Processed audio files of the section
+   * @returns {Array} Anchors {index, time, label}
+   */
+  resolveAudioFileAnchors(section, audioFiles) {
+    const path = section.geoPath;
+    const anchors = [];
+    let searchFrom = 0;
+    
+    const resolveIndex = (location, label) => {
+      if (typeof location === 'number') {
+        if (Number.isInteger(location) && location >= 0 && location < path.length) {
+          return location;
+        }
+        console.warn(`${section.id}: ${label} is not a geoPath index: ${location}`);
+        return null;
+      }
+      if (Array.isArray(location) && location.length >= 2) {
+        return this.findNearestPathIndex(path, location[0], location[1], searchFrom);
+      }
+      console.warn(`${section.id}: ${label} must be a geoPath index or [lat, lng]`);
+      return null;
+    };
+    
+    audioFiles.forEach(file => {
+      [
+        ['geoStart', file.offsetInSection],
+        ['geoEnd', file.offsetInSection + file.duration - file.leadIn]
+      ].forEach(([field, time]) => {
+        if (file[field] === undefined || file[field] === null) return;
+        
+        const label = `${file.url} ${field}`;
+        const index = resolveIndex(file[field], label);
+        if (index === null) return;
+        
+        anchors.push({ index, time, label });
+        searchFrom = index;
+      });
+    });
+    
+    return anchors;
+  }
+  
+  /**
+   * Find the path point nearest to a coordinate
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {number} fromIndex - First index to consider
+   * @returns {number} Index of the nearest point
+   */
+  findNearestPathIndex(path, lat, lng, fromIndex = 0) {
+    let nearest = fromIndex;
+    let nearestDistance = Infinity;
+    
+    for (let i = fromIndex; i < path.length; i++) {
+      const distance = this.haversineDistance(lat, lng, path[i][0], path[i][1]);
+      if (distance < nearestDistance) {
+        nearest = i;
+        nearestDistance = distance;
+      }
+    }
+    
+    return nearest;
+  }
+  
+  /**
+   * Convert a geoPath point's time to seconds into the section's audio
+   * GPS timestamps are matched to the audio file recorded at that moment.
+   * A file's recording start is its own `recordedAt`, or follows on from the
+   * previous file (the first file starts at the section's `recordedAt`).
+   * Timestamps between recordings snap to the next file's start, and those
+   * in a crossfade's overlap to the incoming file's span.
+   * 
+   * @param {number|string|Date} time - Audio seconds or GPS timestamp
+   * @param {object} section - Section from route config
+   * @param {Array} audioFiles - Processed audio files of the section
+   * @returns {number|null} Seconds into the section, or null if unreadable
+   */
+  resolvePointTime(time, section, audioFiles) {
+    if (typeof time === 'number') return time;
+    
+    const timestamp = new Date(time).getTime();
+    if (isNaN(timestamp)) return null;
+    
+    let recordingStart = section.recordedAt ? new Date(section.recordedAt).getTime() : NaN;
+    for (const file of audioFiles) {
+      if (file.recordedAt) {
+        recordingStart = new Date(file.recordedAt).getTime();
+      }
+      if (isNaN(recordingStart)) continue;
+      
+      const recordingEnd = recordingStart + file.duration * 1000;
+      if (timestamp < recordingStart) return file.offsetInSection;
+      if (timestamp <= recordingEnd) {
+        const offsetInFile = (timestamp - recordingStart) / 1000;
+        return file.offsetInSection + Math.max(0, offsetInFile - file.leadIn);
+      }
+      recordingStart = recordingEnd;
+    }
+    
+    if (isNaN(recordingStart)) {
+      console.warn(`${section.id}: GPS timestamps need recordedAt on the section or its audio files`);
+      return null;
+    }
+    const last = audioFiles[audioFiles.length - 1];
+    return last.offsetInSection + last.duration - last.leadIn;
+  }
+  
   /**
    * Calculate distance between two lat/lng points using Haversine formula
    * 
@@ -151,17 +484,24 @@ export class RouteMapping {
       return null;
     }
     
-    // Calculate offset within current audio file
-    const offsetInFile = position - audioFile.startTime;
+    // Calculate offset within current audio file (its span starts `leadIn` into it)
+    const offsetInFile = position - audioFile.startTime + audioFile.leadIn;
     
     // Calculate position along geographic path
     const positionInSection = position - section.startTime;
     const progressInSection = positionInSection / section.duration;
-    const geoPosition = this.interpolateGeoPosition(section.geoPath, progressInSection);
+    const location = section.timeTable
+      ? this.locateOnTimedPath(section.timeTable, positionInSection)
+      : this.locateOnPath(section.geoPath, progressInSection);
+    const geoPosition = this.getPointAt(section.geoPath, location);
+    const geoDetails = this.getGeoDetails(section, location);
     
     // Calculate overall progress
     const overallProgress = position / this.totalDuration;
     
+    // Points of interest around the current position
+    const pois = this.getPointsOfInterestAt(position, geoPosition[0], geoPosition[1]);
+    
     return {
       // Timeline info
       position,
@@ -173,6 +513,7 @@ export class RouteMapping {
         index: section.index,
         name: section.name,
         duration: section.duration,
+        distance: section.distance,
         progressInSection
       },
       
@@ -187,9 +528,13 @@ export class RouteMapping {
       geo: {
         latitude: geoPosition[0],
         longitude: geoPosition[1],
+        ...geoDetails,
         path: section.geoPath
       },
       
+      // Points of interest {nearby, next}
+      pois,
+      
       // Media pool for this section
       mediaPool: section.mediaPoolCombined,
       mediaPoolVideos: section.mediaPool.videos,
@@ -204,9 +549,11 @@ export class RouteMapping {
    * @returns {object} Section object
    */
   findSectionAtPosition(position) {
-    return this.processedSections.find(
-      section => position >= section.startTime && position < section.endTime
-    );
+    // Sections are contiguous: the candidate is the last one starting at or before position
+    const index = findLastAtOrBefore(this.processedSections, position, section => section.startTime);
+    const section = this.processedSections[index];
+    
+    return section && position < section.endTime ? section : undefined;
   }
   
   /**
@@ -222,9 +569,22 @@ export class RouteMapping {
     }
     if (!section) return null;
     
-    return section.audioFiles.find(
-      file => position >= file.startTime && position < file.endTime
-    );
+    const index = findLastAtOrBefore(section.audioFiles, position, file => file.startTime);
+    const file = section.audioFiles[index];
+    
+    return file && position < file.endTime ? file : undefined;
+  }
+  
+  /**
+   * Get the audio file that plays after another (the first after the last)
+   * 
+   * @param {object} file - Processed audio file
+   * @returns {object|null} Next processed audio file, with the transition into it
+   */
+  getNextAudioFile(file) {
+    const index = this.audioFiles.findIndex(item => item.url === file.url && item.startTime === file.startTime);
+    if (index === -1) return null;
+    return this.audioFiles[(index + 1) % this.audioFiles.length];
   }
   
   /**
@@ -235,47 +595,432 @@ export class RouteMapping {
    * @returns {Array} [lat, lng] interpolated position
    */
   interpolateGeoPosition(path, progress) {
-    if (progress <= 0) return path[0];
-    if (progress >= 1) return path[path.length - 1];
-    
-    // Calculate cumulative distances along path
-    const distances = [0];
-    let totalDist = 0;
+    return this.getPointAt(path, this.locateOnPath(path, progress));
+  }
+  
+  /**
+   * Interpolate position along a timed geographic path
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @param {Float64Array} timeTable - Seconds into the section per point (see buildTimeTable)
+   * @param {number} time - Seconds into the section
+   * @returns {Array} [lat, lng] interpolated position
+   */
+  interpolateGeoPositionByTime(path, timeTable, time) {
+    return this.getPointAt(path, this.locateOnTimedPath(timeTable, time));
+  }
+  
+  /**
+   * Locate a progress fraction on a path, moving at constant speed
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @param {number} progress - Progress along path (0-1)
+   * @returns {object} {index, fraction}: between point index and index + 1
+   */
+  locateOnPath(path, progress) {
+    if (progress <= 0) return { index: 0, fraction: 0 };
+    if (progress >= 1) return { index: path.length - 1, fraction: 0 };
     
-    for (let i = 0; i < path.length - 1; i++) {
-      const [lat1, lng1] = path[i];
-      const [lat2, lng2] = path[i + 1];
-      const segmentDist = this.haversineDistance(lat1, lng1, lat2, lng2);
-      totalDist += segmentDist;
-      distances.push(totalDist);
-    }
+    // Cumulative distances along path (precomputed)
+    const distances = this.getDistanceTable(path);
+    const totalDist = distances[distances.length - 1];
     
     // Find target distance
     const targetDist = progress * totalDist;
     
-    // Find which segment we're in
-    let segmentIndex = 0;
-    for (let i = 0; i < distances.length - 1; i++) {
-      if (targetDist >= distances[i] && targetDist < distances[i + 1]) {
-        segmentIndex = i;
-        break;
-      }
+    // Find which segment we're in: the last point at or before the target
+    // (skips zero-length segments; past the final point falls back to 0)
+    let segmentIndex = findLastAtOrBefore(distances, targetDist);
+    if (segmentIndex < 0 || segmentIndex >= distances.length - 1) {
+      segmentIndex = 0;
     }
     
-    // Interpolate within segment
+    // Fraction within segment
     const segmentStart = distances[segmentIndex];
     const segmentEnd = distances[segmentIndex + 1];
     const segmentProgress = (targetDist - segmentStart) / (segmentEnd - segmentStart);
     
-    const [lat1, lng1] = path[segmentIndex];
-    const [lat2, lng2] = path[segmentIndex + 1];
+    return { index: segmentIndex, fraction: segmentProgress };
+  }
+  
+  /**
+   * Locate a time on a timed path
+   * 
+   * @param {Float64Array} timeTable - Seconds into the section per point (see buildTimeTable)
+   * @param {number} time - Seconds into the section
+   * @returns {object} {index, fraction}: between point index and index + 1
+   */
+  locateOnTimedPath(timeTable, time) {
+    // Last point reached by this time; the next one is strictly later
+    const index = findLastAtOrBefore(timeTable, time);
+    if (index < 0) return { index: 0, fraction: 0 };
+    if (index >= timeTable.length - 1) return { index: timeTable.length - 1, fraction: 0 };
+    
+    const segmentProgress = (time - timeTable[index]) / (timeTable[index + 1] - timeTable[index]);
     
-    const lat = lat1 + (lat2 - lat1) * segmentProgress;
-    const lng = lng1 + (lng2 - lng1) * segmentProgress;
+    return { index, fraction: segmentProgress };
+  }
+  
+  /**
+   * Get the coordinate at a path location
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @param {object} location - {index, fraction} from locateOnPath/locateOnTimedPath
+   * @returns {Array} [lat, lng]
+   */
+  getPointAt(path, location) {
+    const [lat1, lng1] = path[location.index];
+    const [lat2, lng2] = path[location.index + 1] || path[location.index];
+    
+    const lat = lat1 + (lat2 - lat1) * location.fraction;
+    const lng = lng1 + (lng2 - lng1) * location.fraction;
     
     return [lat, lng];
   }
   
+  /**
+   * Derive altitude, heading, speed, grade and distances at a path location
+   * Speed is the recording's speed: path distance per second of audio.
+   * 
+   * @param {object} section - Processed section
+   * @param {object} location - {index, fraction}
+   * @returns {object} {altitude, heading, speed, grade, distance}
+   */
+  getGeoDetails(section, location) {
+    const { index, fraction } = location;
+    const path = section.geoPath;
+    const from = path[index];
+    const to = path[index + 1] || from;
+    
+    // Distances (km)
+    const distances = section.distanceTable;
+    const segmentDistance = (distances[index + 1] ?? distances[index]) - distances[index];
+    const travelledInSection = distances[index] + segmentDistance * fraction;
+    const travelled = section.startDistance + travelledInSection;
+    
+    // Altitude (m) and grade (%), when the path carries altitude
+    const hasAltitude = typeof from[2] === 'number' && typeof to[2] === 'number';
+    const altitude = hasAltitude ? from[2] + (to[2] - from[2]) * fraction : null;
+    let grade = null;
+    if (hasAltitude) {
+      grade = segmentDistance > 0 ? (to[2] - from[2]) / (segmentDistance * 1000) * 100 : 0;
+    }
+    
+    // Speed (km/h): constant through untimed sections
+    let speed = 0;
+    if (section.timeTable) {
+      const times = section.timeTable;
+      const segmentTime = (times[index + 1] ?? times[index]) - times[index];
+      speed = segmentTime > 0 ? segmentDistance / segmentTime * 3600 : 0;
+    } else if (section.duration > 0) {
+      speed = section.distance / section.duration * 3600;
+    }
+    
+    return {
+      altitude,
+      heading: this.getHeading(path, index),
+      speed,
+      grade,
+      distance: {
+        travelledInSection,
+        remainingInSection: section.distance - travelledInSection,
+        travelled,
+        remaining: this.totalDistance - travelled
+      }
+    };
+  }
+  
+  /**
+   * Get the direction of travel at a path point
+   * Skips repeated points (stops) to find where the route goes next,
+   * or where it came from at the end of the path.
+   * 
+   * @param {Array} path - Array of [lat, lng] coordinates
+   * @param {number} index - Point index
+   * @returns {number|null} Bearing in degrees clockwise from north, or null if the path never moves
+   */
+  getHeading(path, index) {
+    const moves = (a, b) => a[0] !== b[0] || a[1] !== b[1];
+    
+    for (let i = index; i < path.length - 1; i++) {
+      if (moves(path[i], path[i + 1])) {
+        return this.calculateBearing(path[i][0], path[i][1], path[i + 1][0], path[i + 1][1]);
+      }
+    }
+    for (let i = Math.min(index, path.length - 1); i > 0; i--) {
+      if (moves(path[i - 1], path[i])) {
+        return this.calculateBearing(path[i - 1][0], path[i - 1][1], path[i][0], path[i][1]);
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Calculate initial bearing from one lat/lng point to another
+   * 
+   * @returns {number} Degrees clockwise from north (0-360)
+   */
+  calculateBearing(lat1, lng1, lat2, lng2) {
+    const phi1 = this.toRadians(lat1);
+    const phi2 = this.toRadians(lat2);
+    const dLng = this.toRadians(lng2 - lng1);
+    
+    const y = Math.sin(dLng) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLng);
+    
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+  }
+  
+  /**
+   * Find the timeline positions where the route passes closest to a point
+   * Every path segment is projected onto; each separate pass of the route
+   * within `tolerance` of the nearest distance gives one candidate.
+   * 
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {object} options - {tolerance, maxDistance}
+   * @param {number} options.tolerance - Km beyond the nearest distance still counted as a pass (default 0.5)
+   * @param {number} options.maxDistance - Ignore the route further away than this, in km (default: no limit)
+   * @returns {Array} Candidates sorted by distance:
+   *   {position, section, track, distance, latitude, longitude, pathIndex, fraction}
+   */
+  findPositionsNear(lat, lng, options = {}) {
+    const { tolerance = 0.5, maxDistance = Infinity } = options;
+    
+    // Distance to every segment, in a local flat projection around the point (km)
+    const kmPerDegree = 6371 * Math.PI / 180;
+    const kmPerDegreeLng = kmPerDegree * Math.cos(this.toRadians(lat));
+    const project = ([pointLat, pointLng]) => [
+      (pointLng - lng) * kmPerDegreeLng,
+      (pointLat - lat) * kmPerDegree
+    ];
+    
+    let nearest = Infinity;
+    const sectionSegments = this.processedSections.map(section => {
+      const path = section.geoPath;
+      const segments = [];
+      
+      for (let i = 0; i < Math.max(1, path.length - 1); i++) {
+        const [ax, ay] = project(path[i]);
+        const [bx, by] = path[i + 1] ? project(path[i + 1]) : [ax, ay];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        
+        // Closest point of the segment to the origin (the query point)
+        const fraction = lengthSquared > 0
+          ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1)
+          : 0;
+        const distance = Math.hypot(ax + dx * fraction, ay + dy * fraction);
+        
+        segments.push({ index: i, fraction, distance });
+        nearest = Math.min(nearest, distance);
+      }
+      
+      return { section, segments };
+    });
+    
+    if (nearest > maxDistance) return [];
+    
+    // Each run of consecutive segments within the threshold is one pass
+    const threshold = nearest + tolerance;
+    const candidates = [];
+    
+    sectionSegments.forEach(({ section, segments }) => {
+      let best = null;
+      
+      const closeRun = () => {
+        if (best) candidates.push(this.describePathPoint(section, best, lat, lng));
+        best = null;
+      };
+      
+      segments.forEach(segment => {
+        if (segment.distance > threshold) {
+          closeRun();
+        } else if (!best || segment.distance < best.distance) {
+          best = segment;
+        }
+      });
+      closeRun();
+    });
+    
+    return candidates.sort((a, b) => a.distance - b.distance);
+  }
+  
+  /**
+   * Describe a point on a section path as a reverse lookup candidate
+   * 
+   * @param {object} section - Processed section
+   * @param {object} segment - {index, fraction} on the section path
+   * @param {number} lat - Latitude of the query point
+   * @param {number} lng - Longitude of the query point
+   * @returns {object} Candidate (see findPositionsNear)
+   */
+  describePathPoint(section, segment, lat, lng) {
+    const location = { index: segment.index, fraction: segment.fraction };
+    const [pointLat, pointLng] = this.getPointAt(section.geoPath, location);
+    
+    // Seconds into the section when the route is at this point
+    let time;
+    if (section.timeTable) {
+      const times = section.timeTable;
+      const nextTime = times[segment.index + 1] ?? times[segment.index];
+      time = times[segment.index] + (nextTime - times[segment.index]) * segment.fraction;
+    } else {
+      const distances = section.distanceTable;
+      const nextDistance = distances[segment.index + 1] ?? distances[segment.index];
+      const travelled = distances[segment.index] + (nextDistance - distances[segment.index]) * segment.fraction;
+      time = section.distance > 0 ? travelled / section.distance * section.duration : 0;
+    }
+    
+    // The section end belongs to the next section; stay inside this one
+    const position = Math.min(section.startTime + time, section.endTime - 0.001);
+    
+    return {
+      position,
+      section: { id: section.id, index: section.index, name: section.name },
+      track: this.findAudioFileAtPosition(position, section) || null,
+      distance: this.haversineDistance(lat, lng, pointLat, pointLng),
+      latitude: pointLat,
+      longitude: pointLng,
+      pathIndex: segment.index,
+      fraction: segment.fraction
+    };
+  }
+  
+  /**
+   * Resolve points of interest from config and find where the route passes them
+   * A pass runs from the first path point within the POI's radius to the
+   * first point after it that is out of range.
+   * 
+   * @param {Array} pointsOfInterest - POI definitions from route config
+   */
+  processPointsOfInterest(pointsOfInterest) {
+    this.pointsOfInterest = pointsOfInterest
+      .map((poi, index) => {
+        if (typeof poi.latitude !== 'number' || typeof poi.longitude !== 'number') {
+          console.warn(`Point of interest ${index} (${poi.name}) needs latitude and longitude`);
+          return null;
+        }
+        return { id: poi.id || `poi_${index}`, radius: 500, ...poi };
+      })
+      .filter(Boolean);
+    
+    this.poiPasses = [];
+    this.pointsOfInterest.forEach(poi => {
+      const radiusKm = poi.radius / 1000;
+      const passes = [];
+      
+      this.processedSections.forEach(section => {
+        const path = section.geoPath;
+        let enter = null;
+        
+        path.forEach((point, index) => {
+          const inRange = this.haversineDistance(poi.latitude, poi.longitude, point[0], point[1]) <= radiusKm;
+          
+          if (inRange && enter === null) {
+            enter = section.startTime + this.getPointTime(section, index);
+          } else if (!inRange && enter !== null) {
+            passes.push({ poi, enter, leave: section.startTime + this.getPointTime(section, index) });
+            enter = null;
+          }
+        });
+        if (enter !== null) {
+          passes.push({ poi, enter, leave: section.endTime });
+        }
+      });
+      
+      if (passes.length === 0) {
+        console.warn(`Point of interest ${poi.name} is not within ${poi.radius}m of the route`);
+      }
+      this.poiPasses.push(...passes.filter(pass => pass.leave > pass.enter));
+    });
+    
+    this.poiPasses.sort((a, b) => a.enter - b.enter);
+  }
+  
+  /**
+   * Get seconds into the section when the route reaches a path point
+   * 
+   * @param {object} section - Processed section
+   * @param {number} index - Path point index
+   * @returns {number} Seconds into the section
+   */
+  getPointTime(section, index) {
+    if (section.timeTable) return section.timeTable[index];
+    if (section.distance <= 0) return 0;
+    return section.distanceTable[index] / section.distance * section.duration;
+  }
+  
+  /**
+   * Get the points of interest in range of a position and the next one ahead
+   * 
+   * @param {number} position - Timeline position in seconds
+   * @param {number} lat - Latitude at that position
+   * @param {number} lng - Longitude at that position
+   * @returns {object} {nearby: [{poi, distance}], next: {poi, distance, eta, position} | null}
+   *   distances in km (straight line), eta in timeline seconds
+   */
+  getPointsOfInterestAt(position, lat, lng) {
+    if (this.poiPasses.length === 0) return { nearby: [], next: null };
+    
+    const nearby = this.pointsOfInterest
+      .map(poi => ({ poi, distance: this.haversineDistance(lat, lng, poi.latitude, poi.longitude) }))
+      .filter(({ poi, distance }) => distance <= poi.radius / 1000)
+      .sort((a, b) => a.distance - b.distance);
+    
+    // Next pass starting after this position, wrapping around the loop
+    const index = findLastAtOrBefore(this.poiPasses, position, pass => pass.enter);
+    const nextIndex = (index + 1) % this.poiPasses.length;
+    const pass = this.poiPasses[nextIndex];
+    const eta = nextIndex > index
+      ? pass.enter - position
+      : pass.enter + this.totalDuration - position;
+    
+    return {
+      nearby,
+      next: {
+        poi: pass.poi,
+        distance: this.haversineDistance(lat, lng, pass.poi.latitude, pass.poi.longitude),
+        eta,
+        position: pass.enter
+      }
+    };
+  }
+  
+  /**
+   * Resolve cue points from config to absolute timeline positions
+   * A cue gives either an absolute `position`, or a `sectionId` and an
+   * `offset` from that section's start (stays aligned if durations change)
+   * 
+   * @param {Array} cues - Cue definitions from route config
+   * @returns {Array} Cues with `id` and absolute `position`, sorted by position
+   */
+  resolveCues(cues = []) {
+    return cues
+      .map((cue, index) => {
+        let position = cue.position;
+        
+        if (cue.sectionId !== undefined) {
+          const section = this.getSectionById(cue.sectionId);
+          if (!section) {
+            console.warn(`Cue ${index} references unknown section: ${cue.sectionId}`);
+            return null;
+          }
+          position = section.startTime + (cue.offset || 0);
+        }
+        
+        if (typeof position !== 'number' || position < 0 || position >= this.totalDuration) {
+          console.warn(`Cue ${index} (${cue.type}) is outside the timeline: ${position}`);
+          return null;
+        }
+        
+        return { id: cue.id || `cue_${index}`, ...cue, position };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.position - b.position);
+  }
+  
   /**
    * Get section by ID
    * 
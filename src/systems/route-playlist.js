@@ -0,0 +1,196 @@
+/**
+ * ROUTE PLAYLIST
+ * 
+ * Decides which route of the catalogue is on, one level above the
+ * Schedule Manager (which decides what part of that route plays).
+ * 
+ * POLICIES:
+ * - 'daily': next route in `order` every midnight
+ * - 'weekly': next route in `order` every Monday at midnight
+ * - 'manual': `current` plays until another route is selected
+ * Rotation counts days from `epoch` in the timeline's reference timezone,
+ * so every installation plays the same route on the same day.
+ * select(routeId) pins a route under any policy; select(null) releases it.
+ * 
+ * CATALOGUE:
+ * { routes: [{id, name, sections, cues, pointsOfInterest}], playlist, ...shared }
+ * Every other key (timeline, schedule) is shared by all routes.
+ */
+
+import { SystemClock } from './clock.js';
+
+const MS_PER_DAY = 86400000;
+const POLICIES = ['daily', 'weekly', 'manual'];
+
+export class RoutePlaylist {
+  /**
+   * @param {object} catalogue - {routes, playlist, ...shared settings}
+   * @param {string} timezone - IANA timezone for day boundaries
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(catalogue, timezone = 'Atlantic/Reykjavik', clock = new SystemClock()) {
+    const { routes, playlist = {}, ...shared } = catalogue;
+    this.clock = clock;
+    this.routes = routes;
+    this.shared = shared;
+    
+    this.policy = POLICIES.includes(playlist.policy) ? playlist.policy : 'manual';
+    if (playlist.policy && playlist.policy !== this.policy) {
+      console.warn(`Unknown playlist policy: ${playlist.policy}, using manual`);
+    }
+    this.order = (playlist.order || routes.map(route => route.id)).filter(id => {
+      const known = routes.some(route => route.id === id);
+      if (!known) console.warn(`Playlist references unknown route: ${id}`);
+      return known;
+    });
+    if (this.order.length === 0) {
+      this.order = [routes[0].id];
+    }
+    this.epochDay = Math.floor(Date.parse(playlist.epoch || '2025-01-06') / MS_PER_DAY); // A Monday
+    this.manualRouteId = this.getRoute(playlist.current) ? playlist.current : this.order[0];
+    
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    });
+    
+    // State
+    this.pinnedRouteId = null;   // Set by select(), overrides the policy
+    this.currentRouteId = null;
+    this.checkInterval = 30000;  // Re-evaluate every 30 seconds
+    this.checkTimer = null;
+    
+    // Callbacks
+    this.onRouteChange = null;
+  }
+  
+  /**
+   * Get a route from the catalogue
+   * 
+   * @param {string} routeId - Route id
+   * @returns {object|undefined} Catalogue entry
+   */
+  getRoute(routeId) {
+    return this.routes.find(route => route.id === routeId);
+  }
+  
+  /**
+   * Get the full config for a route: its own fields over the shared settings
+   * 
+   * @param {string} routeId - Route id
+   * @returns {object} Route config, as accepted by RouteMapping
+   */
+  getRouteConfig(routeId) {
+    return { ...this.shared, ...this.getRoute(routeId) };
+  }
+  
+  /**
+   * Count calendar days from the epoch to an instant, in the reference timezone
+   * 
+   * @param {number} time - Milliseconds since Unix epoch
+   * @returns {number} Days since the epoch
+   */
+  getDayNumber(time) {
+    const parts = {};
+    this.formatter.formatToParts(new Date(time)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    const day = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / MS_PER_DAY;
+    return day - this.epochDay;
+  }
+  
+  /**
+   * Get the route the policy selects at an instant (ignores pinning)
+   * 
+   * @param {number} time - Milliseconds since Unix epoch (defaults to now)
+   * @returns {string} Route id
+   */
+  getScheduledRouteId(time = this.clock.wallTime()) {
+    if (this.policy === 'manual') return this.manualRouteId;
+    
+    const days = this.getDayNumber(time);
+    const period = this.policy === 'weekly' ? Math.floor(days / 7) : days;
+    const length = this.order.length;
+    return this.order[((period % length) + length) % length];
+  }
+  
+  /**
+   * Pin a route, whatever the policy
+   * 
+   * @param {string|null} routeId - Route id, or null to follow the policy again
+   * @returns {boolean} Whether the route exists
+   */
+  select(routeId) {
+    if (routeId !== null && !this.getRoute(routeId)) {
+      console.warn(`Unknown route: ${routeId}`);
+      return false;
+    }
+    
+    this.pinnedRouteId = routeId;
+    if (this.policy === 'manual' && routeId !== null) {
+      this.manualRouteId = routeId;
+    }
+    this.update();
+    return true;
+  }
+  
+  /**
+   * Evaluate the playlist and notify on route changes
+   * 
+   * @returns {object} Current route (catalogue entry)
+   */
+  update() {
+    const routeId = this.pinnedRouteId || this.getScheduledRouteId();
+    
+    if (routeId !== this.currentRouteId) {
+      const previous = this.currentRouteId ? this.getRoute(this.currentRouteId) : null;
+      this.currentRouteId = routeId;
+      const route = this.getRoute(routeId);
+      console.log(`Route: ${route.name || routeId}${previous ? ` (was ${previous.name || previous.id})` : ''}`);
+      
+      if (this.onRouteChange) {
+        this.onRouteChange(route, previous);
+      }
+    }
+    
+    return this.getRoute(routeId);
+  }
+  
+  /**
+   * Start periodic playlist checks
+   */
+  start() {
+    this.update();
+    
+    if (!this.checkTimer) {
+      this.checkTimer = this.clock.setInterval(() => this.update(), this.checkInterval);
+    }
+  }
+  
+  /**
+   * Stop periodic playlist checks
+   */
+  stop() {
+    if (this.checkTimer) {
+      this.clock.clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+  
+  /**
+   * Get current state
+   * 
+   * @returns {object} {current, policy, pinned, routes}
+   */
+  getState() {
+    const current = this.getRoute(this.currentRouteId);
+    return {
+      current: current ? { id: current.id, name: current.name } : null,
+      policy: this.policy,
+      pinned: this.pinnedRouteId !== null,
+      routes: this.routes.map(route => ({ id: route.id, name: route.name }))
+    };
+  }
+}
@@ -0,0 +1,294 @@
+/**
+ * SCHEDULE MANAGER
+ * 
+ * Broadcast programming layer above the Timeline Engine.
+ * Decides which program is on air at any moment from calendar and weekday
+ * rules in the route config, e.g.:
+ * - play only section 3 on 17 June
+ * - a "night edition" between 00:00 and 04:00
+ * - silence during maintenance windows
+ * 
+ * RULES:
+ * - Slots are checked in config order; the first match wins
+ * - A slot without date/weekdays applies every day
+ * - A slot without from/to lasts the whole day
+ * - from > to wraps past midnight (e.g. 22:00 → 02:00)
+ * - All times are read in the timeline's reference timezone
+ * 
+ * PROGRAMS:
+ * - { name }                   → the regular loop
+ * - { name, sections: [ids] }  → only those sections, looped in order
+ * - { name, silent: true }     → off air
+ */
+
+import { SystemClock } from './clock.js';
+
+const SECONDS_PER_DAY = 86400;
+const MAX_LOOKAHEAD_DAYS = 8;
+
+export class ScheduleManager {
+  /**
+   * @param {object} scheduleConfig - routeConfig.schedule
+   * @param {string} timezone - IANA timezone for slot times
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(scheduleConfig = {}, timezone = 'Atlantic/Reykjavik', clock = new SystemClock()) {
+    this.clock = clock;
+    this.programs = scheduleConfig.programs || {};
+    this.defaultProgramId = scheduleConfig.default || 'regular';
+    this.slots = (scheduleConfig.slots || []).map(slot => this.parseSlot(slot));
+    
+    if (!this.programs[this.defaultProgramId]) {
+      this.programs[this.defaultProgramId] = { name: 'Regular programme' };
+    }
+    
+    this.formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      weekday: 'short',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    });
+    
+    // State
+    this.currentProgram = null;
+    this.nextChange = null;
+    this.checkInterval = 30000; // Re-evaluate every 30 seconds
+    this.checkTimer = null;
+    
+    // Callbacks
+    this.onProgramChange = null;
+  }
+  
+  /**
+   * Normalise a slot from config
+   * 
+   * @param {object} slot - {program, date, weekdays, from, to}
+   * @returns {object} Slot with times in seconds of day
+   */
+  parseSlot(slot) {
+    if (!this.programs[slot.program]) {
+      console.warn(`Schedule slot references unknown program: ${slot.program}`);
+    }
+    
+    return {
+      ...slot,
+      fromSeconds: slot.from ? this.parseTimeOfDay(slot.from) : 0,
+      toSeconds: slot.to ? this.parseTimeOfDay(slot.to) : SECONDS_PER_DAY
+    };
+  }
+  
+  /**
+   * Parse "HH:MM" or "HH:MM:SS" into seconds since midnight
+   */
+  parseTimeOfDay(text) {
+    const [hours, minutes = 0, seconds = 0] = text.split(':').map(Number);
+    return hours * 3600 + minutes * 60 + seconds;
+  }
+  
+  /**
+   * Read calendar fields of an instant in the reference timezone
+   * 
+   * @param {number} time - Milliseconds since Unix epoch
+   * @returns {object} {year, month, day, weekday, seconds}
+   */
+  getZonedParts(time) {
+    const parts = {};
+    this.formatter.formatToParts(new Date(time)).forEach(part => {
+      parts[part.type] = part.value;
+    });
+    
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    return {
+      year: Number(parts.year),
+      month: Number(parts.month),
+      day: Number(parts.day),
+      weekday: weekdays.indexOf(parts.weekday),
+      seconds: Number(parts.hour) * 3600 + Number(parts.minute) * 60 + Number(parts.second)
+    };
+  }
+  
+  /**
+   * Convert a wall-clock time in the reference timezone to an instant
+   * 
+   * @returns {number} Milliseconds since Unix epoch
+   */
+  zonedTimeToInstant(year, month, day, seconds) {
+    const wallAsUtc = Date.UTC(year, month - 1, day) + seconds * 1000;
+    
+    // Correct by the zone offset, twice in case the guess crossed a DST change
+    let instant = wallAsUtc;
+    for (let i = 0; i < 2; i++) {
+      const parts = this.getZonedParts(instant);
+      const observed = Date.UTC(parts.year, parts.month - 1, parts.day) + parts.seconds * 1000;
+      instant += wallAsUtc - observed;
+    }
+    return instant;
+  }
+  
+  /**
+   * Check whether a slot's date/weekday rule matches a calendar day
+   * 
+   * @param {object} slot - Parsed slot
+   * @param {object} day - {year, month, day, weekday}
+   * @returns {boolean}
+   */
+  matchesDay(slot, day) {
+    if (slot.date) {
+      const pad = (n) => String(n).padStart(2, '0');
+      const monthDay = `${pad(day.month)}-${pad(day.day)}`;
+      if (slot.date !== monthDay && slot.date !== `${day.year}-${monthDay}`) {
+        return false;
+      }
+    }
+    if (slot.weekdays && !slot.weekdays.includes(day.weekday)) {
+      return false;
+    }
+    return true;
+  }
+  
+  /**
+   * Check whether a slot is active at an instant
+   * 
+   * @param {object} slot - Parsed slot
+   * @param {object} parts - Zoned parts of the instant
+   * @returns {boolean}
+   */
+  isSlotActive(slot, parts) {
+    const { fromSeconds, toSeconds } = slot;
+    
+    if (fromSeconds < toSeconds) {
+      return this.matchesDay(slot, parts) &&
+        parts.seconds >= fromSeconds && parts.seconds < toSeconds;
+    }
+    
+    // Wraps past midnight: the evening part belongs to today's rule,
+    // the early-morning part to yesterday's
+    if (parts.seconds >= fromSeconds) {
+      return this.matchesDay(slot, parts);
+    }
+    if (parts.seconds < toSeconds) {
+      const yesterday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - 1));
+      return this.matchesDay(slot, {
+        year: yesterday.getUTCFullYear(),
+        month: yesterday.getUTCMonth() + 1,
+        day: yesterday.getUTCDate(),
+        weekday: yesterday.getUTCDay()
+      });
+    }
+    return false;
+  }
+  
+  /**
+   * Get the program on air at an instant
+   * 
+   * @param {number} time - Milliseconds since Unix epoch (defaults to now)
+   * @returns {object} Program with its `id`
+   */
+  getProgramAt(time = this.clock.wallTime()) {
+    const parts = this.getZonedParts(time);
+    const slot = this.slots.find(s => this.programs[s.program] && this.isSlotActive(s, parts));
+    const id = slot ? slot.program : this.defaultProgramId;
+    
+    return { id, ...this.programs[id] };
+  }
+  
+  /**
+   * Find the next time the program on air changes
+   * Checks every slot boundary and midnight in the coming days
+   * 
+   * @param {number} time - Milliseconds since Unix epoch (defaults to now)
+   * @returns {object|null} {program, startsAt} or null if nothing changes
+   */
+  getNextChange(time = this.clock.wallTime()) {
+    const current = this.getProgramAt(time);
+    const today = this.getZonedParts(time);
+    
+    const boundaries = new Set([0]);
+    this.slots.forEach(slot => {
+      boundaries.add(slot.fromSeconds);
+      boundaries.add(slot.toSeconds % SECONDS_PER_DAY);
+    });
+    
+    const candidates = [];
+    for (let dayOffset = 0; dayOffset <= MAX_LOOKAHEAD_DAYS; dayOffset++) {
+      boundaries.forEach(seconds => {
+        const instant = this.zonedTimeToInstant(today.year, today.month, today.day + dayOffset, seconds);
+        if (instant > time) candidates.push(instant);
+      });
+    }
+    candidates.sort((a, b) => a - b);
+    
+    for (const instant of candidates) {
+      const program = this.getProgramAt(instant);
+      if (program.id !== current.id) {
+        return { program, startsAt: new Date(instant) };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Evaluate the schedule and notify on program changes
+   * 
+   * @returns {object} Current program
+   */
+  update() {
+    const now = this.clock.wallTime();
+    const program = this.getProgramAt(now);
+    const changed = !this.currentProgram || program.id !== this.currentProgram.id;
+    
+    if (changed || !this.nextChange || this.nextChange.startsAt.getTime() <= now) {
+      this.nextChange = this.getNextChange(now);
+    }
+    
+    if (changed) {
+      const previous = this.currentProgram;
+      this.currentProgram = program;
+      console.log(`Program: ${program.name}${previous ? ` (was ${previous.name})` : ''}`);
+      
+      if (this.onProgramChange) {
+        this.onProgramChange(program, previous, this.nextChange);
+      }
+    }
+    
+    return program;
+  }
+  
+  /**
+   * Start periodic schedule checks
+   */
+  start() {
+    this.update();
+    
+    if (!this.checkTimer) {
+      this.checkTimer = this.clock.setInterval(() => this.update(), this.checkInterval);
+    }
+  }
+  
+  /**
+   * Stop periodic schedule checks
+   */
+  stop() {
+    if (this.checkTimer) {
+      this.clock.clearInterval(this.checkTimer);
+      this.checkTimer = null;
+    }
+  }
+  
+  /**
+   * Get current state
+   * 
+   * @returns {object} {current, next}
+   */
+  getState() {
+    return {
+      current: this.currentProgram,
+      next: this.nextChange
+    };
+  }
+}
@@ -11,35 +11,82 @@
  * - Manage error states and recovery
  * - Provide unified API for UI components
  * 
+ * ROUTES:
+ * Accepts a single route config or a route catalogue (several routes and a
+ * playlist, see route-catalogue.js). Switching routes swaps RouteMapping,
+ * the timeline's duration and boundaries and the media pools in place.
+ * A route can come from a JS module or a JSON manifest (see route-loader.js),
+ * which is fetched when the route first goes on air.
+ * 
  * DATA FLOW:
- * Timeline Engine → Route Mapping → Audio Engine + Media Controller + Map Visualizer
+ * Route Playlist → Schedule Manager → Timeline Engine → Route Mapping → Audio Engine + Media Controller + Map Visualizer
  */
 
 import { TimelineEngine } from './timeline-engine.js';
 import { RouteMapping } from './route-mapping.js';
 import { AudioEngine } from './audio-engine.js';
 import { MediaController } from './media-controller.js';
+import { ServerClock } from './clock-sync.js';
+import { SystemClock } from './clock.js';
+import { ScheduleManager } from './schedule-manager.js';
+import { RoutePlaylist } from './route-playlist.js';
+import { RouteLoader } from './route-loader.js';
+import { validateRouteCatalogue, validateRouteConfig, formatIssue } from '../utils/config-validator.js';
+import {
+  probeMetadataDuration,
+  probeHeaderDuration,
+  verifyAudioDurations,
+  applyMeasuredDurations,
+  formatDurationCheck
+} from '../utils/audio-durations.js';
 
 export class StateManager {
-  constructor(routeConfig) {
-    this.routeConfig = routeConfig;
+  /**
+   * @param {object} config - Route configuration, or a route catalogue {routes, playlist, ...}
+   * @param {object} clock - Clock shared by all systems (SystemClock by default,
+   *                         VirtualClock for simulation)
+   */
+  constructor(config, clock = new SystemClock()) {
+    // A single route is a catalogue of one
+    this.catalogue = config.routes
+      ? config
+      : { routes: [{ id: config.id || 'main', name: config.name || 'Main route', ...config }] };
+    this.routeConfig = null; // Config of the route on air, resolved in initialize()
+    this.clock = clock;
     
     // System instances
+    this.routeLoader = new RouteLoader();
+    this.measuredDurations = new Map(); // Audio URL → measured seconds
+    this.durationCheck = null;          // Last audio duration check
+    this.playlist = null;
     this.routeMapping = null;
     this.timelineEngine = null;
     this.audioEngine = null;
     this.mediaController = null;
+    this.clockSource = null;
+    this.scheduleManager = null;
     
     // State
     this.isInitialized = false;
     this.isPlaying = false;
     this.currentContext = null;
-    this.lastSectionId = null;
+    this.currentProgram = null;
+    this.routeSwitch = Promise.resolve(); // Route switch in flight: the next one waits for it
     
     // UI callbacks
     this.onStateChange = null;
     this.onContextChange = null;
+    this.onScheduleChange = null;
+    this.onRouteChange = null;
+    this.onLoadProgress = null; // ({url, loaded, total, file}) while a route manifest loads
+    this.onBufferingChange = null; // ({buffering, reason, stalledFor}) when the audio stalls or recovers
     this.onError = null;
+    
+    this.routeLoader.onProgress = (progress) => {
+      if (this.onLoadProgress) {
+        this.onLoadProgress(progress);
+      }
+    };
   }
   
   /**
@@ -50,6 +97,19 @@ export class StateManager {
     try {
       console.log('=== Initializing Radio Installation ===');
       
+      // 0. Validate every route (RouteMapping trusts the config completely)
+      console.log('0. Validating route config...');
+      this.reportValidation(validateRouteCatalogue(this.catalogue));
+      
+      // Pick the route on air
+      this.playlist = new RoutePlaylist(
+        this.catalogue,
+        this.catalogue.timeline?.timezone || this.catalogue.routes[0].timeline?.timezone,
+        this.clock
+      );
+      const route = this.playlist.update();
+      this.routeConfig = await this.loadRouteConfig(route.id);
+      
       // 1. Initialize route mapping (needs config)
       console.log('1. Initializing route mapping...');
       this.routeMapping = new RouteMapping(this.routeConfig);
@@ -58,16 +118,35 @@ export class StateManager {
       
       // 2. Initialize timeline engine (needs total duration)
       console.log('2. Initializing timeline engine...');
-      this.timelineEngine = new TimelineEngine(totalDuration);
+      this.timelineEngine = new TimelineEngine(totalDuration, this.routeConfig.timeline, this.clock);
+      this.timelineEngine.setSectionBoundaries(this.routeMapping.getAllSections());
+      this.timelineEngine.setCues(this.routeMapping.resolveCues(this.routeConfig.cues));
+      this.timelineEngine.setPointsOfInterest(this.routeMapping.poiPasses);
+      
+      // Sync against the reference time server if one is configured
+      // Falls back to the local clock when it is unreachable
+      const clockSync = this.routeConfig.timeline?.clockSync;
+      if (clockSync?.endpoint) {
+        console.log(`   Syncing clock with ${clockSync.endpoint}...`);
+        this.clockSource = new ServerClock(clockSync.endpoint, clockSync, this.clock);
+        await this.clockSource.start();
+        this.timelineEngine.setClockSource(this.clockSource);
+      }
       
       // 3. Initialize audio engine (needs route mapping)
       console.log('3. Initializing audio engine...');
-      this.audioEngine = new AudioEngine(this.routeMapping);
+      this.audioEngine = new AudioEngine(this.routeMapping, this.clock, this.routeConfig.audio);
+      this.audioEngine.onError = (error) => {
+        if (this.onError) this.onError(error);
+      };
+      this.audioEngine.onBufferingChange = (status) => {
+        if (this.onBufferingChange) this.onBufferingChange(status);
+      };
       await this.audioEngine.initialize();
       
       // 4. Initialize media controller (needs route mapping)
       console.log('4. Initializing media controller...');
-      this.mediaController = new MediaController(this.routeMapping);
+      this.mediaController = new MediaController(this.routeMapping, this.clock);
       
       // Give media controller access to state manager for context
       this.mediaController.setStateManager(this);
@@ -77,6 +156,30 @@ export class StateManager {
       this.timelineEngine.subscribe((timelineData) => {
         this.onTimelineUpdate(timelineData);
       });
+      this.timelineEngine.subscribeEvent('sectionEnter', (event) => {
+        this.onSectionEnter(event);
+      });
+      this.timelineEngine.subscribeEvent('trackChange', () => {
+        this.updateNowPlaying();
+      });
+      
+      // 6. Initialize schedule (needs timeline engine)
+      console.log('6. Initializing schedule...');
+      this.scheduleManager = new ScheduleManager(
+        this.routeConfig.schedule,
+        this.timelineEngine.timezone,
+        this.clock
+      );
+      this.scheduleManager.onProgramChange = (program, previous) => {
+        this.onProgramChange(program, previous);
+      };
+      this.scheduleManager.start();
+      
+      // 7. Follow the route playlist
+      this.playlist.onRouteChange = (route) => {
+        this.queueRouteSwitch(route.id);
+      };
+      this.playlist.start();
       
       this.isInitialized = true;
       console.log('=== Initialization Complete ===');
@@ -96,6 +199,86 @@ export class StateManager {
     }
   }
   
+  /**
+   * Log validation issues and fail on errors
+   * 
+   * @param {object} validation - {valid, errors, warnings} from the config validator
+   */
+  reportValidation(validation) {
+    validation.warnings.forEach(issue => console.warn(`   ${formatIssue(issue)}`));
+    validation.errors.forEach(issue => console.error(`   ${formatIssue(issue)}`));
+    if (!validation.valid) {
+      throw new Error(`Route config has ${validation.errors.length} error(s)`);
+    }
+  }
+  
+  /**
+   * Get the full config of a catalogue route, loading its manifest if needed
+   * 
+   * @param {string} routeId - Route id
+   * @returns {Promise<object>} Route config
+   */
+  async loadRouteConfig(routeId) {
+    const { manifest, ...config } = this.playlist.getRouteConfig(routeId);
+    if (!manifest) return this.checkAudioDurations(config);
+    
+    console.log(`   Loading route manifest ${manifest}...`);
+    const loaded = await this.routeLoader.load(manifest);
+    const routeConfig = { ...config, ...loaded, id: config.id, name: config.name || loaded.name };
+    
+    this.reportValidation(validateRouteConfig(routeConfig));
+    return this.checkAudioDurations(routeConfig);
+  }
+  
+  /**
+   * Compare the configured audio durations with the real files
+   * Logs mismatches; with `useMeasured` the route is built from the measured ones
+   * 
+   * @param {object} routeConfig - Route config
+   * @returns {Promise<object>} Route config, with measured durations if enabled
+   */
+  async checkAudioDurations(routeConfig) {
+    const settings = {
+      verify: false,
+      method: 'metadata',
+      tolerance: 0.5,
+      useMeasured: false,
+      ...routeConfig.audioDurations
+    };
+    if (!settings.verify) return routeConfig;
+    
+    console.log(`   Verifying audio durations (${settings.method})...`);
+    const probe = settings.method === 'header'
+      ? (url) => probeHeaderDuration(url)
+      : (url) => probeMetadataDuration(url, { clock: this.clock });
+    
+    const check = await verifyAudioDurations(routeConfig, {
+      probe,
+      tolerance: settings.tolerance,
+      cache: this.measuredDurations
+    });
+    check.mismatches.forEach(file => console.warn(`   ${formatDurationCheck(file)}`));
+    check.failures.forEach(file => console.warn(`   ${formatDurationCheck(file)}`));
+    console.log(`   ${check.files.length} file(s): ${check.mismatches.length} mismatch(es), ${check.failures.length} not measured`);
+    
+    this.durationCheck = {
+      routeId: routeConfig.id,
+      files: check.files.length,
+      mismatches: check.mismatches.length,
+      failures: check.failures.length,
+      usingMeasured: settings.useMeasured
+    };
+    
+    if (settings.useMeasured && check.measured.size > 0) {
+      console.log('   Using measured durations');
+      return applyMeasuredDurations(routeConfig, check.measured);
+    }
+    if (check.mismatches.length > 0) {
+      console.warn('   Fix with `node tools/measure-durations.mjs --write`, or set audioDurations.useMeasured');
+    }
+    return routeConfig;
+  }
+  
   /**
    * Start the installation
    * User must have interacted with page first (for autoplay policy)
@@ -126,15 +309,19 @@ export class StateManager {
       // Start timeline
       this.timelineEngine.start();
       
-      // Start audio at correct position
-      await this.audioEngine.startAtPosition(entryPosition);
-      
-      // Start media for current section
-      await this.mediaController.start(context.section.id);
+      if (this.currentProgram?.silent) {
+        // Off air: timeline keeps running, audio and media wait for the next program
+        console.log(`Off air: ${this.currentProgram.name}`);
+      } else {
+        // Start audio at correct position
+        await this.audioEngine.startAtPosition(entryPosition);
+        
+        // Start media for current section
+        await this.mediaController.start(context.section.id);
+      }
       
       this.isPlaying = true;
       this.currentContext = context;
-      this.lastSectionId = context.section.id;
       
       // Notify UI
       if (this.onStateChange) {
@@ -162,7 +349,7 @@ export class StateManager {
   
   /**
    * Handle timeline updates
-   * Called 60 times per second by timeline engine
+   * Called on every logic tick of the timeline engine (a few times per second)
    * 
    * @param {object} timelineData - {position, progress, totalDuration, timestamp}
    */
@@ -176,65 +363,244 @@ export class StateManager {
     // Update audio engine
     this.audioEngine.update(timelineData);
     
-    // Update now playing display
+    // Notify UI of position updates at logic rate
+    // Smooth visuals should use subscribeRender instead
+    if (this.onContextChange) {
+      this.onContextChange(context);
+    }
+  }
+  
+  /**
+   * Register a visual subscriber on the timeline's render channel
+   * 
+   * @param {Function} callback - Called with (context, timelineData) on render frames
+   * @param {object} options - {maxRate} in updates per second
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeRender(callback, options = {}) {
+    return this.timelineEngine.subscribeRender((timelineData) => {
+      const context = this.routeMapping.getContextAtPosition(timelineData.position);
+      if (context) {
+        callback(context, timelineData);
+      }
+    }, options);
+  }
+  
+  /**
+   * Handle the timeline entering a section
+   * 
+   * @param {object} event - sectionEnter payload {sectionId, previousSectionId, cause}
+   */
+  onSectionEnter(event) {
+    console.log(`Section transition: ${event.previousSectionId} → ${event.sectionId} (${event.cause})`);
+    
+    // Notify media controller
+    this.mediaController.onSectionChange(event.sectionId);
+  }
+  
+  /**
+   * Update the now playing display
+   * Called on track changes and program changes
+   */
+  updateNowPlaying() {
+    const context = this.currentContext;
     const sectionEl = document.getElementById('current-section');
     const trackEl = document.getElementById('current-track');
     const nextTrackEl = document.getElementById('next-track');
     
-    if (sectionEl && trackEl) {
-      // Current section name
-      sectionEl.textContent = context.section.name;
+    if (!context || !sectionEl || !trackEl) return;
+    
+    if (this.currentProgram?.silent) {
+      sectionEl.textContent = 'Off air';
+      trackEl.textContent = this.currentProgram.name;
+      return;
+    }
+    
+    // Current section name
+    sectionEl.textContent = context.section.name;
+    
+    // Current track info
+    const trackNumber = context.audio.file.index + 1;
+    const fileName = context.audio.file.url.split('/').pop().replace('.mp3', '');
+    const section = this.routeMapping.getSectionByIndex(context.section.index);
+    const totalTracksInSection = section.audioFiles.length;
+    trackEl.textContent = `Track ${trackNumber} of ${totalTracksInSection} • ${fileName}`;
+    
+    // Next track info
+    if (nextTrackEl) {
+      const nextTrackIndex = context.audio.file.index + 1;
       
-      // Current track info
-      const trackNumber = context.audio.file.index + 1;
-      const sectionNumber = context.section.index + 1;
-      const fileName = context.audio.file.url.split('/').pop().replace('.mp3', '');
-      const section = this.routeMapping.getSectionByIndex(context.section.index);
-      const totalTracksInSection = section.audioFiles.length;
-      trackEl.textContent = `Track ${trackNumber} of ${totalTracksInSection} • ${fileName}`;
+      if (nextTrackIndex < totalTracksInSection) {
+        // Next track in same section
+        const nextFile = section.audioFiles[nextTrackIndex];
+        const nextFileName = nextFile.url.split('/').pop().replace('.mp3', '');
+        nextTrackEl.textContent = `Next: ${nextFileName}`;
+      } else {
+        // Next section
+        const nextSectionIndex = context.section.index + 1;
+        if (nextSectionIndex < this.routeMapping.getAllSections().length) {
+          const nextSection = this.routeMapping.getSectionByIndex(nextSectionIndex);
+          nextTrackEl.textContent = `Next: ${nextSection.name}`;
+        } else {
+          nextTrackEl.textContent = `Next: Back to start`;
+        }
+      }
+    }
+  }
+  
+  /**
+   * Handle scheduled program changes
+   * Restricts the timeline to the program's sections and switches
+   * audio and media on or off air
+   * 
+   * @param {object} program - Program now on air
+   * @param {object|null} previous - Program that was on air
+   */
+  async onProgramChange(program, previous) {
+    this.currentProgram = program;
+    this.applyProgramSpans();
+    
+    if (this.isPlaying) {
+      // Go off air before resyncing, so the jump doesn't reload audio
+      if (program.silent) {
+        this.audioEngine.pause();
+        this.mediaController.pause();
+      }
+      
+      this.timelineEngine.resync();
       
-      // Next track info
-      if (nextTrackEl) {
-        const nextTrackIndex = context.audio.file.index + 1;
+      if (!program.silent) {
+        const position = this.timelineEngine.getCurrentPosition();
+        const context = this.routeMapping.getContextAtPosition(position);
         
-        if (nextTrackIndex < totalTracksInSection) {
-          // Next track in same section
-          const section = this.routeMapping.getSectionByIndex(context.section.index);
-          const nextFile = section.audioFiles[nextTrackIndex];
-          const nextFileName = nextFile.url.split('/').pop().replace('.mp3', '');
-          nextTrackEl.textContent = `Next: ${nextFileName}`;
-        } else {
-          // Next section
-          const nextSectionIndex = context.section.index + 1;
-          if (nextSectionIndex < 4) {
-            const nextSection = this.routeMapping.getSectionByIndex(nextSectionIndex);
-            nextTrackEl.textContent = `Next: ${nextSection.name}`;
+        await this.audioEngine.startAtPosition(position);
+        
+        if (previous?.silent) {
+          if (this.mediaController.currentMedia) {
+            this.mediaController.resume();
           } else {
-            nextTrackEl.textContent = `Next: Back to start`;
+            await this.mediaController.start(context.section.id);
           }
         }
       }
     }
     
-    // Check for section change
-    if (context.section.id !== this.lastSectionId) {
-      console.log(`Section transition: ${this.lastSectionId} → ${context.section.id}`);
-      this.lastSectionId = context.section.id;
-      
-      // Notify media controller
-      this.mediaController.onSectionChange(context.section.id);
-      
-      // Notify UI
-      if (this.onContextChange) {
-        this.onContextChange(context);
+    this.updateNowPlaying();
+    
+    if (this.onScheduleChange) {
+      this.onScheduleChange(this.scheduleManager.getState());
+    }
+  }
+  
+  /**
+   * Restrict the timeline to the current program's sections
+   * Sections the current route doesn't have are ignored
+   */
+  applyProgramSpans() {
+    const sections = this.currentProgram?.sections;
+    const spans = sections
+      ? sections
+        .map(id => this.routeMapping.getSectionById(id))
+        .filter(Boolean)
+        .map(section => ({ startTime: section.startTime, endTime: section.endTime }))
+      : null;
+    this.timelineEngine.setProgramSpans(spans);
+  }
+  
+  /**
+   * Put another route on air without reloading
+   * Swaps the route mapping, the timeline's length, boundaries and cues,
+   * and the audio and media sources, then rejoins at the time-of-day position
+   * 
+   * @param {string} routeId - Route id from the catalogue
+   */
+  async switchRoute(routeId) {
+    if (this.routeConfig?.id === routeId) return;
+    
+    console.log(`=== Switching route to ${routeId} ===`);
+    
+    // Keep playing the current route until the new one has loaded
+    let routeConfig;
+    try {
+      routeConfig = await this.loadRouteConfig(routeId);
+    } catch (error) {
+      console.error(`Failed to load route ${routeId}:`, error);
+      if (this.onError) {
+        this.onError({
+          type: 'route',
+          message: `Failed to load route ${routeId}`,
+          error
+        });
       }
+      return;
     }
     
-    // Notify UI of position updates (throttled to avoid overwhelming)
-    // UI can subscribe to this for map updates, progress bars, etc.
-    if (this.onContextChange) {
-      this.onContextChange(context);
+    const wasPlaying = this.isPlaying;
+    this.timelineEngine.stop();
+    this.audioEngine.pause();
+    
+    this.routeConfig = routeConfig;
+    this.routeMapping = new RouteMapping(this.routeConfig);
+    
+    this.timelineEngine.setTotalDuration(this.routeMapping.getTotalDuration());
+    this.timelineEngine.setSectionBoundaries(this.routeMapping.getAllSections());
+    this.timelineEngine.setCues(this.routeMapping.resolveCues(this.routeConfig.cues));
+    this.timelineEngine.setPointsOfInterest(this.routeMapping.poiPasses);
+    this.applyProgramSpans();
+    
+    this.audioEngine.setRouteMapping(this.routeMapping);
+    this.mediaController.setRouteMapping(this.routeMapping);
+    
+    const position = this.timelineEngine.calculatePositionFromTimeOfDay();
+    this.currentContext = this.routeMapping.getContextAtPosition(position);
+    
+    if (this.onRouteChange) {
+      this.onRouteChange(this.getRouteInfo());
+    }
+    
+    if (wasPlaying) {
+      this.timelineEngine.start();
+      
+      if (!this.currentProgram?.silent) {
+        await this.audioEngine.startAtPosition(position);
+        await this.mediaController.start(this.currentContext.section.id);
+      }
     }
+    
+    this.updateNowPlaying();
+  }
+  
+  /**
+   * Switch routes one at a time: a switch starts once the one in flight
+   * has finished, and a failure is reported to onError
+   * 
+   * @param {string} routeId - Route id from the catalogue
+   * @returns {Promise} Resolves once this switch has finished
+   */
+  queueRouteSwitch(routeId) {
+    this.routeSwitch = this.routeSwitch
+      .then(() => this.switchRoute(routeId))
+      .catch(error => {
+        console.error(`Failed to switch to route ${routeId}:`, error);
+        if (this.onError) {
+          this.onError({
+            type: 'route',
+            message: `Failed to switch to route ${routeId}`,
+            error
+          });
+        }
+      });
+    return this.routeSwitch;
+  }
+  
+  /**
+   * Select a route by hand, whatever the playlist policy
+   * 
+   * @param {string|null} routeId - Route id, or null to follow the playlist again
+   * @returns {boolean} Whether the route exists
+   */
+  selectRoute(routeId) {
+    return this.playlist.select(routeId);
   }
   
   /**
@@ -264,7 +630,9 @@ export class StateManager {
     if (this.isPlaying) return;
     
     this.timelineEngine.start();
-    await this.audioEngine.resume();
+    if (!this.currentProgram?.silent) {
+      await this.audioEngine.resume();
+    }
     this.isPlaying = true;
     
     console.log('Playback resumed');
@@ -297,7 +665,10 @@ export class StateManager {
       currentContext: this.currentContext,
       timeline: this.timelineEngine?.getDiagnostics(),
       audio: this.audioEngine?.getState(),
-      media: this.mediaController?.getState()
+      media: this.mediaController?.getState(),
+      schedule: this.scheduleManager?.getState(),
+      playlist: this.playlist?.getState(),
+      durations: this.durationCheck
     };
   }
   
@@ -310,14 +681,10 @@ export class StateManager {
     
     this.timelineEngine.seekTo(position);
     
+    // Media follows via the timeline's sectionEnter event
     const context = this.routeMapping.getContextAtPosition(position);
     if (context) {
       await this.audioEngine.startAtPosition(position);
-      
-      if (context.section.id !== this.lastSectionId) {
-        this.mediaController.onSectionChange(context.section.id);
-        this.lastSectionId = context.section.id;
-      }
     }
   }
   
@@ -327,7 +694,10 @@ export class StateManager {
    */
   getRouteInfo() {
     return {
+      id: this.routeConfig.id,
+      name: this.routeConfig.name,
       sections: this.routeMapping.getAllSections(),
+      pointsOfInterest: this.routeMapping.pointsOfInterest,
       totalDuration: this.routeMapping.getTotalDuration(),
       totalDistance: this.routeMapping.totalDistance
     };
@@ -340,6 +710,15 @@ export class StateManager {
     if (this.timelineEngine) {
       this.timelineEngine.stop();
     }
+    if (this.clockSource) {
+      this.clockSource.stop();
+    }
+    if (this.scheduleManager) {
+      this.scheduleManager.stop();
+    }
+    if (this.playlist) {
+      this.playlist.stop();
+    }
     if (this.audioEngine) {
       this.audioEngine.destroy();
     }
@@ -10,43 +10,423 @@
  * - Emit position updates at regular intervals
  * - All other systems react to timeline position
  * 
+ * UPDATE CHANNELS:
+ * - Logic tick (subscribe): low-frequency interval for audio sync, section
+ *   detection, transition events and cues. Keeps running in background tabs.
+ * - Render channel (subscribeRender): requestAnimationFrame-driven updates
+ *   for visual subscribers, paused by the browser when the tab is hidden.
+ * Every subscriber can declare a maximum rate (updates per second).
+ * 
  * IMPORTANT: Audio playback follows the timeline, not the other way around.
  * If audio drifts, we resync audio to match timeline position.
+ * 
+ * TIME REFERENCE:
+ * Time-of-day is read in a reference timezone (Atlantic/Reykjavik by default),
+ * not the viewer's local clock, so every listener worldwide shares the same
+ * "now" on the route.
+ * 
+ * MAPPING MODES:
+ * - 'clock' (default): cycle position modulo totalDuration
+ * - 'solar': day phases (solar midnight, sunrise, solar noon, sunset) at a
+ *   reference coordinate are anchored to section boundaries, so sections
+ *   recorded at dawn play at dawn
+ * 
+ * CLOCK SOURCE:
+ * Wall-clock time comes from a pluggable clock source (see clock-sync.js).
+ * With a ServerClock, checkSync/resync correct against the estimated true
+ * time instead of the machine clock.
+ * 
+ * CUE POINTS:
+ * Timed events (captions, map moves, ...) fire exactly once each time the
+ * position crosses them, including across wraparound. Small resync
+ * corrections catch up on skipped cues without repeating fired ones;
+ * seeks and large jumps skip cues in between.
+ * 
+ * PROGRAMS:
+ * A scheduled program can restrict playback to a set of spans (e.g. only
+ * section 3). The timeline then loops through those spans only, and the
+ * cycle mapping applies to their combined length.
+ * 
+ * TRANSITION EVENTS (see subscribeEvent):
+ * - loop: the timeline (or program) wrapped back to its start
+ * - sectionExit / sectionEnter: the position moved into another section
+ * - trackChange: the position moved into another audio file
+ * - poiEnter / poiLeave: the position moved into or out of a point of
+ *   interest's range (see setPointsOfInterest)
+ * - drift-corrected: the timeline was resynced to time-of-day
+ * Every payload carries `position`, `loopCount` (loops since start()) and,
+ * for boundary events, `cause`: 'playback' | 'loop' | 'seek' | 'resync'.
  */
 
+import { getSolarTimes } from '../utils/solar-calculator.js';
+import { LocalClock } from './clock-sync.js';
+import { SystemClock } from './clock.js';
+
+const DEFAULT_TIMEZONE = 'Atlantic/Reykjavik';
+const SECONDS_PER_DAY = 86400;
+
+// Reykjavík, used when no solar reference coordinate is configured
+const DEFAULT_SOLAR_REFERENCE = { latitude: 64.1466, longitude: -21.9426 };
+
+// Day phases in the order they occur within a solar day
+const SOLAR_PHASES = ['solarMidnight', 'sunrise', 'solarNoon', 'sunset'];
+
+// Default phase for each section, in route order
+const DEFAULT_SOLAR_ANCHOR_PHASES = ['sunrise', 'solarNoon', 'sunset', 'solarMidnight'];
+
+// Subscribers may run this many ms early, so frame jitter doesn't halve their rate
+const RATE_TOLERANCE_MS = 4;
+
+// Transition events emitted by the timeline
+const TIMELINE_EVENTS = [
+  'loop', 'sectionEnter', 'sectionExit', 'trackChange', 'poiEnter', 'poiLeave', 'drift-corrected'
+];
+
 export class TimelineEngine {
-  constructor(totalDuration) {
+  /**
+   * @param {number} totalDuration - Total audio duration in seconds
+   * @param {object} options - Optional timeline settings (routeConfig.timeline)
+   * @param {string} options.timezone - IANA timezone used as reference clock
+   * @param {object} options.cycle - Cycle definition {epoch, length, dailyOffset}
+   * @param {string} options.mode - 'clock' or 'solar'
+   * @param {object} options.solar - Solar mapping {latitude, longitude, anchors}
+   * @param {object} clock - Clock abstraction (SystemClock by default)
+   */
+  constructor(totalDuration, options = {}, clock = new SystemClock()) {
+    this.clock = clock;
     this.totalDuration = totalDuration; // Total audio duration in seconds
     this.startTime = null;              // When playback started (timestamp)
     this.startPosition = null;          // What timeline position we started at
     this.isPlaying = false;
     this.updateInterval = null;
-    this.listeners = [];
+    this.updateRate = 4;                // Logic ticks per second
+    this.listeners = [];                // Logic subscribers {callback, maxRate, lastCall}
+    this.renderListeners = [];          // Render subscribers {callback, maxRate, lastCall}
+    this.frameRequest = null;           // Pending animation frame (or fallback timer)
+    
+    // Reference clock
+    this.timezone = options.timezone || DEFAULT_TIMEZONE;
+    this.timeFormatter = this.createTimeFormatter(this.timezone);
+    
+    // Cycle definition
+    // - epoch: fixed start instant (ms timestamp or ISO string).
+    //          null = cycle restarts every midnight in the reference timezone
+    // - length: cycle length in seconds (default: 24h, or totalDuration with an epoch)
+    // - dailyOffset: seconds added before wrapping (e.g. -21600 = cycle starts at 06:00)
+    const cycle = options.cycle || {};
+    this.cycle = {
+      epoch: this.parseEpoch(cycle.epoch),
+      length: cycle.length || (cycle.epoch != null ? totalDuration : SECONDS_PER_DAY),
+      dailyOffset: cycle.dailyOffset || 0
+    };
+    this.cycleFollowsDuration = !cycle.length && cycle.epoch != null;
+    
+    // Mapping mode
+    this.mode = options.mode === 'solar' ? 'solar' : 'clock';
+    this.solar = {
+      ...DEFAULT_SOLAR_REFERENCE,
+      anchors: null, // [{phase, sectionId}], resolved in setSectionBoundaries()
+      ...options.solar
+    };
+    this.sectionBoundaries = [];
+    this.trackBoundaries = [];
+    this.solarAnchors = [];
+    
+    // Wall-clock source (replace with a ServerClock via setClockSource)
+    this.clockSource = new LocalClock(clock);
+    
+    // Cue points, sorted by position (see setCues)
+    this.cues = [];
+    this.cueListeners = new Map(); // cue type ('*' = all) → callbacks
+    this.lastCuePosition = null;   // Position up to which cues have fired
+    this.pendingJump = null;       // 'seek' | 'resync', consumed by processCues
+    this.cueCatchUpWindow = 10;    // Resync jumps up to 10s still fire skipped cues
+    
+    // Program spans (see setProgramSpans); null = whole timeline
+    this.programSpans = null;
+    this.programLength = totalDuration;
+    
+    // Transition events (see subscribeEvent)
+    this.eventListeners = new Map(); // event type → callbacks
+    this.loopCount = 0;              // Loops completed since start()
+    this.lastEventPosition = null;   // Position at the previous update
+    this.currentSectionId = null;
+    this.currentTrack = null;
+    this.poiPasses = [];             // [{poi, enter, leave}] (see setPointsOfInterest)
+    this.activePois = new Map();     // POI id → POI currently in range
     
     // For sync checking
     this.lastSyncCheck = 0;
     this.syncCheckInterval = 5000; // Check every 5 seconds
+    this.isSeeked = false;         // Debug seek holds until the next resync()
+  }
+  
+  /**
+   * Set the wall-clock source used for time-of-day mapping
+   * 
+   * @param {object} clockSource - Object with now() → ms since Unix epoch
+   */
+  setClockSource(clockSource) {
+    this.clockSource = clockSource;
+  }
+  
+  /**
+   * Get current wall-clock time from the clock source
+   * 
+   * @returns {Date} Estimated true time
+   */
+  getNow() {
+    return new Date(this.clockSource.now());
+  }
+  
+  /**
+   * Create a formatter that reads wall-clock time in the reference timezone
+   * Falls back to the default timezone if the given one is not recognised
+   * 
+   * @param {string} timezone - IANA timezone name
+   * @returns {Intl.DateTimeFormat} Formatter
+   */
+  createTimeFormatter(timezone) {
+    const formatOptions = {
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      hourCycle: 'h23'
+    };
+    
+    try {
+      return new Intl.DateTimeFormat('en-GB', { ...formatOptions, timeZone: timezone });
+    } catch (error) {
+      console.warn(`Unknown timezone "${timezone}", using ${DEFAULT_TIMEZONE}`);
+      this.timezone = DEFAULT_TIMEZONE;
+      return new Intl.DateTimeFormat('en-GB', { ...formatOptions, timeZone: DEFAULT_TIMEZONE });
+    }
+  }
+  
+  /**
+   * Parse a cycle epoch into a millisecond timestamp
+   * 
+   * @param {number|string|Date|null} epoch - Epoch as given in config
+   * @returns {number|null} Milliseconds since Unix epoch, or null if unset
+   */
+  parseEpoch(epoch) {
+    if (epoch === null || epoch === undefined) return null;
+    
+    const ms = epoch instanceof Date ? epoch.getTime() : new Date(epoch).getTime();
+    if (isNaN(ms)) {
+      console.warn(`Invalid cycle epoch "${epoch}", using daily cycle`);
+      return null;
+    }
+    return ms;
+  }
+  
+  /**
+   * Get seconds since midnight in the reference timezone
+   * 
+   * @param {Date} date - Instant to convert
+   * @returns {number} Seconds since local midnight in reference timezone
+   */
+  getSecondsSinceMidnight(date) {
+    const parts = this.timeFormatter.formatToParts(date);
+    const get = (type) => Number(parts.find(part => part.type === type).value);
+    
+    return (
+      get('hour') * 3600 +
+      get('minute') * 60 +
+      get('second') +
+      date.getMilliseconds() / 1000
+    );
+  }
+  
+  /**
+   * Get how far into the current cycle a given instant is
+   * 
+   * @param {Date} date - Instant to convert
+   * @returns {number} Seconds into cycle (0 to cycle.length)
+   */
+  getSecondsIntoCycle(date) {
+    const { epoch, length, dailyOffset } = this.cycle;
+    
+    const seconds = epoch !== null
+      ? (date.getTime() - epoch) / 1000
+      : this.getSecondsSinceMidnight(date);
+    
+    // Double modulo keeps the result positive for instants before the epoch
+    return (((seconds + dailyOffset) % length) + length) % length;
+  }
+  
+  /**
+   * Provide section and track boundaries
+   * Used for transition events and the solar mapping mode, which
+   * resolves each solar anchor to the timeline span it plays
+   * 
+   * @param {Array} sections - Processed sections from RouteMapping
+   */
+  setSectionBoundaries(sections) {
+    // New boundaries: the next update enters its section and track afresh
+    this.currentSectionId = null;
+    this.currentTrack = null;
+    
+    this.sectionBoundaries = sections.map(section => ({
+      id: section.id,
+      startTime: section.startTime,
+      endTime: section.endTime
+    }));
+    this.trackBoundaries = sections.flatMap(section =>
+      (section.audioFiles || []).map(file => ({
+        sectionId: section.id,
+        index: file.index,
+        url: file.url,
+        startTime: file.startTime,
+        endTime: file.endTime
+      }))
+    );
+    
+    const anchors = this.solar.anchors || this.sectionBoundaries
+      .slice(0, DEFAULT_SOLAR_ANCHOR_PHASES.length)
+      .map((section, index) => ({
+        phase: DEFAULT_SOLAR_ANCHOR_PHASES[index],
+        sectionId: section.id
+      }));
+    
+    // Keep only valid anchors, ordered by when they occur in the day
+    const resolved = anchors
+      .map(anchor => ({
+        ...anchor,
+        section: this.sectionBoundaries.find(s => s.id === anchor.sectionId)
+      }))
+      .filter(anchor => {
+        const valid = SOLAR_PHASES.includes(anchor.phase) && anchor.section;
+        if (!valid) {
+          console.warn(`Ignoring solar anchor: ${anchor.phase} → ${anchor.sectionId}`);
+        }
+        return valid;
+      })
+      .sort((a, b) => SOLAR_PHASES.indexOf(a.phase) - SOLAR_PHASES.indexOf(b.phase));
+    
+    // Each anchor plays from its section start up to the next anchor's section start
+    // (or the end of the timeline if the next anchor points backwards)
+    this.solarAnchors = resolved.map((anchor, index) => {
+      const next = resolved[(index + 1) % resolved.length];
+      const spanStart = anchor.section.startTime;
+      const spanEnd = next.section.startTime > spanStart
+        ? next.section.startTime
+        : this.totalDuration;
+      
+      return {
+        phase: anchor.phase,
+        sectionId: anchor.sectionId,
+        spanStart,
+        spanLength: spanEnd - spanStart
+      };
+    });
+    
+    if (this.mode === 'solar' && this.solarAnchors.length === 0) {
+      console.warn('No valid solar anchors, falling back to clock mode');
+    }
+  }
+  
+  /**
+   * Get solar event times for the day containing a given instant
+   * During midnight sun or polar night there is no sunrise/sunset, so they
+   * degrade to the quarter points of the solar day (noon ± 6h). Phases then
+   * keep their order and every anchored section still gets its window.
+   * 
+   * @param {Date} date - Instant within the day of interest
+   * @returns {object} Solar times with sunrise/sunset always set
+   */
+  getSolarPhaseTimes(date) {
+    const times = getSolarTimes(date, this.solar.latitude, this.solar.longitude);
+    
+    if (times.condition !== 'normal') {
+      const quarterDay = SECONDS_PER_DAY * 1000 / 4;
+      times.sunrise = new Date(times.solarNoon.getTime() - quarterDay);
+      times.sunset = new Date(times.solarNoon.getTime() + quarterDay);
+    }
+    
+    return times;
+  }
+  
+  /**
+   * Find the solar anchor whose window contains a given instant
+   * 
+   * @param {Date} date - Instant to look up
+   * @returns {object|null} {anchor, time, nextTime, condition}
+   */
+  findSolarWindow(date) {
+    if (this.solarAnchors.length === 0) return null;
+    
+    // Collect anchor instants for yesterday, today and tomorrow
+    const events = [];
+    for (let dayOffset = -1; dayOffset <= 1; dayOffset++) {
+      const day = new Date(date.getTime() + dayOffset * SECONDS_PER_DAY * 1000);
+      const times = this.getSolarPhaseTimes(day);
+      
+      this.solarAnchors.forEach(anchor => {
+        events.push({
+          anchor,
+          time: times[anchor.phase].getTime(),
+          condition: times.condition
+        });
+      });
+    }
+    events.sort((a, b) => a.time - b.time);
+    
+    const now = date.getTime();
+    for (let i = events.length - 1; i >= 0; i--) {
+      if (events[i].time <= now) {
+        return {
+          ...events[i],
+          nextTime: events[i + 1] ? events[i + 1].time : null
+        };
+      }
+    }
+    return null;
+  }
+  
+  /**
+   * Calculate timeline position from solar time
+   * Within a phase window, the anchored span plays in real time from its
+   * start, looping if the window outlasts it
+   * 
+   * @param {Date} date - Instant to map
+   * @returns {number|null} Position in seconds, or null if no window found
+   */
+  calculateSolarPosition(date) {
+    const solarWindow = this.findSolarWindow(date);
+    if (!solarWindow) return null;
+    
+    const { spanStart, spanLength } = solarWindow.anchor;
+    const elapsed = (date.getTime() - solarWindow.time) / 1000;
+    
+    return spanStart + (elapsed % spanLength);
   }
   
   /**
    * Calculate the current timeline position based on time-of-day
-   * Maps 24-hour day cycle to 4-hour audio loop
+   * Maps the configured cycle (24h in the reference timezone by default)
+   * onto the audio loop, or uses solar time in 'solar' mode
    * 
+   * @param {Date} date - Instant to map (defaults to clock source time)
    * @returns {number} Position in seconds (0 to totalDuration)
    */
-  calculatePositionFromTimeOfDay() {
-    const now = new Date();
+  calculatePositionFromTimeOfDay(date = this.getNow()) {
+    // Scheduled programs loop their own spans on the clock cycle
+    if (this.programSpans) {
+      const offset = this.getSecondsIntoCycle(date) % this.programLength;
+      return this.programOffsetToPosition(offset);
+    }
     
-    // Get seconds since midnight
-    const secondsSinceMidnight = 
-      now.getHours() * 3600 + 
-      now.getMinutes() * 60 + 
-      now.getSeconds() + 
-      now.getMilliseconds() / 1000;
+    if (this.mode === 'solar') {
+      const solarPosition = this.calculateSolarPosition(date);
+      if (solarPosition !== null) return solarPosition;
+    }
     
-    // Map 24 hours (86400 seconds) to audio duration using modulo
-    // This creates a repeating cycle: audio loops 6 times per day if duration is 4 hours
-    const position = secondsSinceMidnight % this.totalDuration;
+    const secondsIntoCycle = this.getSecondsIntoCycle(date);
+    
+    // Map the cycle to audio duration using modulo
+    // With the default 24h cycle, audio loops 6 times per day if duration is 4 hours
+    const position = secondsIntoCycle % this.totalDuration;
     
     return position;
   }
@@ -60,19 +440,25 @@ export class TimelineEngine {
     
     // Calculate where we should be right now
     this.startPosition = this.calculatePositionFromTimeOfDay();
-    this.startTime = performance.now();
+    this.startTime = this.clock.now();
     this.isPlaying = true;
+    this.pendingJump = 'seek';
+    this.isSeeked = false;
+    this.loopCount = 0;
+    this.lastEventPosition = null;
     
     console.log(`Timeline started at position: ${this.startPosition.toFixed(2)}s`);
     
     // Emit initial position immediately
     this.emitUpdate();
     
-    // Start update loop (60fps for smooth visualization)
-    this.updateInterval = setInterval(() => {
+    // Start logic tick (visuals run on the render channel)
+    this.updateInterval = this.clock.setInterval(() => {
       this.emitUpdate();
       this.checkSync();
-    }, 1000 / 60);
+    }, 1000 / this.updateRate);
+    
+    this.scheduleFrame();
   }
   
   /**
@@ -83,9 +469,10 @@ export class TimelineEngine {
     
     this.isPlaying = false;
     if (this.updateInterval) {
-      clearInterval(this.updateInterval);
+      this.clock.clearInterval(this.updateInterval);
       this.updateInterval = null;
     }
+    this.cancelFrame();
     
     console.log('Timeline stopped');
   }
@@ -101,7 +488,13 @@ export class TimelineEngine {
     }
     
     // Calculate elapsed time since start
-    const elapsed = (performance.now() - this.startTime) / 1000;
+    const elapsed = (this.clock.now() - this.startTime) / 1000;
+    
+    // Program spans: advance through the spans, looping at their end
+    if (this.programSpans) {
+      const startOffset = this.positionToProgramOffset(this.startPosition) ?? 0;
+      return this.programOffsetToPosition((startOffset + elapsed) % this.programLength);
+    }
     
     // Add elapsed time to start position
     let position = this.startPosition + elapsed;
@@ -122,35 +515,439 @@ export class TimelineEngine {
   }
   
   /**
-   * Emit position update to all listeners
+   * Provide the timeline spans where the route passes points of interest
+   * 
+   * @param {Array} passes - [{poi, enter, leave}] from RouteMapping
    */
-  emitUpdate() {
+  setPointsOfInterest(passes) {
+    this.poiPasses = passes;
+    this.activePois = new Map();
+  }
+  
+  /**
+   * Change the timeline length (e.g. when switching routes)
+   * Call while stopped, then provide section boundaries, cues, points of
+   * interest and program spans for the new timeline before start()
+   * 
+   * @param {number} totalDuration - Total audio duration in seconds
+   */
+  setTotalDuration(totalDuration) {
+    this.totalDuration = totalDuration;
+    if (this.cycleFollowsDuration) {
+      this.cycle.length = totalDuration;
+    }
+    this.programSpans = null;
+    this.programLength = totalDuration;
+    this.startPosition = 0;
+  }
+  
+  /**
+   * Restrict playback to a set of timeline spans
+   * 
+   * @param {Array|null} spans - [{startTime, endTime}] in play order; null = whole timeline
+   */
+  setProgramSpans(spans) {
+    // Freeze the current position before the mapping changes
+    if (this.isPlaying) {
+      this.startPosition = this.getCurrentPosition();
+      this.startTime = this.clock.now();
+    }
+    
+    this.programSpans = spans && spans.length > 0 ? spans : null;
+    this.programLength = this.programSpans
+      ? this.programSpans.reduce((sum, span) => sum + (span.endTime - span.startTime), 0)
+      : this.totalDuration;
+    
+    this.updateCueOffsets();
+    this.pendingJump = 'seek';
+  }
+  
+  /**
+   * Map an offset within the program to a timeline position
+   * 
+   * @param {number} offset - Seconds into the program (0 to programLength)
+   * @returns {number} Timeline position
+   */
+  programOffsetToPosition(offset) {
+    if (!this.programSpans) return offset;
+    
+    let remaining = offset;
+    for (const span of this.programSpans) {
+      const length = span.endTime - span.startTime;
+      if (remaining < length) {
+        return span.startTime + remaining;
+      }
+      remaining -= length;
+    }
+    return this.programSpans[0].startTime;
+  }
+  
+  /**
+   * Map a timeline position to an offset within the program
+   * 
+   * @param {number} position - Timeline position
+   * @returns {number|null} Seconds into the program, or null if outside it
+   */
+  positionToProgramOffset(position) {
+    if (!this.programSpans) return position;
+    
+    let offset = 0;
+    for (const span of this.programSpans) {
+      if (position >= span.startTime && position < span.endTime) {
+        return offset + position - span.startTime;
+      }
+      offset += span.endTime - span.startTime;
+    }
+    return null;
+  }
+  
+  /**
+   * Build the update payload for the current position
+   * 
+   * @returns {object} {position, progress, totalDuration, timestamp}
+   */
+  getUpdateData() {
     const position = this.getCurrentPosition();
-    const progress = this.getCurrentProgress();
     
-    const data = {
+    return {
       position,      // Absolute position in seconds
-      progress,      // Position as percentage (0-1)
+      progress: position / this.totalDuration, // Position as percentage (0-1)
       totalDuration: this.totalDuration,
-      timestamp: performance.now()
+      timestamp: this.clock.now()
     };
+  }
+  
+  /**
+   * Emit position update to all logic listeners (one logic tick)
+   */
+  emitUpdate() {
+    const data = this.getUpdateData();
+    
+    // Seek or resync since the last update, if any
+    const jump = this.pendingJump;
+    this.pendingJump = null;
     
-    // Notify all registered listeners
-    this.listeners.forEach(callback => {
+    // Jumps reach every listener, whatever its rate
+    this.notifyListeners(this.listeners, data, jump !== null);
+    
+    this.processTransitions(data.position, jump);
+    this.processCues(data.position, jump);
+  }
+  
+  /**
+   * Call each listener that is due according to its maximum rate
+   * 
+   * @param {Array} listeners - {callback, maxRate, lastCall} entries
+   * @param {object} data - Update payload
+   * @param {boolean} force - Ignore rate limits
+   */
+  notifyListeners(listeners, data, force = false) {
+    [...listeners].forEach(listener => {
+      const minInterval = 1000 / listener.maxRate - RATE_TOLERANCE_MS;
+      if (!force && data.timestamp - listener.lastCall < minInterval) return;
+      
+      listener.lastCall = data.timestamp;
       try {
-        callback(data);
+        listener.callback(data);
       } catch (error) {
         console.error('Error in timeline listener:', error);
       }
     });
   }
   
+  /**
+   * Request the next render frame
+   * Uses requestAnimationFrame where available (browsers), a 60Hz clock
+   * timer otherwise (headless). Idle while stopped or without subscribers.
+   */
+  scheduleFrame() {
+    if (this.frameRequest || !this.isPlaying || this.renderListeners.length === 0) return;
+    
+    if (typeof requestAnimationFrame === 'function') {
+      this.frameRequest = { id: requestAnimationFrame(() => this.renderFrame()), animationFrame: true };
+    } else {
+      this.frameRequest = { id: this.clock.setTimeout(() => this.renderFrame(), 1000 / 60), animationFrame: false };
+    }
+  }
+  
+  /**
+   * Cancel a pending render frame
+   */
+  cancelFrame() {
+    if (!this.frameRequest) return;
+    
+    if (this.frameRequest.animationFrame) {
+      cancelAnimationFrame(this.frameRequest.id);
+    } else {
+      this.clock.clearTimeout(this.frameRequest.id);
+    }
+    this.frameRequest = null;
+  }
+  
+  /**
+   * Render channel: notify due render listeners and request the next frame
+   */
+  renderFrame() {
+    this.frameRequest = null;
+    if (!this.isPlaying) return;
+    
+    this.notifyListeners(this.renderListeners, this.getUpdateData());
+    this.scheduleFrame();
+  }
+  
+  /**
+   * Emit transition events for movement since the last update
+   * 
+   * @param {number} position - Current position
+   * @param {string|null} jump - 'seek' | 'resync' | null
+   */
+  processTransitions(position, jump) {
+    let cause = jump || 'playback';
+    
+    // Loop: moved a short way forward past the end (never on seeks)
+    if (this.lastEventPosition !== null && jump !== 'seek') {
+      const length = this.programLength;
+      const offset = this.positionToProgramOffset(position) ?? 0;
+      const lastOffset = this.positionToProgramOffset(this.lastEventPosition) ?? 0;
+      const forward = (offset - lastOffset + length) % length;
+      
+      if (offset < lastOffset && forward < length / 2) {
+        this.loopCount++;
+        cause = 'loop';
+        console.log(`Timeline looped (${this.loopCount} since start)`);
+        this.emitEvent('loop', {
+          position,
+          previousPosition: this.lastEventPosition,
+          loopCount: this.loopCount
+        });
+      }
+    }
+    this.lastEventPosition = position;
+    
+    const details = { position, loopCount: this.loopCount, cause };
+    
+    // Section boundaries
+    const section = this.sectionBoundaries.find(s => position >= s.startTime && position < s.endTime);
+    const sectionId = section ? section.id : null;
+    if (sectionId !== this.currentSectionId) {
+      const previousSectionId = this.currentSectionId;
+      this.currentSectionId = sectionId;
+      
+      if (previousSectionId) {
+        this.emitEvent('sectionExit', { ...details, sectionId: previousSectionId, nextSectionId: sectionId });
+      }
+      if (sectionId) {
+        this.emitEvent('sectionEnter', { ...details, sectionId, previousSectionId });
+      }
+    }
+    
+    // Track boundaries
+    const track = this.trackBoundaries.find(t => position >= t.startTime && position < t.endTime) || null;
+    if (track !== this.currentTrack) {
+      const previousTrack = this.currentTrack;
+      this.currentTrack = track;
+      
+      if (track) {
+        this.emitEvent('trackChange', { ...details, track, previousTrack });
+      }
+    }
+    
+    // Points of interest: leave before enter
+    const inRange = new Map();
+    this.poiPasses.forEach(pass => {
+      if (position >= pass.enter && position < pass.leave) {
+        inRange.set(pass.poi.id, pass.poi);
+      }
+    });
+    this.activePois.forEach((poi, id) => {
+      if (!inRange.has(id)) {
+        this.emitEvent('poiLeave', { ...details, poi });
+      }
+    });
+    inRange.forEach((poi, id) => {
+      if (!this.activePois.has(id)) {
+        this.emitEvent('poiEnter', { ...details, poi });
+      }
+    });
+    this.activePois = inRange;
+  }
+  
+  /**
+   * Notify listeners for a transition event
+   * 
+   * @param {string} type - Event type (see TIMELINE_EVENTS)
+   * @param {object} payload - Event details
+   */
+  emitEvent(type, payload) {
+    (this.eventListeners.get(type) || []).forEach(callback => {
+      try {
+        callback(payload);
+      } catch (error) {
+        console.error(`Error in timeline event listener (${type}):`, error);
+      }
+    });
+  }
+  
+  /**
+   * Register a listener for a transition event
+   * 
+   * @param {string} type - 'loop' | 'sectionEnter' | 'sectionExit' | 'trackChange' | 'poiEnter' | 'poiLeave' | 'drift-corrected'
+   * @param {Function} callback - Function called with the event payload
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeEvent(type, callback) {
+    if (!TIMELINE_EVENTS.includes(type)) {
+      console.warn(`Unknown timeline event: ${type}`);
+    }
+    if (!this.eventListeners.has(type)) {
+      this.eventListeners.set(type, []);
+    }
+    this.eventListeners.get(type).push(callback);
+    
+    return () => {
+      const callbacks = this.eventListeners.get(type);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    };
+  }
+  
+  /**
+   * Set cue points
+   * 
+   * @param {Array} cues - Cues with absolute positions (see RouteMapping.resolveCues)
+   */
+  setCues(cues) {
+    this.cues = [...cues].sort((a, b) => a.position - b.position);
+    this.lastCuePosition = null;
+    this.updateCueOffsets();
+  }
+  
+  /**
+   * Work out where each cue falls within the current program
+   * Cues outside the program's spans get a null offset and never fire
+   */
+  updateCueOffsets() {
+    this.cues.forEach(cue => {
+      cue.programOffset = this.positionToProgramOffset(cue.position);
+    });
+  }
+  
+  /**
+   * Fire cues crossed since the last update
+   * Uses half-open ranges [from, to), so a cue exactly at a seek target
+   * fires on the next update. Works in program offsets, so looping
+   * through a program's spans counts as moving forward.
+   * 
+   * @param {number} currentPosition - Current position
+   * @param {string|null} jump - 'seek' | 'resync' | null
+   */
+  processCues(currentPosition, jump) {
+    if (this.cues.length === 0) return;
+    
+    const position = this.positionToProgramOffset(currentPosition) ?? 0;
+    const length = this.programLength;
+    
+    if (this.lastCuePosition === null || jump === 'seek') {
+      this.lastCuePosition = position;
+      return;
+    }
+    
+    // Distance moved forward, wrapping at the end of the timeline
+    const forward = (position - this.lastCuePosition + length) % length;
+    if (forward === 0) return;
+    
+    // Moved backwards (resync correction): hold until we pass the last
+    // fired position again, unless the jump was too large to be a correction
+    if (forward > length / 2) {
+      const backward = length - forward;
+      if (jump === 'resync' && backward > this.cueCatchUpWindow) {
+        this.lastCuePosition = position;
+      }
+      return;
+    }
+    
+    // Large forward resync: skip like a seek
+    if (jump === 'resync' && forward > this.cueCatchUpWindow) {
+      this.lastCuePosition = position;
+      return;
+    }
+    
+    const from = this.lastCuePosition;
+    this.lastCuePosition = position;
+    
+    if (from < position) {
+      this.fireCuesInRange(from, position);
+    } else {
+      // Wrapped around the end of the timeline
+      this.fireCuesInRange(from, length);
+      this.fireCuesInRange(0, position);
+    }
+  }
+  
+  /**
+   * Fire all cues whose program offset is in [from, to)
+   */
+  fireCuesInRange(from, to) {
+    this.cues.forEach(cue => {
+      if (cue.programOffset !== null && cue.programOffset >= from && cue.programOffset < to) {
+        this.fireCue(cue);
+      }
+    });
+  }
+  
+  /**
+   * Notify listeners for a cue's type and wildcard listeners
+   * 
+   * @param {object} cue - Cue object
+   */
+  fireCue(cue) {
+    const callbacks = [
+      ...(this.cueListeners.get(cue.type) || []),
+      ...(this.cueListeners.get('*') || [])
+    ];
+    
+    callbacks.forEach(callback => {
+      try {
+        callback(cue);
+      } catch (error) {
+        console.error(`Error in cue listener (${cue.type}):`, error);
+      }
+    });
+  }
+  
+  /**
+   * Register a listener for cues of a given type
+   * 
+   * @param {string} type - Cue type (e.g. 'caption', 'map'), or '*' for all
+   * @param {Function} callback - Function called with the cue object
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeCue(type, callback) {
+    if (!this.cueListeners.has(type)) {
+      this.cueListeners.set(type, []);
+    }
+    this.cueListeners.get(type).push(callback);
+    
+    return () => {
+      const callbacks = this.cueListeners.get(type);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    };
+  }
+  
   /**
    * Check if we need to resync based on time-of-day
-   * Useful for catching clock changes or long-running sessions
+   * Useful for catching clock changes, clock source corrections
+   * or long-running sessions
    */
   checkSync() {
-    const now = performance.now();
+    if (this.isSeeked) return;
+    
+    const now = this.clock.now();
     if (now - this.lastSyncCheck < this.syncCheckInterval) return;
     
     this.lastSyncCheck = now;
@@ -172,39 +969,91 @@ export class TimelineEngine {
    * Called when drift is detected or manually
    */
   resync() {
+    const previousPosition = this.isPlaying ? this.getCurrentPosition() : null;
+    
     this.startPosition = this.calculatePositionFromTimeOfDay();
-    this.startTime = performance.now();
+    this.startTime = this.clock.now();
+    this.pendingJump = 'resync';
+    this.isSeeked = false;
     console.log(`Timeline resynced to position: ${this.startPosition.toFixed(2)}s`);
+    
+    if (previousPosition !== null) {
+      // Signed correction along the loop (positive = jumped forward)
+      const length = this.programLength;
+      const offset = this.positionToProgramOffset(this.startPosition) ?? 0;
+      const previousOffset = this.positionToProgramOffset(previousPosition) ?? 0;
+      let drift = (offset - previousOffset + length) % length;
+      if (drift > length / 2) drift -= length;
+      
+      this.emitEvent('drift-corrected', {
+        position: this.startPosition,
+        previousPosition,
+        drift,
+        loopCount: this.loopCount
+      });
+    }
+    
     this.emitUpdate();
   }
   
   /**
-   * Register a listener for timeline updates
+   * Register a listener for logic ticks
+   * For audio sync, state and anything that must keep running in the background
    * 
    * @param {Function} callback - Function to call on each update
+   * @param {object} options - {maxRate}
+   * @param {number} options.maxRate - Maximum calls per second (default: every tick)
    * @returns {Function} Unsubscribe function
    */
-  subscribe(callback) {
-    this.listeners.push(callback);
+  subscribe(callback, options = {}) {
+    return this.addListener(this.listeners, callback, options.maxRate || Infinity);
+  }
+  
+  /**
+   * Register a listener for render frames
+   * For visuals (map, canvas, DOM); paused while the tab is hidden
+   * 
+   * @param {Function} callback - Function to call on each frame
+   * @param {object} options - {maxRate}
+   * @param {number} options.maxRate - Maximum calls per second (default: 60)
+   * @returns {Function} Unsubscribe function
+   */
+  subscribeRender(callback, options = {}) {
+    const unsubscribe = this.addListener(this.renderListeners, callback, options.maxRate || 60);
+    this.scheduleFrame();
+    return unsubscribe;
+  }
+  
+  /**
+   * Add a rate-limited listener to a channel
+   * 
+   * @returns {Function} Unsubscribe function
+   */
+  addListener(listeners, callback, maxRate) {
+    const listener = { callback, maxRate, lastCall: -Infinity };
+    listeners.push(listener);
     
     // Return unsubscribe function
     return () => {
-      const index = this.listeners.indexOf(callback);
+      const index = listeners.indexOf(listener);
       if (index > -1) {
-        this.listeners.splice(index, 1);
+        listeners.splice(index, 1);
       }
     };
   }
   
   /**
    * Seek to a specific position (for testing/debugging)
-   * In production, timeline is driven by time-of-day only
+   * In production, timeline is driven by time-of-day only.
+   * Automatic drift correction pauses until resync() is called.
    * 
    * @param {number} position - Position in seconds
    */
   seekTo(position) {
     this.startPosition = position % this.totalDuration;
-    this.startTime = performance.now();
+    this.startTime = this.clock.now();
+    this.pendingJump = 'seek';
+    this.isSeeked = true;
     console.log(`Timeline seeked to position: ${this.startPosition.toFixed(2)}s`);
     this.emitUpdate();
   }
@@ -217,14 +1066,44 @@ export class TimelineEngine {
   getDiagnostics() {
     return {
       isPlaying: this.isPlaying,
+      mode: this.mode,
+      solar: this.mode === 'solar' ? this.getSolarDiagnostics() : null,
       currentPosition: this.getCurrentPosition(),
       currentProgress: this.getCurrentProgress(),
       totalDuration: this.totalDuration,
       startPosition: this.startPosition,
+      cues: this.cues.length,
+      loopCount: this.loopCount,
+      currentSectionId: this.currentSectionId,
+      activePois: [...this.activePois.keys()],
+      timezone: this.timezone,
+      cycle: this.cycle,
+      clock: this.clockSource.getDiagnostics?.() || null,
       timeOfDayPosition: this.calculatePositionFromTimeOfDay(),
       drift: Math.abs(
         this.getCurrentPosition() - this.calculatePositionFromTimeOfDay()
       )
     };
   }
+  
+  /**
+   * Get solar mapping information for the current moment
+   * 
+   * @returns {object|null} Current phase, section and today's solar times
+   */
+  getSolarDiagnostics() {
+    const now = this.getNow();
+    const solarWindow = this.findSolarWindow(now);
+    const times = getSolarTimes(now, this.solar.latitude, this.solar.longitude);
+    
+    return {
+      phase: solarWindow?.anchor.phase || null,
+      sectionId: solarWindow?.anchor.sectionId || null,
+      nextPhaseAt: solarWindow?.nextTime ? new Date(solarWindow.nextTime) : null,
+      condition: times.condition,
+      sunrise: times.sunrise,
+      solarNoon: times.solarNoon,
+      sunset: times.sunset
+    };
+  }
 }
@@ -0,0 +1,201 @@
+/**
+ * AUDIO DURATIONS
+ * 
+ * Checks the hand-entered `duration` of every audio file against the real
+ * file. One wrong number shifts every later section and leaves
+ * AudioEngine.syncToPosition fighting the real file length, so the
+ * mismatches are reported and the measured durations can replace them.
+ * 
+ * PROBES (url → Promise of seconds):
+ * - probeMetadataDuration: the browser's own metadata (preload="metadata")
+ * - probeHeaderDuration: range-requests the first 64 KB and parses it
+ *   (see audio-metadata.js), works anywhere fetch does; an ID3 tag larger
+ *   than that (cover art) takes a second request past it
+ * 
+ * Used by StateManager at startup (config `audioDurations`) and by
+ * tools/measure-durations.mjs, which writes the durations back.
+ */
+
+import { SystemClock } from '../systems/clock.js';
+import { parseAudioDuration, getId3Size } from './audio-metadata.js';
+import { runPool } from './run-pool.js';
+
+const HEADER_BYTES = 65536;
+
+/**
+ * Measure a file's duration from the browser's metadata
+ * 
+ * @param {string} url - Audio file URL
+ * @param {object} options - {timeout, clock}
+ * @param {number} options.timeout - Milliseconds before giving up
+ * @param {object} options.clock - Clock abstraction (SystemClock by default)
+ * @returns {Promise<number>} Duration in seconds
+ */
+export function probeMetadataDuration(url, options = {}) {
+  const { timeout = 10000, clock = new SystemClock() } = options;
+  
+  return new Promise((resolve, reject) => {
+    const audio = new Audio();
+    audio.preload = 'metadata';
+    
+    let timer = null;
+    const finish = (error) => {
+      clock.clearTimeout(timer);
+      audio.removeEventListener('loadedmetadata', onLoaded);
+      audio.removeEventListener('error', onError);
+      const duration = audio.duration;
+      audio.removeAttribute?.('src'); // Release the connection
+      
+      if (error) {
+        reject(error);
+      } else if (!Number.isFinite(duration)) {
+        reject(new Error(`No duration in metadata (${duration})`));
+      } else {
+        resolve(duration);
+      }
+    };
+    const onLoaded = () => finish(null);
+    const onError = () => finish(new Error('Failed to load metadata'));
+    
+    audio.addEventListener('loadedmetadata', onLoaded);
+    audio.addEventListener('error', onError);
+    timer = clock.setTimeout(() => finish(new Error('Timed out loading metadata')), timeout);
+    
+    audio.src = url;
+    audio.load();
+  });
+}
+
+/**
+ * Measure a file's duration from its header, fetched with a range request
+ * 
+ * @param {string} url - Audio file URL
+ * @param {object} options - {fetch, headerBytes}
+ * @param {Function} options.fetch - fetch implementation (global fetch by default)
+ * @param {number} options.headerBytes - Bytes to request
+ * @returns {Promise<number>} Duration in seconds
+ */
+export async function probeHeaderDuration(url, options = {}) {
+  const { fetch = globalThis.fetch, headerBytes = HEADER_BYTES } = options;
+  
+  const { bytes, fileSize } = await fetchRange(fetch, url, 0, headerBytes);
+  let duration = parseAudioDuration(bytes, fileSize);
+  
+  // Cover art: the ID3 tag runs past the bytes fetched, and the audio starts after it
+  const tagSize = getId3Size(bytes);
+  if (duration === null && bytes.length < fileSize && tagSize + 4096 > bytes.length && tagSize < fileSize) {
+    const rest = await fetchRange(fetch, url, tagSize, tagSize + headerBytes);
+    const audio = rest.bytes.length < fileSize ? rest.bytes : rest.bytes.subarray(tagSize); // (200: all of it)
+    duration = parseAudioDuration(audio, fileSize - tagSize); // As if the file started there
+  }
+  if (duration === null) {
+    throw new Error('Unsupported audio format');
+  }
+  return duration;
+}
+
+/**
+ * Fetch bytes [start, end) of a file with a range request (a server that
+ * ignores it sends the whole file)
+ * 
+ * @returns {Promise<object>} {bytes, fileSize}
+ */
+async function fetchRange(fetch, url, start, end) {
+  const response = await fetch(url, { headers: { Range: `bytes=${start}-${end - 1}` } });
+  if (!response.ok) {
+    throw new Error(`Failed to load ${url}: ${response.status}`);
+  }
+  const bytes = new Uint8Array(await response.arrayBuffer());
+  
+  // 206: the total is in Content-Range; 200: the server sent the whole file
+  const range = response.headers.get('Content-Range');
+  const fileSize = response.status === 206 && range ? Number(range.split('/')[1]) : bytes.length;
+  if (!Number.isFinite(fileSize)) {
+    throw new Error(`Unknown file size (Content-Range: ${range})`);
+  }
+  return { bytes, fileSize };
+}
+
+/**
+ * Measure every audio file of a route and compare with the config
+ * 
+ * @param {object} routeConfig - Route configuration
+ * @param {object} options - {probe, tolerance, concurrency, cache}
+ * @param {Function} options.probe - async (url) => seconds
+ * @param {number} options.tolerance - Allowed difference in seconds
+ * @param {number} options.concurrency - Files measured at once
+ * @param {Map} options.cache - url → measured seconds, shared between calls
+ * @returns {Promise<object>} {files, mismatches, failures, measured}
+ */
+export async function verifyAudioDurations(routeConfig, options = {}) {
+  const { probe, tolerance = 0.5, concurrency = 4, cache = new Map() } = options;
+  
+  const files = [];
+  routeConfig.sections.forEach(section => {
+    (section.audioFiles || []).forEach(file => {
+      files.push({ sectionId: section.id, url: file.url, configured: file.duration });
+    });
+  });
+  
+  await runPool(files, concurrency, async (file) => {
+    try {
+      if (!cache.has(file.url)) {
+        cache.set(file.url, await probe(file.url));
+      }
+      file.measured = cache.get(file.url);
+      file.difference = file.measured - file.configured;
+      file.status = Math.abs(file.difference) > tolerance ? 'mismatch' : 'ok';
+    } catch (error) {
+      file.status = 'failed';
+      file.error = error;
+    }
+  });
+  
+  const measured = new Map();
+  files.forEach(file => {
+    if (file.status !== 'failed') measured.set(file.url, file.measured);
+  });
+  
+  return {
+    files,
+    mismatches: files.filter(file => file.status === 'mismatch'),
+    failures: files.filter(file => file.status === 'failed'),
+    measured
+  };
+}
+
+/**
+ * Replace configured durations with measured ones
+ * 
+ * @param {object} routeConfig - Route configuration
+ * @param {Map} measured - url → seconds (files not in it keep their duration)
+ * @returns {object} New route configuration
+ */
+export function applyMeasuredDurations(routeConfig, measured) {
+  return {
+    ...routeConfig,
+    sections: routeConfig.sections.map(section => ({
+      ...section,
+      audioFiles: (section.audioFiles || []).map(file =>
+        measured.has(file.url) ? { ...file, duration: measured.get(file.url) } : file
+      )
+    }))
+  };
+}
+
+/**
+ * Format a duration check result for logs
+ * 
+ * @param {object} file - Entry of verifyAudioDurations().files
+ * @returns {string} e.g. "track_02.mp3 [section_1]: configured 164s, measured 171.35s (+7.35s)"
+ */
+export function formatDurationCheck(file) {
+  const name = `${file.url} [${file.sectionId}]`;
+  if (file.status === 'failed') {
+    return `${name}: could not measure (${file.error.message})`;
+  }
+  const difference = Number(file.difference.toFixed(2)) || 0; // No "-0.00"
+  const sign = difference >= 0 ? '+' : '';
+  return `${name}: configured ${file.configured}s, measured ${file.measured.toFixed(2)}s ` +
+    `(${sign}${difference.toFixed(2)}s)`;
+}
@@ -0,0 +1,437 @@
+/**
+ * AUDIO METADATA
+ * 
+ * Reads an audio file's duration from its bytes, without decoding audio.
+ * Works on the file header alone (a range request or the first few KB on
+ * disk) or on the whole file, in the browser and in Node.
+ * indexAudioFile() also locates every MP3 frame (or the WAV sample data),
+ * so a file can be decoded in chunks (see gapless-player.js);
+ * indexAudioHeader() does the same from the first bytes alone, where the
+ * chunks can then be fetched by range request (WAV, constant-bitrate MP3).
+ * 
+ * FORMATS:
+ * - MP3: frame count from the Xing/Info or VBRI header (VBR and LAME files);
+ *   otherwise the whole file's frames are counted, or, with only the
+ *   header available, the size is divided by the first frame's bitrate (CBR).
+ *   The encoder delay and padding in a LAME tag are not counted
+ * - WAV: data chunk size / byte rate
+ * Anything else returns null (the browser's own metadata covers it).
+ */
+
+// kbps by [version][layer][index]; version 1 = MPEG-1, 2 = MPEG-2 and 2.5
+const BITRATES = {
+  1: {
+    1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+  },
+  2: {
+    1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+  }
+};
+
+// Hz by version bits (3 = MPEG-1, 2 = MPEG-2, 0 = MPEG-2.5)
+const SAMPLE_RATES = {
+  3: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  0: [11025, 12000, 8000]
+};
+
+// Samples an MP3 decoder's output lags its input (the synthesis filterbank)
+const MP3_DECODER_DELAY = 529;
+
+/**
+ * Get the duration of an audio file from its bytes
+ * 
+ * @param {Uint8Array} bytes - Start of the file (or the whole file)
+ * @param {number} fileSize - Size of the whole file in bytes
+ * @returns {number|null} Duration in seconds, or null if the format is unknown
+ */
+export function parseAudioDuration(bytes, fileSize = bytes.length) {
+  if (readTag(bytes, 0) === 'RIFF' && readTag(bytes, 8) === 'WAVE') {
+    return parseWavDuration(bytes, fileSize);
+  }
+  return parseMp3Duration(bytes, fileSize);
+}
+
+/**
+ * Locate the audio data of a whole file, for decoding it in chunks
+ * 
+ * Sample positions are in the decoder's output (for MP3: including the
+ * encoder delay); contentStart/contentEnd bound the actual audio.
+ * 
+ * @param {Uint8Array} bytes - The whole file
+ * @returns {object|null} Index, or null if the format is unknown:
+ *   MP3: {format, sampleRate, samplesPerFrame, frameOffsets, endOffset, contentStart, contentEnd}
+ *   WAV: {format, sampleRate, blockAlign, fmt, dataOffset, contentStart, contentEnd}
+ */
+export function indexAudioFile(bytes) {
+  if (readTag(bytes, 0) === 'RIFF' && readTag(bytes, 8) === 'WAVE') {
+    const wav = readWavChunks(bytes, bytes.length);
+    return wav && indexWav(bytes, wav);
+  }
+  
+  let offset = findFrame(bytes, getId3Size(bytes));
+  if (offset === -1) return null;
+  
+  const first = readFrameHeader(bytes, offset);
+  const info = readInfoFrame(bytes, offset, first);
+  if (info) {
+    offset += first.length; // The info frame holds no audio
+  }
+  
+  const frameOffsets = [];
+  let header = readFrameHeader(bytes, offset);
+  while (header) {
+    frameOffsets.push(offset);
+    offset += header.length;
+    header = readFrameHeader(bytes, offset);
+  }
+  
+  return {
+    format: 'mp3',
+    sampleRate: first.sampleRate,
+    samplesPerFrame: first.samples,
+    frameOffsets,
+    endOffset: Math.min(offset, bytes.length),
+    ...getMp3Content(info, frameOffsets.length * first.samples)
+  };
+}
+
+/**
+ * Locate the audio data of a file from its first bytes, so its chunks can
+ * be fetched by range request
+ * Only where a chunk can be found without the rest of the file: WAV, and
+ * constant-bitrate MP3 whose frames in `bytes` show that frame n starts
+ * `frameBytes * n` bytes into the audio (no frame padded, or padded to keep
+ * the average exact, as LAME and ffmpeg do). Other MP3s and formats give
+ * null.
+ * 
+ * @param {Uint8Array} bytes - The file's first bytes (from `base`)
+ * @param {number} fileSize - Size of the whole file in bytes
+ * @param {number} base - File offset of `bytes` (past an ID3 tag larger than the first fetch)
+ * @returns {object|null} Index, or null:
+ *   MP3: {format, sampleRate, samplesPerFrame, audioOffset, frameBytes, frameCount, contentStart, contentEnd}
+ *   WAV: as indexAudioFile()
+ */
+export function indexAudioHeader(bytes, fileSize, base = 0) {
+  if (base === 0 && readTag(bytes, 0) === 'RIFF' && readTag(bytes, 8) === 'WAVE') {
+    const wav = readWavChunks(bytes, fileSize);
+    return wav && indexWav(bytes, wav);
+  }
+  
+  let offset = findFrame(bytes, base === 0 ? getId3Size(bytes) : 0);
+  if (offset === -1) return null;
+  
+  const first = readFrameHeader(bytes, offset);
+  const info = readInfoFrame(bytes, offset, first);
+  if (info?.vbr) return null;
+  if (info) {
+    offset += first.length; // The info frame holds no audio
+  }
+  
+  const frameBytes = getFrameBytes(bytes, offset, first);
+  if (frameBytes === null) return null;
+  
+  const audioOffset = base + offset;
+  const frameCount = info?.frames ?? Math.floor((fileSize - audioOffset) / frameBytes);
+  return {
+    format: 'mp3',
+    sampleRate: first.sampleRate,
+    samplesPerFrame: first.samples,
+    audioOffset,
+    frameBytes,
+    frameCount,
+    ...getMp3Content(info, frameCount * first.samples)
+  };
+}
+
+/**
+ * Find consecutive MP3 frames in part of a file
+ * 
+ * @param {Uint8Array} bytes - Part of the file
+ * @param {number} near - Offset in `bytes` where the first frame should start
+ * @param {number} tolerance - How far from `near` it may start, in bytes
+ * @param {number} count - Frames wanted
+ * @returns {object|null} {start, end, frames}: byte range in `bytes` and the frames in it
+ *   (fewer than `count` where the bytes run out), or null if no frame starts near enough
+ */
+export function locateMp3Frames(bytes, near, tolerance, count) {
+  const start = findFrame(bytes, Math.max(0, Math.floor(near - tolerance)));
+  if (start === -1 || start > near + tolerance) return null;
+  
+  let end = start;
+  let frames = 0;
+  let header = readFrameHeader(bytes, end);
+  while (header && frames < count && end + header.length <= bytes.length) {
+    end += header.length;
+    frames++;
+    header = readFrameHeader(bytes, end);
+  }
+  return { start, end, frames };
+}
+
+/**
+ * Size of the ID3v2 tag at the start of a file (0 if there is none): the
+ * offset of the audio after it
+ * 
+ * @param {Uint8Array} bytes - The file's first 10 bytes or more
+ * @returns {number} Bytes
+ */
+export function getId3Size(bytes) {
+  if (bytes.length < 10 || readTag(bytes, 0, 3) !== 'ID3') return 0;
+  
+  // Syncsafe integer: 7 bits per byte
+  const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+  const footer = bytes[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
+
+/**
+ * Bytes per frame of a constant-bitrate MP3, checked against the frames
+ * available: the frame length if none is padded, otherwise the exact average
+ * 
+ * @returns {number|null} Bytes, or null if the frames follow neither
+ */
+function getFrameBytes(bytes, start, first) {
+  const average = first.samples / 8 * 1000 * first.bitrate / first.sampleRate;
+  const unpadded = first.length - first.padding * (first.layer === 1 ? 4 : 1);
+  
+  const starts = [];
+  let offset = start;
+  let header = readFrameHeader(bytes, offset);
+  while (header && offset + header.length <= bytes.length) {
+    if (header.bitrate !== first.bitrate) return null; // Variable bitrate after all
+    starts.push(offset - start);
+    offset += header.length;
+    header = readFrameHeader(bytes, offset);
+  }
+  
+  return [unpadded, average].find(size =>
+    starts.every((position, frame) => Math.abs(position - frame * size) < 1)) ?? null;
+}
+
+/**
+ * Index of a WAV file's sample data
+ */
+function indexWav(bytes, wav) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const blockAlign = view.getUint16(wav.fmtOffset + 12, true);
+  return {
+    format: 'wav',
+    sampleRate: view.getUint32(wav.fmtOffset + 4, true),
+    blockAlign,
+    fmt: bytes.slice(wav.fmtOffset, wav.fmtOffset + wav.fmtSize),
+    dataOffset: wav.dataOffset,
+    contentStart: 0,
+    contentEnd: Math.floor(wav.dataSize / blockAlign)
+  };
+}
+
+/**
+ * Where an MP3's actual audio starts and ends, in decoder samples (the
+ * LAME tag's encoder delay and padding trimmed, where there is one)
+ */
+function getMp3Content(info, totalSamples) {
+  const gapless = info?.encoderDelay !== undefined;
+  return {
+    contentStart: gapless ? info.encoderDelay + MP3_DECODER_DELAY : 0,
+    contentEnd: gapless
+      ? Math.max(0, totalSamples - info.encoderPadding + MP3_DECODER_DELAY)
+      : totalSamples
+  };
+}
+
+/**
+ * Duration of a WAV file: data chunk size / byte rate
+ */
+function parseWavDuration(bytes, fileSize) {
+  const wav = readWavChunks(bytes, fileSize);
+  if (!wav) return null;
+  
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const byteRate = view.getUint32(wav.fmtOffset + 8, true);
+  return byteRate ? wav.dataSize / byteRate : null;
+}
+
+/**
+ * Find the fmt and data chunks of a WAV file
+ * 
+ * @returns {object|null} {fmtOffset, fmtSize, dataOffset, dataSize}
+ */
+function readWavChunks(bytes, fileSize) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let fmt = null;
+  let offset = 12;
+  
+  while (offset + 8 <= bytes.length) {
+    const id = readTag(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    
+    if (id === 'fmt ' && offset + 24 <= bytes.length) {
+      fmt = { fmtOffset: offset + 8, fmtSize: size };
+    } else if (id === 'data') {
+      if (!fmt) return null;
+      // Streamed WAVs leave the size unset; the rest of the file is data
+      const dataSize = Math.min(size, fileSize - offset - 8);
+      return { ...fmt, dataOffset: offset + 8, dataSize };
+    }
+    offset += 8 + size + (size % 2); // Chunks are word-aligned
+  }
+  
+  return null;
+}
+
+/**
+ * Duration of an MP3 file (any MPEG audio layer)
+ */
+function parseMp3Duration(bytes, fileSize) {
+  let start = findFrame(bytes, getId3Size(bytes));
+  if (start === -1) return null;
+  
+  const frame = readFrameHeader(bytes, start);
+  const info = readInfoFrame(bytes, start, frame);
+  const trimmed = info?.encoderDelay !== undefined ? info.encoderDelay + info.encoderPadding : 0;
+  
+  // VBR header: exact frame count
+  if (info?.frames !== undefined) {
+    return (info.frames * frame.samples - trimmed) / frame.sampleRate;
+  }
+  if (info) {
+    start += frame.length; // The info frame holds no audio
+  }
+  
+  // Whole file available: count the frames
+  if (bytes.length >= fileSize) {
+    let samples = 0;
+    let offset = start;
+    let header = readFrameHeader(bytes, offset);
+    while (header) {
+      samples += header.samples;
+      offset += header.length;
+      header = readFrameHeader(bytes, offset);
+    }
+    return (samples - trimmed) / frame.sampleRate;
+  }
+  
+  // Header only: assume a constant bitrate
+  const tagSize = hasId3v1(bytes, fileSize) ? 128 : 0;
+  return (fileSize - start - tagSize) * 8 / (frame.bitrate * 1000);
+}
+
+/**
+ * Whether the file ends with a 128-byte ID3v1 tag
+ * (only known when the whole file is available)
+ */
+function hasId3v1(bytes, fileSize) {
+  return bytes.length >= fileSize && fileSize >= 128 &&
+    readTag(bytes, fileSize - 128, 3) === 'TAG';
+}
+
+/**
+ * Find the first frame at or after an offset: a valid header followed by
+ * another one, so sync-like bytes in leftover tag data are skipped
+ */
+function findFrame(bytes, from) {
+  for (let offset = from; offset + 4 <= bytes.length; offset++) {
+    const header = readFrameHeader(bytes, offset);
+    if (!header) continue;
+    
+    const next = offset + header.length;
+    if (next + 4 > bytes.length || readFrameHeader(bytes, next)) {
+      return offset;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decode the 4-byte MPEG audio frame header at an offset
+ * 
+ * @returns {object|null} {version, layer, bitrate, sampleRate, samples, length, padding, mono}
+ */
+function readFrameHeader(bytes, offset) {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+  
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const mono = (bytes[offset + 3] >> 6) === 3;
+  
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 ||
+      bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+  
+  const version = versionBits === 3 ? 1 : 2;
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version][layer][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+  
+  let samples;
+  let length;
+  if (layer === 1) {
+    samples = 384;
+    length = (Math.floor(12000 * bitrate / sampleRate) + padding) * 4;
+  } else {
+    samples = layer === 3 && version === 2 ? 576 : 1152;
+    length = Math.floor(samples / 8 * 1000 * bitrate / sampleRate) + padding;
+  }
+  
+  return { version, layer, bitrate, sampleRate, samples, length, padding, mono };
+}
+
+/**
+ * Read a Xing/Info or VBRI header in the first frame (a frame with no audio)
+ * 
+ * @returns {object|null} {vbr, frames?, encoderDelay?, encoderPadding?}, or
+ *   null if the first frame is an audio frame
+ */
+function readInfoFrame(bytes, start, frame) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  
+  // Xing/Info: after the side information
+  const sideInfo = frame.version === 1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+  const xing = start + 4 + sideInfo;
+  const tag = readTag(bytes, xing);
+  if ((tag === 'Xing' || tag === 'Info') && xing + 8 <= bytes.length) {
+    const info = { vbr: tag === 'Xing' }; // LAME writes 'Info' for constant bitrates
+    const flags = view.getUint32(xing + 4);
+    let offset = xing + 8;
+    if (flags & 0x01) {
+      info.frames = view.getUint32(offset);
+      offset += 4;
+    }
+    // Skip byte count, table of contents and quality
+    offset += (flags & 0x02 ? 4 : 0) + (flags & 0x04 ? 100 : 0) + (flags & 0x08 ? 4 : 0);
+    
+    // LAME tag: 12-bit encoder delay and padding, 21 bytes in
+    if (/^(LAME|Lavc|Lavf|GOGO)/.test(readTag(bytes, offset)) && offset + 24 <= bytes.length) {
+      const delays = (bytes[offset + 21] << 16) | (bytes[offset + 22] << 8) | bytes[offset + 23];
+      info.encoderDelay = delays >> 12;
+      info.encoderPadding = delays & 0xfff;
+    }
+    return info;
+  }
+  
+  // VBRI (Fraunhofer): fixed offset
+  const vbri = start + 36;
+  if (readTag(bytes, vbri) === 'VBRI' && vbri + 18 <= bytes.length) {
+    return { vbr: true, frames: view.getUint32(vbri + 14) };
+  }
+  
+  return null;
+}
+
+/**
+ * Read an ASCII tag (e.g. 'RIFF', 'Xing')
+ */
+function readTag(bytes, offset, length = 4) {
+  if (offset < 0 || offset + length > bytes.length) return '';
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
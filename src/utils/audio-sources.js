@@ -0,0 +1,93 @@
+/**
+ * AUDIO SOURCES
+ * 
+ * Which encoding of an audio file to play. Besides its `url` (MP3), a file
+ * can list alternative sources, best first:
+ *   { url: '.../track_01.mp3', duration: 934, sources: [
+ *     { url: '.../track_01.flac', type: 'audio/flac', bitrate: 1100 },
+ *     { url: '.../track_01.m4a', type: 'audio/mp4; codecs="mp4a.40.2"', bitrate: 256 },
+ *     { url: '.../track_01.webm', type: 'audio/webm; codecs="opus"', bitrate: 160 }
+ *   ] }
+ * Bitrates are in kbps (`bitrate` on the file is that of `url`). `url`
+ * stays the file's identity and is the last resort, since every browser
+ * plays it. Of the sources the browser can play (canPlayType), quality:
+ * - 'auto' takes the first whose bitrate fits the measured bandwidth (with
+ *   headroom), or the lowest bitrate when none does; until the bandwidth
+ *   is known, the first
+ * - 'high' takes the first, whatever the bandwidth
+ * - 'low' takes the lowest bitrate
+ */
+
+import { BANDWIDTH_SAFETY } from './bandwidth.js';
+
+export const QUALITY_LEVELS = ['auto', 'high', 'low'];
+
+// Types of `url`s without one, by extension
+const EXTENSION_TYPES = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  flac: 'audio/flac',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  opus: 'audio/ogg; codecs="opus"',
+  webm: 'audio/webm'
+};
+
+/**
+ * All the sources of an audio file, `url` last
+ * 
+ * @param {object} file - Audio file from the config
+ * @returns {Array} [{url, type, bitrate, fallback}] (fallback: the file's own url)
+ */
+export function listSources(file) {
+  const alternatives = (file.sources || []).map(source => ({
+    url: source.url,
+    type: source.type,
+    bitrate: source.bitrate ?? null,
+    fallback: false
+  }));
+  return [
+    ...alternatives,
+    { url: file.url, type: guessType(file.url), bitrate: file.bitrate ?? null, fallback: true }
+  ];
+}
+
+/**
+ * Pick the source of an audio file to play
+ * 
+ * @param {object} file - Audio file from the config
+ * @param {object} options - {canPlay, quality, bandwidth, accept, exclude}
+ * @param {Function} options.canPlay - (type) => canPlayType answer ('probably', 'maybe' or '')
+ * @param {string} options.quality - 'auto' | 'high' | 'low'
+ * @param {number|null} options.bandwidth - Measured bits per second (null: unknown)
+ * @param {Function} options.accept - (source) => whether the player can use it (all by default)
+ * @param {Set} options.exclude - URLs of sources that failed to decode
+ * @returns {object} {url, type, bitrate, fallback}
+ */
+export function chooseSource(file, { canPlay, quality = 'auto', bandwidth = null, accept = null, exclude = null }) {
+  const sources = listSources(file);
+  const playable = sources.filter(source => source.fallback || (
+    !exclude?.has(source.url) &&
+    (!accept || accept(source)) &&
+    canPlay(source.type) !== ''
+  ));
+  if (playable.length === 1) return playable[0];
+  
+  const lowest = playable.reduce((best, source) =>
+    (source.bitrate ?? Infinity) < (best.bitrate ?? Infinity) ? source : best);
+  
+  if (quality === 'low') return lowest;
+  if (quality === 'high' || bandwidth === null) return playable[0];
+  
+  const budget = bandwidth * BANDWIDTH_SAFETY / 1000;
+  return playable.find(source => source.bitrate !== null && source.bitrate <= budget) || lowest;
+}
+
+/**
+ * MIME type of a URL from its extension (MP3 when unknown)
+ */
+function guessType(url) {
+  const extension = url.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_TYPES[extension] || 'audio/mpeg';
+}
@@ -0,0 +1,87 @@
+/**
+ * AUDIO TRANSITIONS
+ * 
+ * How one track hands over to the next. A transition belongs to the
+ * boundary into a file (`transition` on the audio file, on its section for
+ * the section's first file, or `audio.transition` for every boundary):
+ * - 'gapless': the next track starts on the sample where this one ends
+ * - {type: 'crossfade', duration}: the last `duration` seconds of the
+ *   outgoing track play under the first `duration` seconds of the incoming
+ *   one, with equal-power gain curves (steady loudness through the overlap)
+ * - {type: 'fade', fadeOut, fadeIn}: the outgoing track fades out over its
+ *   last `fadeOut` seconds, then the incoming one fades in over its first
+ *   `fadeIn` seconds (`duration` sets both)
+ * 
+ * A crossfade overlaps the two files, so the timeline is shorter by its
+ * duration (see RouteMapping); fades don't change any timing.
+ */
+
+export const TRANSITION_TYPES = ['gapless', 'crossfade', 'fade'];
+
+const DEFAULT_DURATION = 3;   // Seconds, when a crossfade or fade gives none
+const CURVE_RESOLUTION = 100; // Gain curve points per second
+
+const GAPLESS = Object.freeze({ type: 'gapless', overlap: 0, fadeOut: 0, fadeIn: 0 });
+
+/**
+ * Turn a transition from the config into {type, overlap, fadeOut, fadeIn}
+ * 
+ * @param {string|object|null} transition - 'gapless' | {type, duration, fadeOut, fadeIn}
+ * @returns {object} {type, overlap, fadeOut, fadeIn} (seconds; overlap > 0 only for crossfades)
+ */
+export function normalizeTransition(transition) {
+  if (!transition) return GAPLESS;
+  const spec = typeof transition === 'string' ? { type: transition } : transition;
+  const seconds = (value, fallback) => {
+    const number = Number(value ?? fallback);
+    return Number.isFinite(number) && number > 0 ? number : 0;
+  };
+  
+  if (spec.type === 'crossfade') {
+    const duration = seconds(spec.duration, DEFAULT_DURATION);
+    return { type: 'crossfade', overlap: duration, fadeOut: duration, fadeIn: duration };
+  }
+  if (spec.type === 'fade') {
+    return {
+      type: 'fade',
+      overlap: 0,
+      fadeOut: seconds(spec.fadeOut ?? spec.duration, DEFAULT_DURATION),
+      fadeIn: seconds(spec.fadeIn ?? spec.duration, DEFAULT_DURATION)
+    };
+  }
+  return GAPLESS;
+}
+
+/**
+ * Schedule an equal-power fade on a gain parameter
+ * A fade that has already begun is joined part-way through; one that is
+ * over just sets its end value.
+ * 
+ * @param {AudioParam} param - Gain parameter of the track's voice
+ * @param {string} direction - 'in' (0 → 1) or 'out' (1 → 0)
+ * @param {number} startTime - Context time the fade begins
+ * @param {number} duration - Fade length in seconds
+ * @param {number} now - Current context time
+ */
+export function scheduleFade(param, direction, startTime, duration, now) {
+  const gainAt = (progress) => direction === 'in'
+    ? Math.sin(progress * Math.PI / 2)
+    : Math.cos(progress * Math.PI / 2);
+  
+  const begin = Math.max(startTime, now);
+  const elapsed = begin - startTime;
+  param.cancelScheduledValues(begin);
+  
+  if (duration <= 0 || elapsed >= duration) {
+    param.setValueAtTime(gainAt(1), begin);
+    return;
+  }
+  
+  const remaining = duration - elapsed;
+  const points = Math.max(2, Math.ceil(remaining * CURVE_RESOLUTION));
+  const curve = new Float32Array(points);
+  for (let i = 0; i < points; i++) {
+    curve[i] = gainAt((elapsed + remaining * i / (points - 1)) / duration);
+  }
+  param.setValueCurveAtTime(curve, begin, remaining);
+}
@@ -0,0 +1,27 @@
+/**
+ * BANDWIDTH
+ * 
+ * The measured connection speed that source and stream bitrates are picked
+ * by: a moving average of download speeds, of which a bitrate may use
+ * `BANDWIDTH_SAFETY` (headroom for the connection's ups and downs).
+ * Used by AudioEngine (fetched files), HlsSource (stream segments) and
+ * audio-sources.js.
+ */
+
+export const BANDWIDTH_SAFETY = 0.7; // Share of the measured bandwidth a bitrate may use
+
+const SMOOTHING = 0.3;    // Weight of each new download in the average
+const MIN_SAMPLE_MS = 10; // Quicker downloads (cache hits) count as this slow
+
+/**
+ * Add a download to a bandwidth estimate
+ * 
+ * @param {number|null} estimate - Bits per second so far (null: no estimate yet)
+ * @param {number} bytes - Bytes fetched
+ * @param {number} ms - How long it took
+ * @returns {number} New estimate in bits per second
+ */
+export function addBandwidthSample(estimate, bytes, ms) {
+  const sample = bytes * 8 / (Math.max(ms, MIN_SAMPLE_MS) / 1000);
+  return estimate === null ? sample : estimate * (1 - SMOOTHING) + sample * SMOOTHING;
+}
@@ -0,0 +1,493 @@
+/**
+ * CONFIG VALIDATOR
+ * 
+ * Checks route-config.js before RouteMapping processes it, which trusts the
+ * config completely: an empty audioFiles array gives a zero-duration section,
+ * an empty media pool breaks media picking, a one-point geoPath breaks
+ * interpolation.
+ * 
+ * Every problem is reported, not just the first, each with the section id
+ * and the field path (e.g. sections[1].audioFiles[2].duration).
+ * 
+ * LEVELS:
+ * - error: the installation cannot run correctly with this config
+ * - warning: it runs, but probably not as intended
+ * 
+ * A route catalogue (several routes and a playlist, see route-catalogue.js)
+ * is checked route by route; issues then also carry the route id. Routes
+ * loaded from a JSON manifest are checked after loading.
+ * 
+ * Used by StateManager at startup and by tools/validate-config.mjs.
+ */
+
+import { TRANSITION_TYPES, normalizeTransition } from './audio-transitions.js';
+import { QUALITY_LEVELS } from './audio-sources.js';
+
+const DEFAULT_MAX_SECTION_GAP = 0.5; // km between consecutive sections' endpoints
+
+/**
+ * Validate a route configuration
+ * 
+ * @param {object} routeConfig - Route configuration
+ * @param {object} options - {maxSectionGap}
+ * @param {number} options.maxSectionGap - Largest allowed gap between a section's
+ *   end and the next section's start, in km
+ * @returns {object} {valid, errors, warnings}; issues are {level, sectionId, path, message}
+ */
+export function validateRouteConfig(routeConfig, options = {}) {
+  const { maxSectionGap = DEFAULT_MAX_SECTION_GAP } = options;
+  const issues = [];
+  const report = (level, sectionId, path, message) => {
+    issues.push({ level, sectionId, path, message });
+  };
+  
+  if (!routeConfig || typeof routeConfig !== 'object') {
+    report('error', null, 'routeConfig', 'config is missing');
+    return summarize(issues);
+  }
+  
+  const sections = routeConfig.sections;
+  if (!Array.isArray(sections) || sections.length === 0) {
+    report('error', null, 'sections', 'needs at least one section');
+    return summarize(issues);
+  }
+  
+  const sectionIds = new Map();  // id → first path
+  const audioUrls = new Map();   // url → first path
+  
+  sections.forEach((section, index) => {
+    const path = `sections[${index}]`;
+    const sectionId = section?.id ?? null;
+    
+    if (!section || typeof section !== 'object') {
+      report('error', null, path, 'section must be an object');
+      return;
+    }
+    
+    // Identity
+    if (typeof section.id !== 'string' || section.id === '') {
+      report('error', null, `${path}.id`, 'missing section id');
+    } else if (sectionIds.has(section.id)) {
+      report('error', sectionId, `${path}.id`, `duplicate section id (also ${sectionIds.get(section.id)})`);
+    } else {
+      sectionIds.set(section.id, `${path}.id`);
+    }
+    if (typeof section.name !== 'string' || section.name === '') {
+      report('warning', sectionId, `${path}.name`, 'missing section name');
+    }
+    
+    validateGeoPath(section.geoPath, `${path}.geoPath`, sectionId, report);
+    validateTransition(section.transition, `${path}.transition`, sectionId, report);
+    validateAudioFiles(section, path, sectionId, audioUrls, report);
+    validateMediaPool(section.mediaPool, `${path}.mediaPool`, sectionId, report);
+  });
+  
+  // Consecutive sections should join up
+  sections.forEach((section, index) => {
+    const next = sections[index + 1];
+    if (!next || !isValidPath(section?.geoPath) || !isValidPath(next.geoPath)) return;
+    
+    const end = section.geoPath[section.geoPath.length - 1];
+    const start = next.geoPath[0];
+    const gap = haversineDistance(end[0], end[1], start[0], start[1]);
+    if (gap > maxSectionGap) {
+      report('warning', next.id, `sections[${index + 1}].geoPath[0]`,
+        `starts ${gap.toFixed(2)} km from the end of ${section.id}`);
+    }
+  });
+  
+  validateCues(routeConfig.cues, sectionIds, report);
+  validatePointsOfInterest(routeConfig.pointsOfInterest, report);
+  validateTransition(routeConfig.audio?.transition, 'audio.transition', null, report);
+  
+  const quality = routeConfig.audio?.quality;
+  if (quality !== undefined && !QUALITY_LEVELS.includes(quality)) {
+    report('error', null, 'audio.quality', `must be 'auto', 'high' or 'low' (got ${quality})`);
+  }
+  
+  return summarize(issues);
+}
+
+/**
+ * Validate a route catalogue: each route, and the playlist
+ * A plain route config is treated as a catalogue with one route.
+ * 
+ * @param {object} catalogue - {routes, playlist, ...shared} or a route config
+ * @param {object} options - See validateRouteConfig
+ * @returns {object} {valid, errors, warnings}; issues also carry `routeId`
+ *   when there is more than one route
+ */
+export function validateRouteCatalogue(catalogue, options = {}) {
+  if (!catalogue?.routes) {
+    return validateRouteConfig(catalogue, options);
+  }
+  
+  const { routes, playlist, ...shared } = catalogue;
+  const issues = [];
+  const report = (level, path, message) => {
+    issues.push({ level, sectionId: null, path, message });
+  };
+  
+  if (!Array.isArray(routes) || routes.length === 0) {
+    report('error', 'routes', 'needs at least one route');
+    return summarize(issues);
+  }
+  
+  const routeIds = new Set();
+  routes.forEach((route, index) => {
+    const path = `routes[${index}]`;
+    if (typeof route?.id !== 'string' || route.id === '') {
+      report('error', `${path}.id`, 'missing route id');
+    } else if (routeIds.has(route.id)) {
+      report('error', `${path}.id`, `duplicate route id: ${route.id}`);
+    } else {
+      routeIds.add(route.id);
+    }
+    
+    // Manifest routes are checked once loaded (see StateManager)
+    if (route?.manifest && !route.sections) {
+      if (typeof route.manifest !== 'string') {
+        report('error', `${path}.manifest`, 'must be a URL');
+      }
+      return;
+    }
+    
+    // Section and audio checks per route, with the route's path and id
+    const result = validateRouteConfig({ ...shared, ...route }, options);
+    [...result.errors, ...result.warnings].forEach(issue => {
+      issues.push({
+        ...issue,
+        routeId: routes.length > 1 ? route?.id ?? null : undefined,
+        path: `${path}.${issue.path}`
+      });
+    });
+  });
+  
+  if (playlist) {
+    if (playlist.policy !== undefined && !['daily', 'weekly', 'manual'].includes(playlist.policy)) {
+      report('error', 'playlist.policy', `must be 'daily', 'weekly' or 'manual' (got ${playlist.policy})`);
+    }
+    (playlist.order || []).forEach((id, index) => {
+      if (!routeIds.has(id)) {
+        report('error', `playlist.order[${index}]`, `unknown route: ${id}`);
+      }
+    });
+    if (playlist.current !== undefined && !routeIds.has(playlist.current)) {
+      report('error', 'playlist.current', `unknown route: ${playlist.current}`);
+    }
+    if (playlist.epoch !== undefined && Number.isNaN(Date.parse(playlist.epoch))) {
+      report('error', 'playlist.epoch', `not a date (got ${playlist.epoch})`);
+    }
+  }
+  
+  return summarize(issues);
+}
+
+/**
+ * Split issues by level
+ * 
+ * @param {Array} issues - All issues
+ * @returns {object} {valid, errors, warnings}
+ */
+function summarize(issues) {
+  const errors = issues.filter(issue => issue.level === 'error');
+  return {
+    valid: errors.length === 0,
+    errors,
+    warnings: issues.filter(issue => issue.level === 'warning')
+  };
+}
+
+/**
+ * Check a section's geoPath: at least two points, each a valid coordinate
+ */
+function validateGeoPath(geoPath, path, sectionId, report) {
+  if (!Array.isArray(geoPath)) {
+    report('error', sectionId, path, 'missing geoPath');
+    return;
+  }
+  if (geoPath.length < 2) {
+    report('error', sectionId, path, `needs at least 2 points (has ${geoPath.length})`);
+  }
+  
+  geoPath.forEach((point, index) => {
+    const pointPath = `${path}[${index}]`;
+    if (!Array.isArray(point) || point.length < 2) {
+      report('error', sectionId, pointPath, 'point must be [lat, lng, altitude?, anchor?]');
+      return;
+    }
+    validateCoordinate(point[0], point[1], pointPath, sectionId, report);
+    
+    if (point[2] !== undefined && point[2] !== null && !Number.isFinite(point[2])) {
+      report('error', sectionId, `${pointPath}[2]`, `altitude must be a number (got ${point[2]})`);
+    }
+  });
+}
+
+/**
+ * Check a section's audio files: present, with unique URLs and positive durations
+ */
+function validateAudioFiles(section, sectionPath, sectionId, audioUrls, report) {
+  const path = `${sectionPath}.audioFiles`;
+  const files = section.audioFiles;
+  
+  if (!Array.isArray(files) || files.length === 0) {
+    report('error', sectionId, path, 'needs at least one audio file');
+    return;
+  }
+  
+  files.forEach((file, index) => {
+    const filePath = `${path}[${index}]`;
+    if (!file || typeof file !== 'object') {
+      report('error', sectionId, filePath, 'audio file must be an object');
+      return;
+    }
+    
+    if (typeof file.url !== 'string' || file.url === '') {
+      report('error', sectionId, `${filePath}.url`, 'missing audio URL');
+    } else if (audioUrls.has(file.url)) {
+      report('error', sectionId, `${filePath}.url`, `duplicate audio URL (also ${audioUrls.get(file.url)})`);
+    } else {
+      audioUrls.set(file.url, `${filePath}.url`);
+    }
+    
+    if (!Number.isFinite(file.duration) || file.duration <= 0) {
+      report('error', sectionId, `${filePath}.duration`, `duration must be a positive number (got ${file.duration})`);
+    }
+    
+    if (file.stream !== undefined && (typeof file.stream !== 'string' || file.stream === '')) {
+      report('error', sectionId, `${filePath}.stream`, 'must be an HLS playlist URL');
+    }
+    if (file.bitrate !== undefined && (!Number.isFinite(file.bitrate) || file.bitrate <= 0)) {
+      report('error', sectionId, `${filePath}.bitrate`, `must be a positive number of kbps (got ${file.bitrate})`);
+    }
+    validateSources(file.sources, `${filePath}.sources`, sectionId, report);
+    
+    if (validateTransition(file.transition, `${filePath}.transition`, sectionId, report)) {
+      const { type, fadeIn } = normalizeTransition(file.transition);
+      if (fadeIn > file.duration / 2) {
+        report('warning', sectionId, `${filePath}.transition`, `${type} is longer than half the track and will be shortened`);
+      }
+    }
+    
+    // Recording anchors: geoPath index or [lat, lng]
+    ['geoStart', 'geoEnd'].forEach(key => {
+      const anchor = file[key];
+      if (anchor === undefined || anchor === null) return;
+      
+      if (typeof anchor === 'number') {
+        const length = Array.isArray(section.geoPath) ? section.geoPath.length : 0;
+        if (!Number.isInteger(anchor) || anchor < 0 || anchor >= length) {
+          report('error', sectionId, `${filePath}.${key}`, `geoPath index out of range (0–${length - 1})`);
+        }
+      } else if (Array.isArray(anchor)) {
+        validateCoordinate(anchor[0], anchor[1], `${filePath}.${key}`, sectionId, report);
+      } else {
+        report('error', sectionId, `${filePath}.${key}`, 'must be a geoPath index or [lat, lng]');
+      }
+    });
+  });
+}
+
+/**
+ * Check an audio file's alternative sources: each with a URL, MIME type and bitrate (kbps)
+ */
+function validateSources(sources, path, sectionId, report) {
+  if (sources === undefined) return;
+  if (!Array.isArray(sources)) {
+    report('error', sectionId, path, 'must be a list of {url, type, bitrate}');
+    return;
+  }
+  
+  sources.forEach((source, index) => {
+    const sourcePath = `${path}[${index}]`;
+    if (typeof source?.url !== 'string' || source.url === '') {
+      report('error', sectionId, `${sourcePath}.url`, 'missing source URL');
+    }
+    if (typeof source?.type !== 'string' || !source.type.startsWith('audio/')) {
+      report('error', sectionId, `${sourcePath}.type`, `must be an audio MIME type (got ${source?.type})`);
+    }
+    if (!Number.isFinite(source?.bitrate) || source.bitrate <= 0) {
+      report('warning', sectionId, `${sourcePath}.bitrate`, 'no bitrate (kbps): measured bandwidth never selects it');
+    }
+  });
+}
+
+/**
+ * Check a transition: 'gapless', or a crossfade or fade with durations in seconds
+ * 
+ * @returns {boolean} Whether a valid transition is set
+ */
+function validateTransition(transition, path, sectionId, report) {
+  if (transition === undefined || transition === null) return false;
+  
+  const type = typeof transition === 'string' ? transition : transition?.type;
+  if (!TRANSITION_TYPES.includes(type)) {
+    report('error', sectionId, path, `unknown transition ${JSON.stringify(type)} (use ${TRANSITION_TYPES.join(', ')})`);
+    return false;
+  }
+  
+  let valid = true;
+  if (typeof transition === 'object') {
+    ['duration', 'fadeOut', 'fadeIn'].forEach(key => {
+      const value = transition[key];
+      if (value !== undefined && (!Number.isFinite(value) || value < 0)) {
+        report('error', sectionId, `${path}.${key}`, `must be a number of seconds (got ${value})`);
+        valid = false;
+      }
+    });
+  }
+  return valid;
+}
+
+/**
+ * Check a section's media pool: video and image lists, not both empty
+ */
+function validateMediaPool(mediaPool, path, sectionId, report) {
+  if (!mediaPool || typeof mediaPool !== 'object') {
+    report('error', sectionId, path, 'missing mediaPool {videos, images}');
+    return;
+  }
+  
+  const seen = new Map();
+  let count = 0;
+  ['videos', 'images'].forEach(key => {
+    const urls = mediaPool[key];
+    if (!Array.isArray(urls)) {
+      report('error', sectionId, `${path}.${key}`, 'must be an array of URLs');
+      return;
+    }
+    
+    urls.forEach((url, index) => {
+      const urlPath = `${path}.${key}[${index}]`;
+      if (typeof url !== 'string' || url === '') {
+        report('error', sectionId, urlPath, 'missing media URL');
+      } else if (seen.has(url)) {
+        report('warning', sectionId, urlPath, `duplicate media URL (also ${seen.get(url)})`);
+      } else {
+        seen.set(url, urlPath);
+        count++;
+      }
+    });
+  });
+  
+  if (count === 0) {
+    report('error', sectionId, path, 'media pool is empty');
+  }
+}
+
+/**
+ * Check cue points: a type, and a position or a known sectionId
+ */
+function validateCues(cues, sectionIds, report) {
+  if (cues === undefined) return;
+  if (!Array.isArray(cues)) {
+    report('error', null, 'cues', 'must be an array');
+    return;
+  }
+  
+  cues.forEach((cue, index) => {
+    const path = `cues[${index}]`;
+    if (!cue || typeof cue.type !== 'string') {
+      report('error', null, `${path}.type`, 'missing cue type');
+      return;
+    }
+    if (cue.sectionId !== undefined) {
+      if (!sectionIds.has(cue.sectionId)) {
+        report('error', null, `${path}.sectionId`, `unknown section: ${cue.sectionId}`);
+      }
+    } else if (!Number.isFinite(cue.position) || cue.position < 0) {
+      report('error', null, `${path}.position`, 'needs a position or sectionId');
+    }
+  });
+}
+
+/**
+ * Check points of interest: name, valid coordinate, positive radius, unique id
+ */
+function validatePointsOfInterest(pointsOfInterest, report) {
+  if (pointsOfInterest === undefined) return;
+  if (!Array.isArray(pointsOfInterest)) {
+    report('error', null, 'pointsOfInterest', 'must be an array');
+    return;
+  }
+  
+  const ids = new Map();
+  pointsOfInterest.forEach((poi, index) => {
+    const path = `pointsOfInterest[${index}]`;
+    if (!poi || typeof poi !== 'object') {
+      report('error', null, path, 'point of interest must be an object');
+      return;
+    }
+    
+    if (typeof poi.name !== 'string' || poi.name === '') {
+      report('error', null, `${path}.name`, 'missing name');
+    }
+    if (poi.id !== undefined) {
+      if (ids.has(poi.id)) {
+        report('error', null, `${path}.id`, `duplicate id (also ${ids.get(poi.id)})`);
+      } else {
+        ids.set(poi.id, `${path}.id`);
+      }
+    }
+    validateCoordinate(poi.latitude, poi.longitude, path, null, report);
+    if (poi.radius !== undefined && (!Number.isFinite(poi.radius) || poi.radius <= 0)) {
+      report('error', null, `${path}.radius`, `radius must be a positive number of metres (got ${poi.radius})`);
+    }
+  });
+}
+
+/**
+ * Check a latitude/longitude pair is numeric and in range
+ */
+function validateCoordinate(lat, lng, path, sectionId, report) {
+  if (!Number.isFinite(lat) || lat < -90 || lat > 90) {
+    report('error', sectionId, path, `latitude out of range (got ${lat})`);
+  }
+  if (!Number.isFinite(lng) || lng < -180 || lng > 180) {
+    report('error', sectionId, path, `longitude out of range (got ${lng})`);
+  }
+}
+
+/**
+ * Check a geoPath has at least two valid coordinates at its ends
+ */
+function isValidPath(geoPath) {
+  if (!Array.isArray(geoPath) || geoPath.length < 2) return false;
+  const first = geoPath[0];
+  const last = geoPath[geoPath.length - 1];
+  return [first, last].every(point =>
+    Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])
+  );
+}
+
+/**
+ * Haversine distance between two lat/lng points (in kilometers)
+ */
+function haversineDistance(lat1, lng1, lat2, lng2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLng / 2) * Math.sin(dLng / 2);
+  
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Format an issue as a single line
+ * 
+ * @param {object} issue - {level, routeId, sectionId, path, message}
+ * @returns {string} e.g. "error [section_2] sections[1].audioFiles[0].duration: ..."
+ */
+export function formatIssue(issue) {
+  const where = [issue.routeId, issue.sectionId].filter(Boolean).join('/');
+  return `${issue.level}${where ? ` [${where}]` : ''} ${issue.path}: ${issue.message}`;
+}
@@ -0,0 +1,208 @@
+/**
+ * HLS
+ * 
+ * Reads and writes the HLS playlists of an audio stream, and cuts MP3
+ * files into HLS segments ("packed audio": plain MP3 frames after an ID3
+ * tag with the segment's timestamp). Used by HlsSource in the browser and
+ * by tools/segment-audio.mjs in Node.
+ * 
+ * LAYOUT (as written by tools/segment-audio.mjs):
+ *   track_09/master.m3u8           one variant per bitrate
+ *   track_09/128k/index.m3u8       media playlist (#EXTINF per segment)
+ *   track_09/128k/segment_00000.mp3
+ * Every variant of a file is cut at the same frames, so segment N starts at
+ * the same time in all of them and playback can switch between them.
+ */
+
+import { indexAudioFile } from './audio-metadata.js';
+
+export const MP3_CODEC = 'mp4a.40.34'; // MP3 in an HLS CODECS attribute
+
+const TIMESTAMP_OWNER = 'com.apple.streaming.transportStreamTimestamp';
+
+/**
+ * Parse a master playlist
+ * A media playlist given instead becomes the only variant.
+ * 
+ * @param {string} text - Playlist text
+ * @param {string} baseUrl - Absolute URL of the playlist (URIs resolve against it)
+ * @returns {Array} [{url, bandwidth, averageBandwidth, codecs}], lowest bandwidth first
+ */
+export function parseMasterPlaylist(text, baseUrl) {
+  const lines = readLines(text);
+  if (lines.some(line => line.startsWith('#EXTINF:'))) {
+    return [{ url: baseUrl, bandwidth: 0, averageBandwidth: 0, codecs: null }];
+  }
+  
+  const variants = [];
+  lines.forEach((line, index) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) return;
+    const uri = lines.slice(index + 1).find(next => !next.startsWith('#'));
+    if (!uri) return;
+    
+    const attributes = readAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    variants.push({
+      url: new URL(uri, baseUrl).href,
+      bandwidth: Number(attributes.BANDWIDTH) || 0,
+      averageBandwidth: Number(attributes['AVERAGE-BANDWIDTH']) || Number(attributes.BANDWIDTH) || 0,
+      codecs: attributes.CODECS || null
+    });
+  });
+  
+  if (variants.length === 0) {
+    throw new Error(`No variants in playlist ${baseUrl}`);
+  }
+  return variants.sort((a, b) => a.bandwidth - b.bandwidth);
+}
+
+/**
+ * Parse a media playlist
+ * 
+ * @param {string} text - Playlist text
+ * @param {string} baseUrl - Absolute URL of the playlist (URIs resolve against it)
+ * @returns {object} {segments: [{url, start, duration}], duration, ended}
+ */
+export function parseMediaPlaylist(text, baseUrl) {
+  const segments = [];
+  let start = 0;
+  let duration = null;
+  
+  readLines(text).forEach(line => {
+    if (line.startsWith('#EXTINF:')) {
+      duration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (!line.startsWith('#') && duration !== null) {
+      segments.push({ url: new URL(line, baseUrl).href, start, duration });
+      start += duration;
+      duration = null;
+    }
+  });
+  
+  if (segments.length === 0) {
+    throw new Error(`No segments in playlist ${baseUrl}`);
+  }
+  return {
+    segments,
+    duration: start,
+    ended: text.includes('#EXT-X-ENDLIST')
+  };
+}
+
+/**
+ * Write a master playlist
+ * 
+ * @param {Array} variants - [{uri, bandwidth, averageBandwidth, codecs}]
+ * @returns {string} Playlist text
+ */
+export function formatMasterPlaylist(variants) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  variants.forEach(variant => {
+    const attributes = [`BANDWIDTH=${Math.ceil(variant.bandwidth)}`];
+    if (variant.averageBandwidth) {
+      attributes.push(`AVERAGE-BANDWIDTH=${Math.ceil(variant.averageBandwidth)}`);
+    }
+    attributes.push(`CODECS="${variant.codecs || MP3_CODEC}"`);
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, variant.uri);
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write a (complete, on-demand) media playlist
+ * 
+ * @param {Array} segments - [{uri, duration}]
+ * @returns {string} Playlist text
+ */
+export function formatMediaPlaylist(segments) {
+  const targetDuration = Math.ceil(Math.max(...segments.map(segment => segment.duration)));
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  segments.forEach(segment => {
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, segment.uri);
+  });
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Cut an MP3 file into segments of whole frames
+ * Times are frame times: the encoder delay (~25 ms) is not trimmed.
+ * 
+ * @param {Uint8Array} bytes - The whole MP3 file
+ * @param {number} segmentDuration - Target seconds per segment
+ * @returns {Array} [{bytes, start, duration}] (bytes start with the ID3 timestamp tag)
+ */
+export function segmentMp3(bytes, segmentDuration) {
+  const index = indexAudioFile(bytes);
+  if (index?.format !== 'mp3') {
+    throw new Error('Not an MP3 file');
+  }
+  
+  const { frameOffsets, samplesPerFrame, sampleRate } = index;
+  const framesPerSegment = Math.max(1, Math.round(segmentDuration * sampleRate / samplesPerFrame));
+  const segments = [];
+  
+  for (let first = 0; first < frameOffsets.length; first += framesPerSegment) {
+    const last = Math.min(first + framesPerSegment, frameOffsets.length);
+    const end = last < frameOffsets.length ? frameOffsets[last] : index.endOffset;
+    const start = first * samplesPerFrame / sampleRate;
+    const frames = bytes.subarray(frameOffsets[first], end);
+    
+    const tag = timestampTag(start);
+    const segment = new Uint8Array(tag.length + frames.length);
+    segment.set(tag);
+    segment.set(frames, tag.length);
+    
+    segments.push({
+      bytes: segment,
+      start,
+      duration: (last - first) * samplesPerFrame / sampleRate
+    });
+  }
+  return segments;
+}
+
+/**
+ * ID3v2.4 tag with the segment's start as a 90 kHz timestamp (required
+ * by HLS for packed audio)
+ */
+function timestampTag(seconds) {
+  const owner = new TextEncoder().encode(TIMESTAMP_OWNER);
+  const frameSize = owner.length + 1 + 8;
+  const tag = new Uint8Array(10 + 10 + frameSize);
+  const view = new DataView(tag.buffer);
+  
+  tag.set([0x49, 0x44, 0x33, 4, 0, 0]); // "ID3", version 2.4, no flags
+  view.setUint32(6, 10 + frameSize);    // Sizes are syncsafe, and these stay below 128
+  tag.set([0x50, 0x52, 0x49, 0x56], 10); // "PRIV"
+  view.setUint32(14, frameSize);
+  tag.set(owner, 20);
+  
+  // 33-bit timestamp in the last 8 bytes (after the owner's terminating zero)
+  const ticks = Math.round(seconds * 90000) % 2 ** 33;
+  view.setUint32(tag.length - 8, Math.floor(ticks / 2 ** 32));
+  view.setUint32(tag.length - 4, ticks % 2 ** 32);
+  return tag;
+}
+
+/**
+ * Non-empty, trimmed playlist lines
+ */
+function readLines(text) {
+  return text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Read an attribute list: BANDWIDTH=128000,CODECS="mp4a.40.34"
+ */
+function readAttributes(list) {
+  const attributes = {};
+  for (const [, name, value] of list.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attributes[name] = value.replace(/^"|"$/g, '');
+  }
+  return attributes;
+}
@@ -0,0 +1,26 @@
+/**
+ * RUN POOL
+ * 
+ * Runs an async worker over a list with a cap on how many run at once, so
+ * a route's files or an audio check don't open hundreds of requests in
+ * one go. Used by RouteLoader and the audio duration check.
+ */
+
+/**
+ * Run an async worker over items, at most `concurrency` at a time
+ * Items are started in order; the first failure rejects.
+ * 
+ * @param {Array} items - Items to work on
+ * @param {number} concurrency - Workers in flight at most
+ * @param {Function} worker - async (item) => void
+ * @returns {Promise} Resolves once every item is done
+ */
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
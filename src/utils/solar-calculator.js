@@ -0,0 +1,149 @@
+/**
+ * SOLAR CALCULATOR UTILITY
+ * 
+ * Computes sun position and daily solar events (sunrise, solar noon, sunset)
+ * for a geographic coordinate. Used by the timeline's solar mapping mode so
+ * that sections recorded at dawn play at dawn.
+ * 
+ * Based on the astronomical formulas from https://aa.quae.nl/en/reken/zonpositie.html
+ * (the same approach used by SunCalc). Accuracy is about one minute,
+ * which is plenty for mapping day phases to route sections.
+ * 
+ * HIGH LATITUDES:
+ * Near and above the Arctic Circle the sun may not set (midnight sun) or not
+ * rise (polar night). In those cases sunrise/sunset are null and `condition`
+ * tells which of the two applies.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const OBLIQUITY = RAD * 23.4397; // Obliquity of the Earth's axis
+const SUNRISE_ALTITUDE = -0.833; // Degrees: accounts for refraction and the sun's disc
+
+function toJulian(date) {
+  return date.getTime() / DAY_MS - 0.5 + J1970;
+}
+
+function fromJulian(julian) {
+  return new Date((julian + 0.5 - J1970) * DAY_MS);
+}
+
+function toDays(date) {
+  return toJulian(date) - J2000;
+}
+
+function solarMeanAnomaly(days) {
+  return RAD * (357.5291 + 0.98560028 * days);
+}
+
+function eclipticLongitude(meanAnomaly) {
+  const M = meanAnomaly;
+  const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = RAD * 102.9372;
+  return M + center + perihelion + Math.PI;
+}
+
+function declination(longitude) {
+  return Math.asin(Math.sin(OBLIQUITY) * Math.sin(longitude));
+}
+
+function rightAscension(longitude) {
+  return Math.atan2(Math.sin(longitude) * Math.cos(OBLIQUITY), Math.cos(longitude));
+}
+
+function siderealTime(days, lw) {
+  return RAD * (280.16 + 360.9856235 * days) - lw;
+}
+
+/**
+ * Get sun altitude and azimuth at a given instant and place
+ * 
+ * @param {Date} date - Instant
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {object} {altitude, azimuth} in degrees (azimuth clockwise from north)
+ */
+export function getSunPosition(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const days = toDays(date);
+  
+  const L = eclipticLongitude(solarMeanAnomaly(days));
+  const dec = declination(L);
+  const hourAngle = siderealTime(days, lw) - rightAscension(L);
+  
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(dec) +
+    Math.cos(phi) * Math.cos(dec) * Math.cos(hourAngle)
+  );
+  const azimuth = Math.atan2(
+    Math.sin(hourAngle),
+    Math.cos(hourAngle) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+  );
+  
+  return {
+    altitude: altitude / RAD,
+    azimuth: (azimuth / RAD + 180) % 360
+  };
+}
+
+/**
+ * Get solar events for the solar day containing a given instant
+ * 
+ * @param {Date} date - Any instant within the day of interest
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees (east positive)
+ * @returns {object} {solarMidnight, sunrise, solarNoon, sunset, dayLength, condition}
+ *   - solarMidnight: nadir preceding solar noon
+ *   - sunrise/sunset: null during midnight sun or polar night
+ *   - dayLength: seconds the sun is above the horizon
+ *   - condition: 'normal' | 'midnight-sun' | 'polar-night'
+ */
+export function getSolarTimes(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const days = toDays(date);
+  
+  // Approximate solar transit for this day, then refine with equation of time
+  const cycle = Math.round(days - 0.0009 - lw / (2 * Math.PI));
+  const approxTransit = 0.0009 + lw / (2 * Math.PI) + cycle;
+  
+  const M = solarMeanAnomaly(approxTransit);
+  const L = eclipticLongitude(M);
+  const dec = declination(L);
+  
+  const julianNoon = J2000 + approxTransit + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+  
+  const result = {
+    solarMidnight: fromJulian(julianNoon - 0.5),
+    sunrise: null,
+    solarNoon: fromJulian(julianNoon),
+    sunset: null,
+    dayLength: 0,
+    condition: 'normal'
+  };
+  
+  // Hour angle at which the sun crosses the horizon
+  const cosHourAngle =
+    (Math.sin(RAD * SUNRISE_ALTITUDE) - Math.sin(phi) * Math.sin(dec)) /
+    (Math.cos(phi) * Math.cos(dec));
+  
+  if (cosHourAngle < -1) {
+    result.condition = 'midnight-sun';
+    result.dayLength = DAY_MS / 1000;
+    return result;
+  }
+  if (cosHourAngle > 1) {
+    result.condition = 'polar-night';
+    return result;
+  }
+  
+  const halfDay = Math.acos(cosHourAngle) / (2 * Math.PI); // Fraction of a day
+  result.sunrise = fromJulian(julianNoon - halfDay);
+  result.sunset = fromJulian(julianNoon + halfDay);
+  result.dayLength = (result.sunset - result.sunrise) / 1000;
+  
+  return result;
+}
@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+/**
+ * EXPORT ROUTE
+ * 
+ * Writes src/data/route-config.js out as a JSON route manifest with one
+ * geometry file and one media manifest per section, for loading at
+ * runtime (see src/systems/route-loader.js).
+ * 
+ * USAGE:
+ *   node tools/export-route.mjs [options]
+ * 
+ * OPTIONS:
+ *   --out <dir>         Output directory (default: public/routes/<id>)
+ *   --id <id>           Route id (default: ring-road)
+ *   --name <name>       Route name (default: Ring Road)
+ *   --format <format>   'geojson' (default) or 'polyline'
+ *   --precision <n>     Polyline decimal places (default: 5)
+ * 
+ * Polylines carry altitude as a third dimension; time anchors need GeoJSON.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { routeConfig } from '../src/data/route-config.js';
+import { encodePolyline } from '../src/systems/route-loader.js';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const id = getArg('id', 'ring-road');
+const name = getArg('name', 'Ring Road');
+const format = getArg('format', 'geojson');
+const precision = Number(getArg('precision', 5));
+const outDir = getArg('out', path.join('public', 'routes', id));
+
+if (!['geojson', 'polyline'].includes(format)) {
+  process.stderr.write(`Unknown format: ${format} (use geojson or polyline)\n`);
+  process.exit(1);
+}
+
+fs.mkdirSync(outDir, { recursive: true });
+
+const writeFile = (fileName, content) => {
+  fs.writeFileSync(path.join(outDir, fileName), content);
+  process.stderr.write(`  ${fileName} (${(Buffer.byteLength(content) / 1024).toFixed(1)} KB)\n`);
+};
+
+process.stderr.write(`Exporting ${routeConfig.sections.length} sections to ${outDir}...\n`);
+
+const sections = routeConfig.sections.map(({ geoPath, mediaPool, ...section }) => {
+  const hasAltitude = geoPath.some(point => typeof point[2] === 'number');
+  const hasAnchors = geoPath.some(point => point[3] !== undefined && point[3] !== null);
+  let geometry;
+  
+  if (format === 'polyline') {
+    if (hasAnchors) {
+      process.stderr.write(`  Warning: ${section.id} has time anchors, which polylines don't keep\n`);
+    }
+    geometry = {
+      url: `${section.id}.polyline`,
+      format: 'polyline',
+      precision,
+      dimensions: hasAltitude ? 3 : 2
+    };
+    writeFile(geometry.url, encodePolyline(geoPath, precision, geometry.dimensions));
+  } else {
+    geometry = `${section.id}.geojson`;
+    const feature = {
+      type: 'Feature',
+      properties: hasAnchors ? { anchors: geoPath.map(point => point[3] ?? null) } : {},
+      geometry: {
+        type: 'LineString',
+        coordinates: geoPath.map(([lat, lng, altitude]) =>
+          typeof altitude === 'number' ? [lng, lat, altitude] : [lng, lat]
+        )
+      }
+    };
+    writeFile(geometry, JSON.stringify(feature));
+  }
+  
+  const media = `${section.id}.media.json`;
+  writeFile(media, JSON.stringify(mediaPool, null, 2));
+  
+  return { ...section, geometry, media };
+});
+
+const manifest = {
+  id,
+  name,
+  sections,
+  cues: routeConfig.cues || [],
+  pointsOfInterest: routeConfig.pointsOfInterest || []
+};
+writeFile('manifest.json', JSON.stringify(manifest, null, 2));
+
+process.stderr.write(
+  `Done. Serve ${outDir} and add { id: '${id}', name: '${name}', manifest: '<its URL>/manifest.json' }\n` +
+  'to the route catalogue.\n'
+);
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * MEASURE DURATIONS
+ * 
+ * Measures every audio file of a route config and compares it with the
+ * hand-entered `duration` (see src/utils/audio-durations.js). With --write
+ * the measured durations replace the configured ones in the config file.
+ * Exits with status 1 if a file is off by more than the tolerance (unless
+ * written back) or could not be measured.
+ * 
+ * USAGE:
+ *   node tools/measure-durations.mjs [options]
+ * 
+ * OPTIONS:
+ *   --config <file>     Route config module or JSON route manifest
+ *                       (default: src/data/route-config.js)
+ *   --root <dir>        Directory audio URLs resolve against (default: .)
+ *   --strip <prefix>    URL prefix to drop before resolving (default: /iceland/)
+ *   --base-url <url>    Measure over HTTP with range requests instead of from disk
+ *   --tolerance <sec>   Allowed difference (default: 0.5)
+ *   --decimals <n>      Decimals written back (default: 2)
+ *   --write             Write the measured durations into the config file
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseAudioDuration } from '../src/utils/audio-metadata.js';
+import {
+  probeHeaderDuration,
+  verifyAudioDurations,
+  formatDurationCheck
+} from '../src/utils/audio-durations.js';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const configFile = getArg('config', 'src/data/route-config.js');
+const root = getArg('root', '.');
+const strip = getArg('strip', '/iceland/');
+const baseUrl = getArg('base-url', null);
+const tolerance = Number(getArg('tolerance', 0.5));
+const decimals = Number(getArg('decimals', 2));
+const write = process.argv.includes('--write');
+
+const isJson = configFile.endsWith('.json');
+const source = fs.readFileSync(configFile, 'utf8');
+const routeConfig = isJson
+  ? JSON.parse(source)
+  : Object.values(await import(pathToFileURL(path.resolve(configFile)).href))
+    .find(value => Array.isArray(value?.sections));
+
+if (!routeConfig) {
+  process.stderr.write(`No route config (an object with sections) exported by ${configFile}\n`);
+  process.exit(1);
+}
+
+/**
+ * Measure a file on disk (the whole file, so unheadered VBR MP3s are exact)
+ */
+function probeFile(url) {
+  const relative = url.startsWith(strip) ? url.slice(strip.length) : url.replace(/^\//, '');
+  const file = path.join(root, relative);
+  const bytes = new Uint8Array(fs.readFileSync(file));
+  const duration = parseAudioDuration(bytes);
+  if (duration === null) {
+    throw new Error(`Unsupported audio format: ${file}`);
+  }
+  return duration;
+}
+
+const probe = baseUrl
+  ? (url) => probeHeaderDuration(new URL(url, baseUrl).href)
+  : async (url) => probeFile(url);
+
+process.stderr.write(`Measuring audio files from ${baseUrl || path.resolve(root)}...\n`);
+const { files, mismatches, failures } = await verifyAudioDurations(routeConfig, {
+  probe,
+  tolerance,
+  // One file at a time from disk: they are read whole
+  concurrency: baseUrl ? 4 : 1
+});
+
+files.forEach(file => {
+  const marker = file.status === 'ok' ? '  ' : file.status === 'mismatch' ? '! ' : 'x ';
+  process.stdout.write(`${marker}${formatDurationCheck(file)}\n`);
+});
+
+const total = (key) => files.reduce((sum, file) => sum + (file[key] || 0), 0);
+process.stderr.write(
+  `${files.length} file(s): ${mismatches.length} mismatch(es), ${failures.length} not measured; ` +
+  `configured ${total('configured').toFixed(0)}s, measured ${total('measured').toFixed(2)}s\n`
+);
+
+if (write) {
+  const factor = 10 ** decimals;
+  const updates = files
+    .filter(file => file.status !== 'failed')
+    .map(file => ({ ...file, duration: Math.round(file.measured * factor) / factor }))
+    .filter(file => file.duration !== file.configured);
+  
+  let output = source;
+  if (isJson) {
+    const durations = new Map(updates.map(file => [file.url, file.duration]));
+    routeConfig.sections.forEach(section => {
+      (section.audioFiles || []).forEach(file => {
+        if (durations.has(file.url)) file.duration = durations.get(file.url);
+      });
+    });
+    output = `${JSON.stringify(routeConfig, null, 2)}\n`;
+  } else {
+    // Rewrite `url: '...', duration: N` in place, keeping the file's formatting
+    updates.forEach(file => {
+      const url = file.url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(url:\\s*['"]${url}['"],\\s*duration:\\s*)[\\d.]+`);
+      if (pattern.test(output)) {
+        output = output.replace(pattern, `$1${file.duration}`);
+      } else {
+        process.stderr.write(`  Could not find the duration of ${file.url} in ${configFile}\n`);
+      }
+    });
+  }
+  
+  fs.writeFileSync(configFile, output);
+  process.stderr.write(`Wrote ${updates.length} duration(s) to ${configFile}\n`);
+}
+
+if (failures.length > 0 || (!write && mismatches.length > 0)) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+/**
+ * SEGMENT AUDIO
+ * 
+ * Cuts every MP3 of a route config into an HLS stream for local hosting
+ * (see src/utils/hls.js and src/systems/hls-source.js). Next to each file:
+ *   section1/track_01.mp3
+ *   section1/hls/track_01/master.m3u8
+ *   section1/hls/track_01/source/index.m3u8, segment_00000.mp3, ...
+ *   section1/hls/track_01/64k/...      (with --bitrates 64)
+ * The `source` variant is the file's own frames, cut without re-encoding;
+ * --bitrates adds variants re-encoded with ffmpeg (libmp3lame, at the
+ * file's sample rate so every variant is cut at the same times).
+ * With --write each audio file gets its `stream` URL in the config file.
+ * 
+ * USAGE:
+ *   node tools/segment-audio.mjs [options]
+ * 
+ * OPTIONS:
+ *   --config <file>     Route config module or JSON route manifest
+ *                       (default: src/data/route-config.js)
+ *   --root <dir>        Directory audio URLs resolve against (default: .)
+ *   --strip <prefix>    URL prefix to drop before resolving (default: /iceland/)
+ *   --segment <sec>     Segment duration (default: 10)
+ *   --bitrates <kbps>   Extra variants, comma-separated (e.g. 64,128; needs ffmpeg)
+ *   --ffmpeg <path>     ffmpeg executable (default: ffmpeg)
+ *   --write             Write the `stream` URLs into the config file
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { pathToFileURL } from 'node:url';
+import { indexAudioFile } from '../src/utils/audio-metadata.js';
+import { segmentMp3, formatMasterPlaylist, formatMediaPlaylist } from '../src/utils/hls.js';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const configFile = getArg('config', 'src/data/route-config.js');
+const root = getArg('root', '.');
+const strip = getArg('strip', '/iceland/');
+const segmentDuration = Number(getArg('segment', 10));
+const bitrates = (getArg('bitrates', '') || '').split(',').filter(Boolean).map(Number);
+const ffmpeg = getArg('ffmpeg', 'ffmpeg');
+const write = process.argv.includes('--write');
+
+if (!(segmentDuration > 0) || bitrates.some(kbps => !(kbps > 0))) {
+  process.stderr.write('--segment and --bitrates must be positive numbers\n');
+  process.exit(1);
+}
+
+const isJson = configFile.endsWith('.json');
+const source = fs.readFileSync(configFile, 'utf8');
+const routeConfig = isJson
+  ? JSON.parse(source)
+  : Object.values(await import(pathToFileURL(path.resolve(configFile)).href))
+    .find(value => Array.isArray(value?.sections));
+
+if (!routeConfig) {
+  process.stderr.write(`No route config (an object with sections) exported by ${configFile}\n`);
+  process.exit(1);
+}
+
+/**
+ * Path on disk of an audio URL
+ */
+function resolveFile(url) {
+  const relative = url.startsWith(strip) ? url.slice(strip.length) : url.replace(/^\//, '');
+  return path.join(root, relative);
+}
+
+/**
+ * Re-encode an MP3 at a bitrate and sample rate with ffmpeg
+ */
+function encode(input, output, kbps, sampleRate) {
+  const result = spawnSync(ffmpeg, [
+    '-y', '-v', 'error', '-i', input,
+    '-map', '0:a', '-c:a', 'libmp3lame', '-b:a', `${kbps}k`, '-ar', String(sampleRate),
+    output
+  ], { stdio: ['ignore', 'ignore', 'pipe'] });
+  if (result.error || result.status !== 0) {
+    throw new Error(`ffmpeg failed: ${result.error?.message || result.stderr.toString().trim()}`);
+  }
+}
+
+/**
+ * Cut one variant into its directory and write its media playlist
+ * 
+ * @returns {object} Master playlist entry {uri, bandwidth, averageBandwidth}
+ */
+function writeVariant(bytes, directory, name) {
+  const variantDir = path.join(directory, name);
+  fs.rmSync(variantDir, { recursive: true, force: true });
+  fs.mkdirSync(variantDir, { recursive: true });
+  
+  const segments = segmentMp3(bytes, segmentDuration).map((segment, index) => {
+    const uri = `segment_${String(index).padStart(5, '0')}.mp3`;
+    fs.writeFileSync(path.join(variantDir, uri), segment.bytes);
+    return { ...segment, uri };
+  });
+  fs.writeFileSync(path.join(variantDir, 'index.m3u8'), formatMediaPlaylist(segments));
+  
+  const rate = (segment) => segment.bytes.length * 8 / segment.duration;
+  const totalBytes = segments.reduce((sum, segment) => sum + segment.bytes.length, 0);
+  const totalDuration = segments.reduce((sum, segment) => sum + segment.duration, 0);
+  return {
+    uri: `${name}/index.m3u8`,
+    bandwidth: Math.max(...segments.map(rate)),
+    averageBandwidth: totalBytes * 8 / totalDuration,
+    segments: segments.length
+  };
+}
+
+const files = [];
+routeConfig.sections.forEach(section => {
+  (section.audioFiles || []).forEach(file => files.push(file));
+});
+
+process.stderr.write(`Segmenting ${files.length} audio file(s) into ${segmentDuration}s segments...\n`);
+const streams = new Map(); // url → stream URL
+let failures = 0;
+
+for (const file of files) {
+  try {
+    const input = resolveFile(file.url);
+    const bytes = new Uint8Array(fs.readFileSync(input));
+    const index = indexAudioFile(bytes);
+    if (index?.format !== 'mp3') {
+      throw new Error('not an MP3 file');
+    }
+    
+    const name = path.basename(input, path.extname(input));
+    const directory = path.join(path.dirname(input), 'hls', name);
+    const variants = [writeVariant(bytes, directory, 'source')];
+    
+    for (const kbps of bitrates) {
+      const encoded = path.join(directory, `encode_${kbps}k.mp3`);
+      encode(input, encoded, kbps, index.sampleRate);
+      variants.push(writeVariant(new Uint8Array(fs.readFileSync(encoded)), directory, `${kbps}k`));
+      fs.rmSync(encoded);
+    }
+    
+    variants.sort((a, b) => a.bandwidth - b.bandwidth);
+    fs.writeFileSync(path.join(directory, 'master.m3u8'), formatMasterPlaylist(variants));
+    
+    const stream = `${path.posix.dirname(file.url)}/hls/${name}/master.m3u8`;
+    streams.set(file.url, stream);
+    const summary = variants
+      .map(variant => `${Math.round(variant.averageBandwidth / 1000)} kbps`)
+      .join(', ');
+    process.stdout.write(`  ${file.url}: ${variants[0].segments} segment(s) × ${variants.length} variant(s) (${summary})\n`);
+  } catch (error) {
+    failures++;
+    process.stdout.write(`x ${file.url}: ${error.message}\n`);
+  }
+}
+
+process.stderr.write(`${streams.size} file(s) segmented, ${failures} failed\n`);
+
+if (write) {
+  let output = source;
+  if (isJson) {
+    routeConfig.sections.forEach(section => {
+      (section.audioFiles || []).forEach(file => {
+        if (streams.has(file.url)) file.stream = streams.get(file.url);
+      });
+    });
+    output = `${JSON.stringify(routeConfig, null, 2)}\n`;
+  } else {
+    // Add (or replace) `stream: '...'` after `url: '...', duration: N`, keeping the file's formatting
+    streams.forEach((stream, url) => {
+      const escaped = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(url:\\s*['"]${escaped}['"],\\s*duration:\\s*[\\d.]+)(,\\s*stream:\\s*['"][^'"]*['"])?`);
+      if (pattern.test(output)) {
+        output = output.replace(pattern, `$1, stream: '${stream}'`);
+      } else {
+        process.stderr.write(`  Could not find ${url} in ${configFile}\n`);
+      }
+    });
+  }
+  
+  fs.writeFileSync(configFile, output);
+  process.stderr.write(`Wrote ${streams.size} stream URL(s) to ${configFile}\n`);
+}
+
+if (failures > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * SIMULATE
+ * 
+ * Runs the whole installation headlessly on a virtual clock and writes a
+ * log of every transition (one JSON object per line).
+ * 
+ * USAGE:
+ *   node tools/simulate.mjs [options]
+ * 
+ * OPTIONS:
+ *   --start <iso>       Simulated start time (default: now)
+ *   --duration <sec>    Simulated seconds to run (default: 14400, one 4h loop)
+ *   --speed <x>         Run at x times real time (default: 0 = as fast as possible)
+ *   --update-rate <hz>  Timeline updates per simulated second (default: 1)
+ *   --out <file>        Log file (default: simulation-log.jsonl)
+ *   --verbose           Keep the systems' console output
+ */
+
+import fs from 'node:fs';
+import { routeCatalogue } from '../src/data/route-catalogue.js';
+import { runSimulation } from '../src/simulation/simulation.js';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const options = {
+  routeConfig: routeCatalogue,
+  startTime: getArg('start', new Date().toISOString()),
+  duration: Number(getArg('duration', 14400)),
+  rate: Number(getArg('speed', 0)),
+  updateRate: Number(getArg('update-rate', 1))
+};
+const outFile = getArg('out', 'simulation-log.jsonl');
+
+// The systems log a lot; keep only errors unless asked
+if (!process.argv.includes('--verbose')) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+
+const out = fs.createWriteStream(outFile);
+const counts = {};
+
+process.stderr.write(`Simulating ${options.duration}s from ${options.startTime}...\n`);
+
+runSimulation({
+  ...options,
+  onTransition: (entry) => {
+    out.write(JSON.stringify(entry) + '\n');
+    counts[entry.type] = (counts[entry.type] || 0) + 1;
+  }
+})
+  .then(() => {
+    out.end();
+    process.stderr.write(`Wrote ${outFile}\n`);
+    Object.entries(counts).forEach(([type, count]) => {
+      process.stderr.write(`  ${type}: ${count}\n`);
+    });
+  })
+  .catch((error) => {
+    out.end();
+    process.stderr.write(`Simulation failed: ${error.stack || error}\n`);
+    process.exitCode = 1;
+  });
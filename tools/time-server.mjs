@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+/**
+ * TIME SERVER
+ * 
+ * Tiny reference clock for the installation's clock sync (src/systems/clock-sync.js).
+ * Run it on a machine with an NTP-disciplined clock and point
+ * routeConfig.timeline.clockSync.endpoint at it.
+ * 
+ * USAGE:
+ *   node tools/time-server.mjs [--port 8787]
+ * 
+ * ENDPOINT:
+ *   GET /time → { "receiveTime": <ms>, "transmitTime": <ms> }
+ */
+
+import http from 'node:http';
+
+const portArgIndex = process.argv.indexOf('--port');
+const port = portArgIndex > -1 ? Number(process.argv[portArgIndex + 1]) : 8787;
+
+const server = http.createServer((request, response) => {
+  // Stamp as early as possible
+  const receiveTime = Date.now();
+  
+  response.setHeader('Access-Control-Allow-Origin', '*');
+  response.setHeader('Cache-Control', 'no-store');
+  
+  const { pathname } = new URL(request.url, 'http://localhost');
+  if (request.method !== 'GET' || pathname !== '/time') {
+    response.writeHead(404, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+  
+  response.writeHead(200, { 'Content-Type': 'application/json' });
+  response.end(JSON.stringify({
+    receiveTime,
+    transmitTime: Date.now()
+  }));
+});
+
+server.listen(port, () => {
+  console.log(`Time server listening on http://localhost:${port}/time`);
+});
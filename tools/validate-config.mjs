@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * VALIDATE CONFIG
+ * 
+ * Checks every route in src/data/route-catalogue.js and lists every problem
+ * with its route and section id and field path (see src/utils/config-validator.js).
+ * Exits with status 1 if there are errors (or warnings, with --strict).
+ * 
+ * USAGE:
+ *   node tools/validate-config.mjs [options]
+ * 
+ * OPTIONS:
+ *   --max-gap <km>   Largest allowed gap between consecutive sections (default: 0.5)
+ *   --strict         Treat warnings as errors
+ */
+
+import { routeCatalogue } from '../src/data/route-catalogue.js';
+import { validateRouteCatalogue, formatIssue } from '../src/utils/config-validator.js';
+
+function getArg(name, fallback) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : fallback;
+}
+
+const maxGapArg = getArg('max-gap', undefined);
+const strict = process.argv.includes('--strict');
+
+const { errors, warnings } = validateRouteCatalogue(routeCatalogue, {
+  maxSectionGap: maxGapArg !== undefined ? Number(maxGapArg) : undefined
+});
+
+[...errors, ...warnings].forEach(issue => {
+  process.stdout.write(`${formatIssue(issue)}\n`);
+});
+
+const routes = routeCatalogue.routes || [];
+const sections = routes.reduce((sum, route) => sum + (route.sections?.length || 0), 0);
+process.stderr.write(
+  `${routes.length} route(s), ${sections} section(s) checked: ` +
+  `${errors.length} error(s), ${warnings.length} warning(s)\n`
+);
+
+if (errors.length > 0 || (strict && warnings.length > 0)) {
+  process.exitCode = 1;
+}